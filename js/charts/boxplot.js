@@ -0,0 +1,239 @@
+/* 8) Boxplot — country-level distribution by conflict type (snapshot year) */
+
+import {
+  TYPE_COLORS, alertIn, chartFactory, hideTooltip, isISO3, keyboardNav, latestYear,
+  showTooltip
+} from "../core.js";
+import { t, typeName } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the boxplot (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,   // snapshot year (latest in the data when null)
+  height: 360,
+  colors: TYPE_COLORS
+};
+
+/**
+ * Draw the distribution of country deaths for each included type.
+ * `data`: canonical country rows (see js/data.js).
+ */
+function drawBoxplot(sel, data, options, chart) {
+  const { width, height, colors, types, compact } = options;
+  const { annotation, ink, muted } = theme();
+  const year = options.year ?? latestYear(data);
+  const rows = data.filter(d => d.year === year && isISO3(d.code) && d.total > 0);
+  if (!rows.length) {
+    alertIn(sel, t("alert.noData", { year }));
+    return;
+  }
+
+  const tidy = types.map(k => ({
+    key: k,
+    values: rows.map(r => r[k]).filter(v => v > 0)
+  }));
+
+  if (tidy.every(d => d.values.length === 0)) {
+    alertIn(sel, t("alert.noPositiveByType", { year }));
+    return;
+  }
+
+  const allVals = tidy.flatMap(d => d.values).sort(d3.ascending);
+  const q99     = d3.quantile(allVals, 0.99) || d3.max(allVals) || 1;
+
+  const margin = { top: 10, right: compact ? 16 : 30, bottom: 70, left: compact ? 84 : 110 };
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3.scaleLinear()
+    .domain([0, q99])
+    .nice()
+    .range([margin.left, width - margin.right]);
+
+  const y = d3.scaleBand()
+    .domain(types)
+    .range([margin.top, height - margin.bottom])
+    .padding(0.35);
+
+  // Horizontal grid.
+  svg.append("g")
+    .attr("class", "grid")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(
+      d3.axisLeft(y)
+        .tickSize(-(width - margin.left - margin.right))
+        .tickFormat("")
+    )
+    .selectAll("line")
+    .attr("opacity", 0.25);
+
+  const stats = tidy.map(d => {
+    const s = d.values.slice().sort(d3.ascending);
+    if (!s.length) {
+      return {
+        key: d.key, n: 0,
+        q1: 0, med: 0, q3: 0,
+        low: 0, high: 0,
+        outliers: []
+      };
+    }
+
+    const q1  = d3.quantileSorted(s, 0.25) || 0;
+    const med = d3.quantileSorted(s, 0.50) || 0;
+    const q3  = d3.quantileSorted(s, 0.75) || 0;
+    const iqr = q3 - q1;
+
+    const fenceLow  = q1 - 1.5 * iqr;
+    const fenceHigh = q3 + 1.5 * iqr;
+
+    const inside   = s.filter(v => v >= fenceLow && v <= fenceHigh);
+    const low      = inside.length ? d3.min(inside) : q1;
+    const high     = inside.length ? d3.max(inside) : q3;
+    const outliers = s.filter(v => v < fenceLow || v > fenceHigh);
+
+    return { key: d.key, n: s.length, q1, med, q3, low, high, outliers };
+  });
+  chart.data = stats.map(d => ({ ...d, year }));
+
+  const fmt = d3.format(",");
+
+  const showSummary = (ev, d) => {
+    const html =
+      `<strong>${typeName(d.key)}</strong><br/>` +
+      `n = ${d.n}<br/>` +
+      `${t("tip.quartiles")} ${fmt(Math.round(d.q1))} – ` +
+      `${fmt(Math.round(d.med))} – ${fmt(Math.round(d.q3))}<br/>` +
+      `${t("tip.whiskers")} ${fmt(Math.round(d.low))} – ${fmt(Math.round(d.high))}`;
+    showTooltip(ev, html);
+  };
+
+  const g = svg.append("g");
+  const boxH = Math.min(28, y.bandwidth());
+
+  // Transparent hit band for robust hover detection.
+  g.selectAll("rect.hit")
+    .data(stats)
+    .join("rect")
+    .attr("class", "hit")
+    .attr("x", x(0))
+    .attr("y", d => y(d.key))
+    .attr("width", (width - margin.right) - x(0))
+    .attr("height", y.bandwidth())
+    .attr("fill", "transparent")
+    .on("mousemove", showSummary)
+    .on("mouseleave", hideTooltip);
+
+  // Whiskers.
+  g.selectAll("line.whisker")
+    .data(stats)
+    .join("line")
+    .attr("class", "whisker")
+    .attr("x1", d => x(Math.min(d.low, q99)))
+    .attr("x2", d => x(Math.min(d.high, q99)))
+    .attr("y1", d => y(d.key) + y.bandwidth() / 2)
+    .attr("y2", d => y(d.key) + y.bandwidth() / 2)
+    .attr("stroke", muted);
+
+  // Whisker caps.
+  g.selectAll("line.cap-low")
+    .data(stats)
+    .join("line")
+    .attr("x1", d => x(Math.min(d.low, q99)))
+    .attr("x2", d => x(Math.min(d.low, q99)))
+    .attr("y1", d => y(d.key) + (y.bandwidth() - boxH) / 2)
+    .attr("y2", d => y(d.key) + (y.bandwidth() + boxH) / 2)
+    .attr("stroke", muted);
+
+  g.selectAll("line.cap-high")
+    .data(stats)
+    .join("line")
+    .attr("x1", d => x(Math.min(d.high, q99)))
+    .attr("x2", d => x(Math.min(d.high, q99)))
+    .attr("y1", d => y(d.key) + (y.bandwidth() - boxH) / 2)
+    .attr("y2", d => y(d.key) + (y.bandwidth() + boxH) / 2)
+    .attr("stroke", muted);
+
+  // Boxes (Q1–Q3).
+  const boxes = g.selectAll("rect.box")
+    .data(stats)
+    .join("rect")
+    .attr("class", "box")
+    .attr("x", d => x(Math.min(d.q1, q99)))
+    .attr("y", d => y(d.key) + (y.bandwidth() - boxH) / 2)
+    .attr("width", d => Math.max(
+      0,
+      x(Math.min(d.q3, q99)) - x(Math.min(d.q1, q99))
+    ))
+    .attr("height", boxH)
+    .attr("fill", d => colors(d.key))
+    .attr("fill-opacity", 0.28)
+    .attr("stroke", d => d3.color(colors(d.key)).darker(0.8))
+    .attr("stroke-width", 1.2)
+    .on("mousemove", showSummary)
+    .on("mouseleave", hideTooltip);
+
+  keyboardNav(boxes, d => t("distribution.label", {
+    type: typeName(d.key), n: d.n, median: fmt(Math.round(d.med))
+  }));
+
+  // Median line.
+  g.selectAll("line.median")
+    .data(stats)
+    .join("line")
+    .attr("class", "median")
+    .attr("x1", d => x(Math.min(d.med, q99)))
+    .attr("x2", d => x(Math.min(d.med, q99)))
+    .attr("y1", d => y(d.key) + (y.bandwidth() - boxH) / 2)
+    .attr("y2", d => y(d.key) + (y.bandwidth() + boxH) / 2)
+    .attr("stroke", ink)
+    .attr("stroke-width", 2);
+
+  // Outliers.
+  g.append("g")
+    .attr("class", "outliers")
+    .selectAll("g.outlier-group")
+    .data(stats)
+    .join("g")
+    .attr("class", "outlier-group")
+    .each(function (d) {
+      d3.select(this)
+        .selectAll("circle")
+        .data(d.outliers)
+        .join("circle")
+        .attr("cx", v => x(Math.min(v, q99)))
+        .attr("cy", y(d.key) + y.bandwidth() / 2 +
+          (Math.random() - 0.5) * (boxH * 0.6))
+        .attr("r", 2.2)
+        .attr("fill", annotation)
+        .attr("fill-opacity", 0.5)
+        .on("mousemove", (ev, v) => {
+          const html =
+            `<strong>${typeName(d.key)}</strong><br/>${t("tip.outlier")} ${fmt(Math.round(v))}`;
+          showTooltip(ev, html);
+        })
+        .on("mouseleave", hideTooltip);
+    });
+
+  // Axes.
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(compact ? 3 : 6, "~s"));
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).tickFormat(typeName));
+
+  svg.append("text")
+    .attr("class", "axis-label")
+    .attr("x", (width + margin.left) / 2)
+    .attr("y", height - margin.bottom + 58)
+    .attr("text-anchor", "middle")
+    .text(t("axis.deathsPerCountry"));
+}
+
+export const createBoxplot = chartFactory(drawBoxplot, DEFAULTS);
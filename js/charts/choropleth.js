@@ -0,0 +1,332 @@
+/* 10) Choropleth map — conflict-related deaths per country (snapshot year) */
+
+import {
+  MAP_TRANSITION_MS, addMissingLegend, alertIn, chartFactory, deathsHtml, escapeHtml,
+  featureISO3, featureMissingTest, hideTooltip, isISO3, keyboardNav, latestYear,
+  legendGradient, mapLayer, mapLayout, mapZoom, measureFormat, measureValue, missingPattern,
+  placeSpecialEntities, showTooltip, specialEntityHtml, uniqueId
+} from "../core.js";
+import { countryName, t } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the choropleth map (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,           // snapshot year (latest in the data when null)
+  measure: "absolute",  // "absolute" deaths or "per100k" (rows need `rate`)
+  height: null,         // px (proportional to the width when null)
+  interpolator: null,   // color ramp (the theme's sequential ramp when null)
+  zeroFill: null,       // countries with data but 0 deaths (theme color when null)
+  transition: MAP_TRANSITION_MS,
+  zoom: null,           // view (see mapZoom in core.js), null for the whole world
+  onZoom: null          // (view) => …, called when the reader zooms or pans
+};
+
+/**
+ * Fill each country by its value in a year.
+ * `data`: `{ world, rows }`, a GeoJSON FeatureCollection of the countries
+ * and canonical rows (countries plus historical / disputed entities).
+ */
+function drawChoropleth(sel, { world: worldFC, rows: dataRows }, options, chart) {
+  const { measure, width, transition, types, compact } = options;
+  const th = theme();
+  const interpolator = options.interpolator ?? th.sequential;
+  const zeroFill     = options.zeroFill ?? th.zeroFill;
+  const year = options.year ?? latestYear(dataRows);
+
+  // 0) Validate GeoJSON input
+  if (!worldFC || !Array.isArray(worldFC.features) || !worldFC.features.length) {
+    alertIn(sel, t("alert.noWorld"));
+    return;
+  }
+  const features = worldFC.features;
+
+  // 1) Filter data for the selected year and build an ISO3 -> value lookup
+  const rows = dataRows.filter(d => d.year === year && isISO3(d.code));
+  if (!rows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  const valueByISO = {};
+  const rowByISO   = {};
+  rows.forEach(d => {
+    const iso = d.code;
+    const val = +measureValue(d, measure) || 0;
+    rowByISO[iso] = d;
+    if (!Number.isNaN(val) && val > 0) {
+      valueByISO[iso] = val;
+    }
+  });
+
+  const positiveValues = Object.values(valueByISO).filter(v => v > 0);
+  if (!positiveValues.length) {
+    alertIn(sel, t("alert.noPositiveTotals", { year }));
+    return;
+  }
+
+  const sortedVals = positiveValues.slice().sort(d3.ascending);
+  const p99 = d3.quantileSorted(sortedVals, 0.99) || d3.max(sortedVals);
+  const domainMax = measure === "per100k" ? p99 : Math.max(1, p99);
+
+  const { height, marginBottom, mapHeight, legendTop } =
+    mapLayout(width, options.height, compact);
+
+  // Legend geometry: bottom right, or stacked below the map (compact)
+  const legendWidth  = compact ? Math.min(220, width - 48) : 220;
+  const legendHeight = 10;
+  const legendX = compact ? 12 : width - legendWidth - 24;
+  const legendY = compact ? legendTop + 24 : height - marginBottom - 26;
+
+  // Reuse the SVG of a previous render so that year changes can be animated;
+  // the static layers (country group, legend frame) are only built once per
+  // size (a resize rebuilds them).
+  const root = d3.select(sel);
+  let svg = root.select("svg.choropleth");
+
+  if (svg.empty() || +svg.attr("width") !== width || +svg.attr("height") !== height) {
+    svg = root.html("")
+      .append("svg")
+      .attr("class", "choropleth")
+      .attr("id", uniqueId("choropleth"))
+      .attr("width", width)
+      .attr("height", height);
+
+    const layer = mapLayer(svg, width, mapHeight);
+    layer.append("g").attr("class", "countries");
+    layer.append("g").attr("class", "special");
+
+    const gradientId = `${svg.attr("id")}-gradient`;
+    svg.select("defs")
+      .append("linearGradient")
+      .attr("id", gradientId);
+
+    // Gradient bar
+    svg.append("rect")
+      .attr("x", legendX)
+      .attr("y", legendY)
+      .attr("width", legendWidth)
+      .attr("height", legendHeight)
+      .attr("fill", `url(#${gradientId})`);
+
+    svg.append("g")
+      .attr("class", "axis legend-axis")
+      .attr("transform", `translate(0, ${legendY + legendHeight})`);
+
+    svg.append("text")
+      .attr("class", "legend-title")
+      .attr("x", legendX + legendWidth / 2)
+      .attr("y", legendY - 8)
+      .attr("text-anchor", "middle")
+      .attr("font-size", 12);
+
+    // Key for the historical / disputed overlays (bottom left)
+    svg.append("text")
+      .attr("class", "special-key")
+      .attr("x", 12)
+      .attr("y", compact ? height - 12 : height - marginBottom - 12)
+      .attr("font-size", 11);
+  }
+
+  // Prefix of the ids of this map's definitions (gradient, patterns)
+  const uid = svg.attr("id");
+
+  // Hide tooltip when leaving the map container
+  root.on("mouseleave", hideTooltip);
+
+  // 2) Projection and path generator
+  const projection = d3.geoNaturalEarth1()
+    .fitSize([width, mapHeight], worldFC);
+
+  const path = d3.geoPath(projection);
+
+  // 3) Colour scale (sequential)
+  const color = d3.scaleSequential(interpolator)
+    .domain([0, domainMax]);
+
+  // Countries without data are hatched; light grey means 0 deaths.
+  const isMissing   = featureMissingTest(dataRows, year, types);
+  const missingFill = missingPattern(svg, `${uid}-missing`);
+  const missingKey  = missingPattern(svg, `${uid}-missing-key`);
+
+  const fillFor = d => {
+    if (isMissing(d)) return missingFill;
+    const v = valueByISO[featureISO3(d)];
+    return v && v > 0 ? color(Math.min(v, domainMax)) : zeroFill;
+  };
+
+  const nameOf = d => countryName(
+    featureISO3(d),
+    d.properties?.name || d.properties?.ADMIN || featureISO3(d) || t("map.unknown")
+  );
+
+  // 4) Draw countries (new paths start grey, existing ones fade to the new colour)
+
+  const countries = svg.select("g.countries")
+    .selectAll("path")
+    .data(features)
+    .join(enter => enter.append("path")
+      .attr("stroke-width", 0.4)
+      .attr("fill", zeroFill))
+    .attr("stroke", th.stroke)
+    .attr("d", path)
+    .attr("class", "selectable")
+    .on("click", (ev, d) => options.onCountryClick?.(featureISO3(d)))
+    .on("mousemove", (ev, d) => {
+      const iso  = featureISO3(d);
+      const v    = valueByISO[iso];
+      const name = escapeHtml(nameOf(d));
+
+      let html;
+      if (isMissing(d)) {
+        html =
+          `<strong>${name}</strong><br/>` +
+          t("tip.noDataFor", { year });
+      } else if (v && v > 0) {
+        html =
+          `<strong>${name}</strong><br/>` +
+          deathsHtml(rowByISO[iso], year, types);
+      } else {
+        html =
+          `<strong>${name}</strong><br/>` +
+          t("tip.noDeathsRecorded", { year });
+      }
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  countries.transition()
+    .duration(transition)
+    .attr("fill", fillFor);
+
+  // Keyboard access: countries in alphabetical order, Enter / Space select.
+  const fmt = measureFormat(measure);
+  keyboardNav(countries, d => (isMissing(d)
+    ? `${nameOf(d)}: ${t("map.noData")}`
+    : `${nameOf(d)}: ${fmt(valueByISO[featureISO3(d)] ?? 0)}`), {
+    order: (a, b) => d3.ascending(nameOf(a), nameOf(b)),
+    clickable: !!options.onCountryClick
+  });
+
+  // 4b) Historical / disputed entities: hatched overlays over successor
+  //     geometries (own geometry for e.g. Kosovo), diamonds for areas without one.
+  const special = placeSpecialEntities(
+    dataRows.filter(d => d.year === year),
+    features,
+    d => measureValue(d, measure)
+  );
+  const colorFor = d => color(Math.min(d.value, domainMax));
+
+  chart.data = features
+    .map(f => ({
+      iso: featureISO3(f),
+      name: f.properties?.name ?? "",
+      year,
+      measure,
+      value: isMissing(f) ? null : (valueByISO[featureISO3(f)] ?? 0),
+      no_data: isMissing(f)
+    }))
+    .concat(special.map(d => ({
+      iso: d.key,
+      name: d.row.entity,
+      year,
+      measure,
+      value: d.value,
+      no_data: false
+    })));
+
+  svg.select("defs")
+    .selectAll("pattern.hatch")
+    .data(special.filter(d => d.spec.kind === "successors"), d => d.key)
+    .join(enter => {
+      const pat = enter.append("pattern")
+        .attr("class", "hatch")
+        .attr("id", d => `${uid}-hatch-${d.key}`)
+        .attr("patternUnits", "userSpaceOnUse")
+        .attr("width", 5)
+        .attr("height", 5)
+        .attr("patternTransform", "rotate(45)");
+      pat.append("line")
+        .attr("y1", 0)
+        .attr("y2", 5)
+        .attr("stroke-width", 2.4);
+      return pat;
+    })
+    .select("line")
+    .attr("stroke", colorFor);
+
+  const specialG = svg.select("g.special");
+
+  specialG.selectAll("path.special-area")
+    .data(
+      special
+        .filter(d => d.spec.kind !== "point")
+        .flatMap(d => d.features.map(f => ({ ...d, feature: f }))),
+      d => `${d.key}:${d.feature.properties?.adm0_a3}`
+    )
+    .join("path")
+    .attr("class", "special-area")
+    .attr("d", d => path(d.feature))
+    .attr("fill", d => (d.spec.kind === "successors" ? `url(#${uid}-hatch-${d.key})` : colorFor(d)))
+    .on("mousemove", (ev, d) => showTooltip(ev, specialEntityHtml(d, year, types)))
+    .on("mouseleave", hideTooltip);
+
+  specialG.selectAll("path.special-point")
+    .data(special.filter(d => d.spec.kind === "point"), d => d.key)
+    .join("path")
+    .attr("class", "special-point")
+    .attr("d", d3.symbol(d3.symbolDiamond, 64))
+    .attr("transform", d => `translate(${projection(d.spec.coords)})`)
+    .attr("fill", colorFor)
+    .on("mousemove", (ev, d) => showTooltip(ev, specialEntityHtml(d, year, types)))
+    .on("mouseleave", hideTooltip);
+
+  svg.select("text.special-key")
+    .attr("fill", th.annotation)
+    .text(t(compact ? "map.specialKeyShort" : "map.specialKey"))
+    .style("display", special.length ? null : "none");
+
+  if (compact) {
+    addMissingLegend(svg, legendX, legendY + 46, missingKey, zeroFill);
+  } else {
+    addMissingLegend(svg, legendX, legendY - 40, missingKey, zeroFill);
+  }
+
+  // 5) Continuous legend: update gradient stops and axis for the new domain
+  legendGradient(svg.select(`#${uid}-gradient`), color);
+
+  // Legend axis (linear scale)
+  const legendScale = d3.scaleLinear()
+    .domain([0, domainMax])
+    .range([legendX, legendX + legendWidth]);
+
+  svg.select("text.legend-title")
+    .attr("fill", th.annotation)
+    .text(measure === "per100k"
+      ? t("map.legendRate")
+      : t("map.legendTotal"));
+
+  svg.select("g.legend-axis")
+    .transition()
+    .duration(transition)
+    .call(
+      d3.axisBottom(legendScale)
+        .ticks(compact ? 3 : 4, "~s")
+    );
+
+  // 6) Zoom and pan (synchronized with the other maps by the dashboard);
+  //    the diamonds keep their size.
+  mapZoom(svg, svg.select("g.map-layer"), projection, [width, mapHeight], options, chart, k => {
+    specialG.selectAll("path.special-point")
+      .attr("transform", d => `translate(${projection(d.spec.coords)}) scale(${1 / k})`);
+  });
+
+  // Linked selection: outline the selected country and draw it on top.
+  chart.highlight = iso => {
+    svg.select("g.countries").selectAll("path")
+      .classed("country-selected", d => iso != null && featureISO3(d) === iso)
+      .filter(d => iso != null && featureISO3(d) === iso)
+      .raise();
+  };
+}
+
+export const createChoropleth = chartFactory(drawChoropleth, DEFAULTS);
@@ -0,0 +1,269 @@
+/* 12) Contour / isopleth map — smoothed conflict intensity surface (snapshot year)*/
+
+import {
+  addMissingLegend, alertIn, chartFactory, featureISO3, featureMissingTest,
+  hideTooltip, isISO3, keyboardNav, latestYear, legendGradient, mapLayer, mapLayout,
+  mapZoom, missingPattern, placeSpecialEntities, showTooltip, specialEntityXY, uniqueId
+} from "../core.js";
+import { t } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the contour map (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,         // snapshot year (latest in the data when null)
+  height: null,       // px (proportional to the width when null)
+  bandwidth: 40,      // density kernel bandwidth (px): higher = smoother
+  thresholds: 10,     // number of contour levels
+  interpolator: null, // color ramp (the theme's sequential ramp when null)
+  basemapFill: null,  // countries under the surface (theme color when null)
+  zoom: null,         // view (see mapZoom in core.js), null for the whole world
+  onZoom: null        // (view) => …, called when the reader zooms or pans
+};
+
+/**
+ * Draw a smoothed density surface of the country deaths in a year.
+ * `data`: `{ world, rows }`, a GeoJSON FeatureCollection of the countries
+ * and canonical rows (countries plus historical / disputed entities).
+ */
+function drawContourMap(sel, { world: worldFC, rows: dataRows }, options, chart) {
+  const { width, types, compact } = options;
+  const th = theme();
+  const interpolator = options.interpolator ?? th.sequential;
+  const basemapFill  = options.basemapFill ?? th.basemap;
+  const year = options.year ?? latestYear(dataRows);
+
+  // 0) Basic sanity check for the world GeoJSON
+  if (!worldFC || !Array.isArray(worldFC.features) || !worldFC.features.length) {
+    alertIn(sel, t("alert.noWorld"));
+    return;
+  }
+  const features = worldFC.features;
+
+  // 1) Filter the input table for the selected year and build ISO3 -> total lookup
+  const rows = dataRows.filter(d => d.year === year && isISO3(d.code));
+  if (!rows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  const valueByISO = {};
+  rows.forEach(d => {
+    const iso = d.code;
+    const val = +d.total;
+    // We only care about strictly positive totals
+    if (!Number.isNaN(val) && val > 0) {
+      valueByISO[iso] = val;
+    }
+  });
+
+  const positiveValues = Object.values(valueByISO).filter(v => v > 0);
+  if (!positiveValues.length) {
+    alertIn(sel, t("alert.noPositiveTotals", { year }));
+    return;
+  }
+
+  const { height, marginBottom, mapHeight, legendTop } =
+    mapLayout(width, options.height, compact);
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  // Prefix of the ids of this map's definitions (gradient, patterns)
+  const uid = uniqueId("contour");
+
+  // Make sure the tooltip disappears when leaving the whole container
+  d3.select(sel).on("mouseleave", hideTooltip);
+
+  // 2) Map projection and path generator, kept consistent with the other maps
+  const projection = d3.geoNaturalEarth1()
+    .fitSize([width, mapHeight], worldFC);
+
+  const geoPath = d3.geoPath(projection);
+
+  // Light gray basemap for geographic context; countries without data are hatched
+  const isMissing   = featureMissingTest(dataRows, year, types);
+  const missingFill = missingPattern(svg, `${uid}-missing`);
+  const layer = mapLayer(svg, width, mapHeight);
+
+  layer.append("g")
+    .selectAll("path")
+    .data(features)
+    .join("path")
+      .attr("d", geoPath)
+      .attr("fill", d => (isMissing(d) ? missingFill : basemapFill))
+      .attr("stroke", th.basemapStroke)
+      .attr("stroke-width", 0.4);
+
+  addMissingLegend(svg, 12, legendTop + 10, missingPattern(svg, `${uid}-missing-key`), basemapFill);
+
+  // 3) Build one point per country centroid, weighted by conflict deaths
+  //    We log-transform the totals to avoid a few large countries dominating everything.
+  const points = [];
+  features.forEach(f => {
+    const iso = featureISO3(f);
+    const val = valueByISO[iso];
+    if (!val || val <= 0) return;
+
+    const c = geoPath.centroid(f);
+    const cx = c[0];
+    const cy = c[1];
+    if (!Number.isFinite(cx) || !Number.isFinite(cy)) return;
+
+    points.push({
+      x: cx,
+      y: cy,
+      weight: Math.log10(val + 1)   // smooth out very large differences
+    });
+  });
+
+  // Historical / disputed entities contribute at their centroid or marker position.
+  placeSpecialEntities(dataRows.filter(d => d.year === year), features, d => d.total)
+    .forEach(d => {
+      const [cx, cy] = specialEntityXY(d, projection, geoPath) || [];
+      if (!Number.isFinite(cx) || !Number.isFinite(cy)) return;
+      points.push({ x: cx, y: cy, weight: Math.log10(d.value + 1) });
+    });
+
+  if (!points.length) {
+    alertIn(sel, t("alert.noGeometries", { year }));
+    return;
+  }
+
+  // 4) Estimate a smooth density surface and extract contour bands (isopleths)
+  const contours = d3.contourDensity()
+    .x(d => d.x)
+    .y(d => d.y)
+    .weight(d => d.weight)
+    .size([width, mapHeight])
+    .bandwidth(options.bandwidth)
+    .thresholds(options.thresholds)
+    (points);
+
+  const valuesExtent = d3.extent(contours, d => d.value);
+  let minD = valuesExtent[0] ?? 0;
+  let maxD = valuesExtent[1] ?? 1;
+
+  // Guard against a degenerate case where all density values collapse to the same number
+  if (maxD - minD < 1e-6) {
+    maxD = minD + 1e-6;
+  }
+
+  const color = d3.scaleSequential(interpolator)
+    .domain([minD, maxD]);
+
+  chart.data = {
+    thresholds: contours.map(c => ({
+      year,
+      density: c.value,
+      relative: (c.value - minD) / (maxD - minD)
+    })),
+    points: points.map(d => ({ year, x: d.x, y: d.y, weight: d.weight }))
+  };
+
+  // We use a plain screen-space path generator for the contour polygons
+  const contourPath = d3.geoPath();
+
+  // 4b) Draw the filled contour bands
+  const contourGroup = layer.append("g")
+    .attr("class", "contours");
+
+  contourGroup
+    .selectAll("path")
+    .data(contours)
+    .join("path")
+      .attr("d", contourPath)
+      .attr("fill", d => color(d.value))
+      // Thin stroke in the page color to visually separate the bands
+      .attr("stroke", th.paper)
+      .attr("stroke-width", 0.5)
+      // Opacity increases with intensity: far areas are light, the core is strong
+      .attr("opacity", d => {
+        let rel = (d.value - minD) / (maxD - minD);
+        if (!Number.isFinite(rel)) rel = 0;
+        rel = Math.max(0, Math.min(1, rel));   // clamp to [0, 1]
+        return 0.25 + 0.55 * rel;             // 0.25 (lowest) → 0.80 (highest)
+      });
+
+  // 4c) Tooltip: show a clean percentage of the maximum intensity.
+  //     If the value is not meaningful (NaN / out of range), we simply hide the tooltip.
+  contourGroup.selectAll("path")
+    .on("mousemove", (ev, d) => {
+      let rel = (d.value - minD) / (maxD - minD);
+      if (!Number.isFinite(rel)) {
+        hideTooltip();
+        return;
+      }
+      rel = Math.max(0, Math.min(1, rel));
+      const percent = d3.format(".0%")(rel);
+
+      const html =
+        `<strong>${t("contour.intensity")}</strong><br/>` +
+        t("contour.levelSmoothed", { percent });
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  // Keyboard access, from the outermost (lowest) band inwards.
+  keyboardNav(contourGroup.selectAll("path"), d => {
+    const rel = Math.max(0, Math.min(1, (d.value - minD) / (maxD - minD) || 0));
+    return t("contour.level", { percent: d3.format(".0%")(rel) });
+  });
+
+  // 5) Simple horizontal legend in the bottom-right corner (below the
+  //    "no data" key when compact), expressed in 0–100%
+  const legendWidth  = compact ? Math.min(200, width - 48) : 200;
+  const legendHeight = 10;
+  const legendX = compact ? 12 : width - legendWidth - 24;
+  const legendY = compact ? legendTop + 48 : height - marginBottom - 20;
+
+  const defs = svg.select("defs");
+  const gradient = defs.append("linearGradient")
+    .attr("id", `${uid}-gradient`);
+  legendGradient(gradient, color);
+
+  svg.append("rect")
+    .attr("x", legendX)
+    .attr("y", legendY)
+    .attr("width", legendWidth)
+    .attr("height", legendHeight)
+    .attr("fill", `url(#${uid}-gradient)`);
+
+  const legendScale = d3.scaleLinear()
+    .domain([0, 1])  // 0–100% of the maximum intensity
+    .range([legendX, legendX + legendWidth]);
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0, ${legendY + legendHeight})`)
+    .call(
+      d3.axisBottom(legendScale)
+        .ticks(3)
+        .tickFormat(d3.format(".0%"))
+    );
+
+  svg.append("text")
+    .attr("x", compact ? legendX : legendX + legendWidth / 2)
+    .attr("y", legendY - 6)
+    .attr("text-anchor", compact ? "start" : "middle")
+    .attr("font-size", 12)
+    .attr("fill", th.annotation)
+    .text(t("contour.legend"));
+
+  // Linked selection: outline the selected country above the contour bands.
+  const outline = layer.append("path")
+    .attr("class", "country-outline")
+    .attr("fill", "none")
+    .style("pointer-events", "none");
+
+  // 6) Zoom and pan (synchronized with the other maps by the dashboard)
+  mapZoom(svg, layer, projection, [width, mapHeight], options, chart);
+
+  chart.highlight = iso => {
+    const f = iso ? features.find(feat => featureISO3(feat) === iso) : null;
+    outline.attr("d", f ? geoPath(f) : null);
+  };
+}
+
+export const createContourMap = chartFactory(drawContourMap, DEFAULTS);
@@ -0,0 +1,210 @@
+/* 15) Country history — stacked area by type and yearly rank (selected country) */
+
+import {
+  TYPE_COLORS, addTypeLegend, alertIn, chartFactory, hideTooltip, isISO3,
+  keyboardNav, latestYear, showTooltip
+} from "../core.js";
+import { t, typeName } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the country history (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  iso: null,      // ISO3 code of the country shown
+  year: null,     // year marked on both charts (latest in the data when null)
+  range: null,    // [startYear, endYear] marked instead of `year`
+  years: null,    // years on the x axis (every year in the data when null)
+  colors: TYPE_COLORS,
+  lineColor: null // rank line (the theme's strong accent when null)
+};
+
+/**
+ * Draw the deaths by type and the yearly rank of one country.
+ * `data`: canonical country rows of every country (needed for the rank).
+ */
+function drawCountryHistory(sel, data, options, chart) {
+  const { iso, range, width, colors, types } = options;
+  const lineColor = options.lineColor ?? theme().accentStrong;
+  const year = options.year ?? latestYear(data);
+  const own = data.filter(d => d.code === iso);
+  if (!own.length) {
+    alertIn(sel, t("alert.noCountry", { iso }));
+    return;
+  }
+
+  // One row per dataset year (missing years count as zero deaths).
+  const byYear = new Map(own.map(d => [d.year, d]));
+  const years  = options.years ?? Array.from(new Set(data.map(d => d.year))).sort(d3.ascending);
+  const rows   = years.map(y => byYear.get(y) || { year: y, total: 0 });
+
+  // Rank among all ISO-3 countries with deaths in the same year (1 = deadliest).
+  const totalsByYear = d3.group(
+    data.filter(d => isISO3(d.code) && d.total > 0),
+    d => d.year
+  );
+  const rankOf = r => r.total > 0
+    ? 1 + (totalsByYear.get(r.year) || []).filter(d => d.total > r.total).length
+    : null;
+
+  // Kept apart from the rows, which are the store's shared country rows.
+  const rankByYear = new Map(rows.map(r => [r.year, rankOf(r)]));
+  const rankIn = r => rankByYear.get(r.year);
+  chart.data = rows.map(r => ({ entity: own[0].entity, code: iso, year: r.year, deaths: r.total, rank: rankIn(r) }));
+
+  const fmt  = d3.format(",");
+  const peak = d3.greatest(rows, r => r.total);
+  const cum  = d3.sum(rows, r => r.total);
+
+  const root = d3.select(sel).html("");
+
+  // Key figures.
+  const focusRow = range ? null : byYear.get(year);
+  const stats = [
+    [t("history.cumulative"), `${fmt(cum)} (${years[0]}–${years.at(-1)})`],
+    [t("history.peak"), peak && peak.total > 0 ? `${peak.year} (${fmt(peak.total)})` : "—"],
+    [
+      range ? t("history.rank") : t("history.rankIn", { year }),
+      range ? t("history.seeBelow") : (focusRow && rankIn(focusRow) ? `#${rankIn(focusRow)}` : "—")
+    ]
+  ];
+
+  root.append("dl")
+    .attr("class", "panel-stats")
+    .selectAll("div")
+    .data(stats)
+    .join("div")
+    .call(div => div.append("dt").text(d => d[0]))
+    .call(div => div.append("dd").text(d => d[1]));
+
+  const margin = { top: 10, right: 12, bottom: 26, left: 48 };
+
+  const x = d3.scaleLinear()
+    .domain(d3.extent(years))
+    .range([margin.left, width - margin.right]);
+
+  // Year marker (snapshot year or brushed range) shared by both charts.
+  const drawMarker = (svg, top, bottom) => {
+    const [a, b] = range || [year, year];
+    svg.append("rect")
+      .attr("class", "year-marker")
+      .attr("x", x(a) - (a === b ? 1 : 0))
+      .attr("width", Math.max(2, x(b) - x(a)))
+      .attr("y", top)
+      .attr("height", bottom - top);
+  };
+
+  // ---- Stacked area by conflict type
+  root.append("h4").text(t("history.byType"));
+
+  const areaH = 180;
+  const svgA = root.append("svg")
+    .attr("width", width)
+    .attr("height", areaH);
+
+  const series = d3.stack()
+    .keys(types)
+    .value((d, k) => d[k] || 0)(rows);
+
+  const yA = d3.scaleLinear()
+    .domain([0, d3.max(rows, r => r.total) || 1])
+    .nice()
+    .range([areaH - margin.bottom, margin.top]);
+
+  drawMarker(svgA, margin.top, areaH - margin.bottom);
+
+  svgA.append("g")
+    .selectAll("path")
+    .data(series)
+    .join("path")
+    .attr("fill", d => colors(d.key))
+    .attr("fill-opacity", 0.85)
+    .attr("d", d3.area()
+      .x(d => x(d.data.year))
+      .y0(d => yA(d[0]))
+      .y1(d => yA(d[1]))
+      .curve(d3.curveMonotoneX));
+
+  svgA.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${areaH - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format("d")));
+
+  svgA.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(yA).ticks(4, "~s"));
+
+  // Hover: per-type breakdown of the nearest year.
+  svgA.append("rect")
+    .attr("x", margin.left)
+    .attr("y", margin.top)
+    .attr("width", width - margin.left - margin.right)
+    .attr("height", areaH - margin.top - margin.bottom)
+    .attr("fill", "transparent")
+    .on("mousemove", ev => {
+      const yr = Math.round(x.invert(d3.pointer(ev)[0]));
+      const r  = rows.find(d => d.year === yr);
+      if (!r) return;
+      const html =
+        `<strong>${yr}</strong> — ${t("tip.deaths", { value: fmt(r.total) })}<br/>` +
+        types.map(k => `${typeName(k)}: ${fmt(r[k] || 0)}`).join("<br/>");
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  // ---- Rank per year (only years with deaths)
+  root.append("h4").text(t("history.rankTitle"));
+
+  const rankH = 120;
+  const ranked = rows.filter(rankIn);
+  const svgR = root.append("svg")
+    .attr("width", width)
+    .attr("height", rankH);
+
+  const yR = d3.scaleLinear()
+    .domain([1, Math.max(2, d3.max(ranked, rankIn) || 2)])
+    .range([margin.top, rankH - margin.bottom]);
+
+  drawMarker(svgR, margin.top, rankH - margin.bottom);
+
+  svgR.append("path")
+    .datum(rows)
+    .attr("fill", "none")
+    .attr("stroke", lineColor)
+    .attr("stroke-width", 1.8)
+    .attr("d", d3.line()
+      .defined(rankIn)
+      .x(r => x(r.year))
+      .y(r => yR(rankIn(r))));
+
+  const rankDots = svgR.append("g")
+    .selectAll("circle")
+    .data(ranked)
+    .join("circle")
+    .attr("cx", r => x(r.year))
+    .attr("cy", r => yR(rankIn(r)))
+    .attr("r", 2.4)
+    .attr("fill", lineColor)
+    .on("mousemove", (ev, r) => {
+      showTooltip(ev, `<strong>${r.year}</strong><br/>${t("history.rankTip", { rank: rankIn(r), value: fmt(r.total) })}`);
+    })
+    .on("mouseleave", hideTooltip);
+
+  // Keyboard access to the yearly ranks (the per-type breakdown of every
+  // year is in the data table).
+  keyboardNav(rankDots, r => `${r.year}: ${t("history.rankTip", { rank: rankIn(r), value: fmt(r.total) })}`);
+
+  svgR.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${rankH - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format("d")));
+
+  svgR.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(yR).ticks(4).tickFormat(d => `#${d}`));
+
+  // Type legend (shared helper).
+  addTypeLegend(sel, types, options.onTypeToggle);
+}
+
+export const createCountryHistory = chartFactory(drawCountryHistory, DEFAULTS);
@@ -0,0 +1,157 @@
+/* 2) Grouped barchart — selected countries × conflict type */
+
+import {
+  TYPE_COLORS, addTypeLegend, alertIn, chartFactory, hideTooltip,
+  keyboardNav, latestYear, rangeHtml, rowBound, showTooltip, truncateLabel
+} from "../core.js";
+import { countryName, t, typeName } from "../i18n.js";
+
+/** Options of the grouped barchart (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,   // snapshot year (latest in the data when null)
+  focus: [],    // entity names of the compared countries, in display order
+  height: 360,
+  colors: TYPE_COLORS
+};
+
+/**
+ * Draw one group of bars per focus country, one bar per included type.
+ * `data`: canonical country rows (see js/data.js).
+ */
+function drawGroupedByType(sel, data, options, chart) {
+  const { focus, width, height, colors, types, compact } = options;
+  const year = options.year ?? latestYear(data);
+  const rows = data.filter(d => d.year === year && focus.includes(d.entity));
+  if (!rows.length) {
+    alertIn(sel, t("alert.noFocusData", { year }));
+    return;
+  }
+
+  const groups = focus.filter(c => rows.some(r => r.entity === c));
+  const tidy = groups.map(g => {
+    const d = rows.find(r => r.entity === g);
+    return {
+      group: g,
+      name: countryName(d?.code, g),
+      code: d?.code,
+      values: types.map(k => ({
+        key: k,
+        value: d ? d[k] : 0,
+        low:  d ? rowBound(d, "low", [k]) : null,
+        high: d ? rowBound(d, "high", [k]) : null
+      }))
+    };
+  });
+
+  chart.data = tidy.flatMap(c => c.values.map(v => ({
+    country: c.group,
+    code: c.code,
+    year,
+    type: v.key,
+    deaths: v.value,
+    low: v.low,
+    high: v.high
+  })));
+
+  // Compact layout: steeper, shorter country labels and fewer y ticks.
+  const margin = { top: 10, right: 24, bottom: compact ? 78 : 62, left: 56 };
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const names = new Map(tidy.map(g => [g.group, g.name]));
+
+  const x0 = d3.scaleBand()
+    .domain(groups)
+    .range([margin.left, width - margin.right])
+    .padding(0.22);
+
+  const x1 = d3.scaleBand()
+    .domain(types)
+    .range([0, x0.bandwidth()])
+    .padding(0.08);
+
+  const y = d3.scaleLinear()
+    .domain([
+      0,
+      d3.max(tidy.flatMap(c => c.values), d => Math.max(d.value, d.high ?? 0)) || 1
+    ])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x0).tickFormat(d => (compact ? truncateLabel(names.get(d), 12) : names.get(d))))
+    .selectAll("text")
+    .attr("transform", compact ? "rotate(-40)" : "rotate(-18)")
+    .style("text-anchor", "end");
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(compact ? 3 : 5).tickFormat(d3.format(",")));
+
+  const groupG = svg.append("g")
+    .selectAll("g")
+    .data(tidy)
+    .join("g")
+    .attr("class", "selectable")
+    .attr("transform", d => `translate(${x0(d.group)},0)`)
+    .on("click", (ev, d) => options.onCountryClick?.(d.code));
+
+  const bars = groupG.selectAll("rect")
+    .data(d => d.values)
+    .join("rect")
+    .attr("x", d => x1(d.key))
+    .attr("y", d => y(d.value))
+    .attr("width", x1.bandwidth())
+    .attr("height", d => y(0) - y(d.value))
+    .attr("fill", d => colors(d.key))
+    .on("mousemove", (ev, d) => {
+      const html = `<strong>${typeName(d.key)}</strong><br/>${t("tip.deaths", { value: d3.format(",")(d.value) })}` +
+        rangeHtml(d.low, d.high);
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  // Error whiskers between the low and high estimates of each type.
+  const whiskers = groupG.append("g")
+    .attr("class", "whiskers")
+    .selectAll("g")
+    .data(d => d.values.filter(v => v.low != null && v.high != null))
+    .join("g")
+    .attr("transform", d => `translate(${x1(d.key) + x1.bandwidth() / 2},0)`);
+
+  whiskers.append("line")
+    .attr("y1", d => y(d.low))
+    .attr("y2", d => y(d.high));
+
+  whiskers.selectAll("line.cap")
+    .data(d => [d.low, d.high])
+    .join("line")
+    .attr("class", "cap")
+    .attr("x1", -x1.bandwidth() / 4)
+    .attr("x2",  x1.bandwidth() / 4)
+    .attr("y1", v => y(v))
+    .attr("y2", v => y(v));
+
+  // Keyboard access: one stop per bar; Enter / Space select its country.
+  keyboardNav(bars, function (d) {
+    const name = d3.select(this.parentNode).datum().name;
+    return `${name}, ${typeName(d.key)}: ${t("tip.deaths", { value: d3.format(",")(d.value) })}`;
+  }, { clickable: !!options.onCountryClick });
+
+  // Linked selection: dim the other countries' groups.
+  chart.highlight = iso => {
+    const shown = tidy.some(c => c.code === iso);
+    groupG.classed("country-dimmed", d => shown && d.code !== iso);
+  };
+
+  // Type legend (shared helper).
+  addTypeLegend(sel, types, options.onTypeToggle, options.compact);
+}
+
+export const createGroupedBar = chartFactory(drawGroupedByType, DEFAULTS);
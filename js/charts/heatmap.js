@@ -0,0 +1,138 @@
+/* 3) Heatmap — World totals per type × year */
+
+import {
+  alertIn, chartFactory, hideTooltip, keyboardNav, legendGradient, showTooltip, uniqueId
+} from "../core.js";
+import { t, typeName } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the heatmap (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  height: 280,
+  interpolator: null  // color ramp of the (log) death counts (the theme's when null)
+};
+
+/**
+ * Draw one cell per included type and year.
+ * `data`: canonical rows of one aggregate (World or a region), one per year.
+ */
+function drawWorldHeatmap(sel, worldRows, options, chart) {
+  const { width, height, types, compact } = options;
+  const { annotation, sequential } = theme();
+  const interpolator = options.interpolator ?? sequential;
+
+  if (!worldRows.length) {
+    alertIn(sel, t("alert.noAggregate"));
+    return;
+  }
+
+  const years = worldRows.map(d => d.year).sort((a, b) => a - b);
+  const cells = [];
+
+  worldRows.forEach(d =>
+    types.forEach(k =>
+      cells.push({ row: k, col: d.year, value: d[k] })
+    )
+  );
+
+  chart.data = cells;
+
+  const margin = { top: 36, right: 18, bottom: 34, left: compact ? 84 : 110 };
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3.scaleBand()
+    .domain(years)
+    .range([margin.left, width - margin.right])
+    .padding(0);
+
+  const y = d3.scaleBand()
+    .domain(types)
+    .range([margin.top, height - margin.bottom])
+    .padding(0.06);
+
+  const max = d3.max(cells, d => d.value) || 1;
+  const color = d3.scaleSequential(interpolator)
+    .domain([0, Math.log10(max + 1)]);
+
+  const cellRects = svg.append("g")
+    .selectAll("rect")
+    .data(cells)
+    .join("rect")
+    .attr("x", d => x(d.col))
+    .attr("y", d => y(d.row))
+    .attr("width", x.bandwidth())
+    .attr("height", y.bandwidth())
+    .attr("fill", d => color(Math.log10(d.value + 1)))
+    .on("mousemove", (ev, d) => {
+      const html =
+        `<strong>${typeName(d.row)}</strong> — ${d.col}<br/>` +
+        t("tip.deaths", { value: d3.format(",")(d.value) });
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  keyboardNav(cellRects, d =>
+    `${typeName(d.row)}, ${d.col}: ${t("tip.deaths", { value: d3.format(",")(d.value) })}`);
+
+  // Compact layout: sparser year ticks so the labels do not overlap.
+  const yearStep = compact ? 10 : 4;
+  const xticks = years.filter(
+    yv => yv % yearStep === 0 || yv === years[0] || yv === years.at(-1)
+  );
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).tickValues(xticks).tickSize(0));
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).tickSize(0).tickFormat(typeName));
+
+  // Gradient legend + label.
+  const legendW = compact ? 140 : 220;
+  const legendH = 10;
+
+  // Legend below the x axis, bottom right
+  const legendX = width - legendW - 24;
+  const legendY = height - margin.bottom + 18; // below the axis
+
+  const defs = svg.append("defs");
+  const gradId = uniqueId("hm-grad");
+  const grad = defs.append("linearGradient").attr("id", gradId);
+  legendGradient(grad, color);
+
+  // Gradient bar
+  svg.append("rect")
+    .attr("x", legendX)
+    .attr("y", legendY)
+    .attr("width", legendW)
+    .attr("height", legendH)
+    .attr("fill", `url(#${gradId})`);
+
+  // Log scale for the legend ticks
+  const s = d3.scaleLog()
+    .domain([1, max])
+    .range([legendX, legendX + legendW]);
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${legendY + legendH})`)
+    .call(d3.axisBottom(s).ticks(3, "~s"));
+
+  // Legend label
+  svg.append("text")
+    .attr("x", legendX + legendW / 2)
+    .attr("y", legendY + legendH + 24)  // below the bar
+    .attr("text-anchor", "middle")
+    .attr("fill", annotation)
+    .attr("font-size", 12)
+    .text(t("heatmap.legend"));
+}
+
+export const createHeatmap = chartFactory(drawWorldHeatmap, DEFAULTS);
@@ -0,0 +1,131 @@
+/* 6) Histogram — total conflict-related deaths per country (snapshot year) */
+
+import {
+  alertIn, chartFactory, hideTooltip, keyboardNav, latestYear,
+  measureFormat, measureValue, showTooltip
+} from "../core.js";
+import { t } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the histogram (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,           // snapshot year (latest in the data when null)
+  measure: "absolute",  // "absolute" deaths or "per100k" (rows need `rate`)
+  bins: 20,             // suggested number of bins
+  height: 360,
+  barColor: null        // bar fill (the theme's accent when null)
+};
+
+/**
+ * Draw the distribution of country values in a year.
+ * `data`: canonical country rows (see js/data.js).
+ */
+function drawHistogram(sel, data, options, chart) {
+  const { measure, width, height, compact } = options;
+  const barColor = options.barColor ?? theme().accent;
+  const year  = options.year ?? latestYear(data);
+  const value = d => measureValue(d, measure);
+  const rows  = data.filter(d => d.year === year && value(d) > 0);
+  if (!rows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  const values = rows.map(value);
+  const q99    = d3.quantile(values.slice().sort(d3.ascending), 0.99) || d3.max(values);
+  const domainMax = measure === "per100k" ? q99 : Math.max(1, q99);
+
+  const bin = d3.bin()
+    .domain([0, domainMax])
+    .thresholds(options.bins);
+
+  const clamped = values.map(v => Math.min(v, domainMax));
+  const bins = bin(clamped);
+  chart.data = bins.map(b => ({ x0: b.x0, x1: b.x1, countries: b.length, measure }));
+
+  const margin = { top: 10, right: 22, bottom: 72, left: 56 };
+
+  const x = d3.scaleLinear()
+    .domain([0, domainMax])
+    .range([margin.left, width - margin.right]);
+
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(bins, d => d.length) || 1])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  // Horizontal grid.
+  svg.append("g")
+    .attr("class", "grid")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(
+      d3.axisLeft(y)
+        .ticks(5)
+        .tickSize(-(width - margin.left - margin.right))
+        .tickFormat("")
+    )
+    .selectAll("line")
+    .attr("opacity", 0.35);
+
+  // Bars.
+  const bars = svg.append("g")
+    .selectAll("rect")
+    .data(bins)
+    .join("rect")
+    .attr("x", d => x(d.x0) + 1)
+    .attr("y", d => y(d.length))
+    .attr("width", d => Math.max(0, x(d.x1) - x(d.x0) - 2))
+    .attr("height", d => y(0) - y(d.length))
+    .attr("fill", barColor)
+    .on("mousemove", (ev, d) => {
+      const fmt = measureFormat(measure);
+      const lo  = fmt(measure === "per100k" ? d.x0 : Math.round(d.x0));
+      const hi  = fmt(measure === "per100k" ? d.x1 : Math.round(d.x1));
+      const html =
+        `<strong>${t("histogram.bin")}</strong> ${lo} – ${hi}<br/>` +
+        `<strong>${t("histogram.countries")}</strong> ${d.length}`;
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  keyboardNav(bars, d => {
+    const fmt = measureFormat(measure);
+    return t("histogram.binLabel", { low: fmt(d.x0), high: fmt(d.x1), n: d.length });
+  });
+
+  // Axes.
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(compact ? 3 : 6, "~s"));
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(5));
+
+  // X-axis label (shortened in the compact layout).
+  const perCapitaLabel = compact
+    ? t("histogram.axisRateShort")
+    : t("histogram.axisRate");
+  svg.append("text")
+    .attr("class", "axis-label")
+    .attr("x", (margin.left + (width - margin.right)) / 2)
+    .attr("y", height - margin.bottom + 48)
+    .text(measure === "per100k"
+      ? perCapitaLabel
+      : (compact ? t("axis.deathsPerCountry") : t("histogram.axisTotal")));
+
+  // Inline caption note.
+  d3.select(sel)
+    .append("div")
+    .attr("class", "caption")
+    .text(t("histogram.caption", { year }));
+}
+
+export const createHistogram = chartFactory(drawHistogram, DEFAULTS);
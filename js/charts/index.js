@@ -0,0 +1,40 @@
+/*******************************************************
+ * Chart modules — public entry point
+ *
+ * Every chart is a factory `(container, data, options)`, where `container`
+ * is a selector or element, `data` the canonical rows of js/data.js (maps
+ * take `{ world, rows }`) and `options` overrides the chart's defaults
+ * (size, colors, year, thresholds… see each module) and COMMON_DEFAULTS.
+ * It returns `{ update(data, options), highlight(iso), zoomTo(view, duration),
+ * data(), destroy() }` (`zoomTo` moves the maps, e.g. to a MAP_PRESETS view).
+ *
+ *   import { createTop10Bar } from "./js/charts/index.js";
+ *   const chart = createTop10Bar("#top", rows, { year: 2022, topN: 5 });
+ *   chart.update(rows, { measure: "per100k" });
+ *
+ * Colors come from the current theme (js/theme.js): call
+ * `setTheme({ mode: "dark", palette: "okabe-ito" })` and update the charts.
+ *
+ * The charts expect d3 v7 (and d3-sankey for the Sankey) as globals.
+ *******************************************************/
+
+export { createTop10Bar } from "./top10-bar.js";
+export { createGroupedBar } from "./grouped-bar.js";
+export { createHeatmap } from "./heatmap.js";
+export { createStacked100 } from "./stacked100.js";
+export { createWaffle } from "./waffle.js";
+export { createHistogram } from "./histogram.js";
+export { createViolin } from "./violin.js";
+export { createBoxplot } from "./boxplot.js";
+export { createTimeSeries } from "./timeseries.js";
+export { createChoropleth } from "./choropleth.js";
+export { createSymbolMap } from "./symbol-map.js";
+export { createContourMap } from "./contour-map.js";
+export { createSankey } from "./sankey.js";
+export { createNetwork } from "./network.js";
+export { createCountryHistory } from "./country-history.js";
+
+export {
+  COMMON_DEFAULTS, MAP_PRESETS, TYPE_COLORS, TYPE_ORDER, chartFactory
+} from "../core.js";
+export { THEME_MODES, THEME_PALETTES, setTheme, theme } from "../theme.js";
@@ -0,0 +1,395 @@
+/* 14) Network — similarity between countries (composition by type, snapshot year) */
+
+import {
+  TYPE_ORDER, alertIn, chartFactory, escapeHtml, hideTooltip, keyboardNav, latestYear,
+  showTooltip
+} from "../core.js";
+import { countryName, t, typeName } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the similarity network (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,           // snapshot year (latest in the data when null)
+  topN: 18,             // number of nodes (countries with the most deaths)
+  simThreshold: 0.65,   // minimum cosine similarity of a link
+  topK: 3,              // keep only top-K links per node (reduces hairball)
+  height: 430,
+  nodeColor: null       // node fill (the theme's strong accent when null)
+};
+
+/**
+ * Utility: get top N countries by total for a given year.
+ */
+function topCountriesByTotal(data, year, N = 12) {
+  return data
+    .filter(d => d.year === year && d.total > 0)
+    .slice()
+    .sort((a, b) => d3.descending(a.total, b.total))
+    .slice(0, N);
+}
+
+/**
+ * Utility: safe numeric vector for a country (by conflict type).
+ */
+function typeVector(d, types = TYPE_ORDER) {
+  return types.map(k => Math.max(0, +d[k] || 0));
+}
+
+/**
+ * Utility: cosine similarity between two non-negative vectors.
+ */
+function cosineSim(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    na  += a[i] * a[i];
+    nb  += b[i] * b[i];
+  }
+  if (na <= 0 || nb <= 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+/**
+ * Draw the countries with the most deaths, linked when their split of
+ * deaths across the included types is similar.
+ * `data`: canonical country rows (see js/data.js).
+ */
+function drawNetwork(sel, data, options, chart) {
+  const { width, height, types, compact } = options;
+  const { accentStrong, ink, line, paper, stroke } = theme();
+  const year = options.year ?? latestYear(data);
+  const TOP_N = options.topN;
+  const SIM_THRESHOLD = options.simThreshold;
+  const TOP_K = options.topK;
+
+  const rows = topCountriesByTotal(data, year, TOP_N);
+  if (!rows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  // ---- Build nodes
+  const nodes = rows.map(d => ({
+    id: d.entity,
+    iso: d.code,
+    label: countryName(d.code, d.entity),
+    total: +d.total || 0,
+    vec: typeVector(d, types),
+    // pin state (drag)
+    fx: null,
+    fy: null
+  }));
+
+  // helper maps
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+
+  // ---- Build all pairwise links with cosine similarity
+  const allLinks = [];
+  for (let i = 0; i < nodes.length; i += 1) {
+    for (let j = i + 1; j < nodes.length; j += 1) {
+      const a = nodes[i], b = nodes[j];
+      const sim = cosineSim(a.vec, b.vec);
+      if (sim >= SIM_THRESHOLD) {
+        allLinks.push({ source: a.id, target: b.id, sim });
+      }
+    }
+  }
+
+  if (!allLinks.length) {
+    alertIn(sel, t("alert.noLinks", { threshold: SIM_THRESHOLD, year }));
+    return;
+  }
+
+  // ---- Keep top-K links per node (by similarity)
+  const linksByNode = new Map(nodes.map(n => [n.id, []]));
+  allLinks.forEach(l => {
+    linksByNode.get(l.source).push(l);
+    linksByNode.get(l.target).push(l);
+  });
+
+  const kept = new Set();
+  linksByNode.forEach(list => {
+    list
+      .slice()
+      .sort((a, b) => d3.descending(a.sim, b.sim))
+      .slice(0, TOP_K)
+      .forEach(l => {
+        // undirected key
+        const key = l.source < l.target ? `${l.source}__${l.target}` : `${l.target}__${l.source}`;
+        kept.add(key);
+      });
+  });
+
+  const links = allLinks.filter(l => {
+    const key = l.source < l.target ? `${l.source}__${l.target}` : `${l.target}__${l.source}`;
+    return kept.has(key);
+  });
+
+  // Recorded before the force layout replaces link ids with node objects.
+  chart.data = {
+    nodes: nodes.map(n => {
+      const out = { id: n.id, iso: n.iso, year, total: n.total };
+      types.forEach((k, i) => { out[k] = n.vec[i]; });
+      return out;
+    }),
+    links: links.map(l => ({ source: l.source, target: l.target, year, cosine_similarity: l.sim }))
+  };
+
+  // ---- Sizing
+  const margin = { top: 10, right: 10, bottom: 10, left: 10 };
+
+  const r = d3.scaleSqrt()
+    .domain([0, d3.max(nodes, d => d.total) || 1])
+    .range(compact ? [4, 14] : [5, 22]);
+
+  // Compact layout: smaller nodes pulled closer together.
+  const spread = compact ? 0.6 : 1;
+
+  const strokeW = d3.scaleLinear()
+    .domain(d3.extent(links, d => d.sim))
+    .range([1.2, 4.0]);
+
+  // ---- Container
+  const root = d3.select(sel).html("")
+    .style("position", "relative");
+
+  // small reset button (no CSS needed)
+  const btn = root.append("button")
+    .text(t("network.reset"))
+    .style("position", "absolute")
+    .style("right", "10px")
+    .style("top", "10px")
+    .style("z-index", 2)
+    .style("padding", "6px 10px")
+    .style("border-radius", "8px")
+    .style("border", `1px solid ${line}`)
+    .style("background", paper)
+    .style("color", ink)
+    .style("cursor", "pointer");
+
+  const svg = root.append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  d3.select(sel).on("mouseleave", hideTooltip);
+
+  // Zoom/Pan
+  const gZoom = svg.append("g");
+  svg.call(
+    d3.zoom()
+      .scaleExtent([0.6, 2.5])
+      .on("zoom", (ev) => gZoom.attr("transform", ev.transform))
+  );
+
+  // Background (so you can drag on empty space)
+  gZoom.append("rect")
+    .attr("x", 0).attr("y", 0)
+    .attr("width", width).attr("height", height)
+    .attr("fill", "transparent");
+
+  const g = gZoom.append("g")
+    .attr("transform", `translate(${margin.left},${margin.top})`);
+
+  const innerW = width - margin.left - margin.right;
+  const innerH = height - margin.top - margin.bottom;
+
+  // ---- Simulation
+  const sim = d3.forceSimulation(nodes)
+    .force("link", d3.forceLink(links)
+      .id(d => d.id)
+      .distance(d => (220 - 160 * d.sim) * spread)  // higher sim = closer
+      .strength(d => 0.25 + 0.55 * d.sim)
+    )
+    .force("charge", d3.forceManyBody().strength(-260 * spread))
+    .force("center", d3.forceCenter(innerW / 2, innerH / 2))
+    .force("collide", d3.forceCollide(d => r(d.total) + 4).iterations(2))
+    // keep nodes inside box (soft)
+    .force("x", d3.forceX(innerW / 2).strength(0.05))
+    .force("y", d3.forceY(innerH / 2).strength(0.05));
+
+  // Stop the simulation before the next render replaces its nodes.
+  chart.cleanup = () => sim.stop();
+
+  // ---- Draw links
+  const link = g.append("g")
+    .attr("stroke", stroke)
+    .attr("stroke-opacity", 0.65)
+    .selectAll("line")
+    .data(links)
+    .join("line")
+    .attr("stroke-width", d => strokeW(d.sim));
+
+  // ---- Draw nodes
+  const node = g.append("g")
+    .selectAll("circle")
+    .data(nodes)
+    .join("circle")
+    .attr("r", d => r(d.total))
+    .attr("fill", options.nodeColor ?? accentStrong)
+    .attr("fill-opacity", 0.75)
+    .attr("stroke", paper)
+    .attr("stroke-width", 1.5)
+    .style("cursor", "grab");
+
+  // ---- Labels (with outline for readability)
+  const label = g.append("g")
+    .selectAll("text")
+    .data(nodes)
+    .join("text")
+    .text(d => d.label)
+    .attr("font-size", compact ? 10 : 11)
+    .attr("fill", ink)
+    .attr("paint-order", "stroke")
+    .attr("stroke", paper)
+    .attr("stroke-width", 3)
+    .attr("stroke-linejoin", "round")
+    .style("pointer-events", "none");
+
+  // ---- Hover highlight (neighbors)
+  const neighbor = new Map();
+  links.forEach(l => {
+    const a = typeof l.source === "string" ? l.source : l.source.id;
+    const b = typeof l.target === "string" ? l.target : l.target.id;
+    neighbor.set(`${a}__${b}`, true);
+    neighbor.set(`${b}__${a}`, true);
+  });
+  const isNeighbor = (a, b) => neighbor.get(`${a.id}__${b.id}`) || a.id === b.id;
+
+  function focusNode(d) {
+    node.attr("fill-opacity", n => isNeighbor(d, n) ? 0.9 : 0.12)
+        .attr("stroke-opacity", n => isNeighbor(d, n) ? 1 : 0.15);
+
+    label.attr("opacity", n => isNeighbor(d, n) ? 1 : 0.15);
+
+    link.attr("stroke-opacity", l => {
+          const src = typeof l.source === "string" ? l.source : l.source.id;
+          const tgt = typeof l.target === "string" ? l.target : l.target.id;
+          return (src === d.id || tgt === d.id) ? 0.95 : 0.08;
+        })
+        .attr("stroke-width", l => {
+          const src = typeof l.source === "string" ? l.source : l.source.id;
+          const tgt = typeof l.target === "string" ? l.target : l.target.id;
+          return (src === d.id || tgt === d.id) ? Math.max(2.4, strokeW(l.sim)) : strokeW(l.sim);
+        });
+  }
+
+  let selectedIso = null;
+
+  function resetFocus() {
+    // Keep the highlighted country focused, if it is in the network.
+    const selected = nodes.find(n => n.iso === selectedIso);
+    if (selected) {
+      focusNode(selected);
+      return;
+    }
+
+    node.attr("fill-opacity", 0.75).attr("stroke-opacity", 1);
+    label.attr("opacity", 1);
+    link.attr("stroke-opacity", 0.65).attr("stroke-width", d => strokeW(d.sim));
+  }
+
+  // ---- Tooltip for nodes
+  node.on("mousemove", (ev, d) => {
+      const parts = types
+        .map(k => `${typeName(k)}: ${d3.format(",")(Math.round(d.vec[types.indexOf(k)] || 0))}`)
+        .join(", ");
+
+      const html =
+        `<strong>${escapeHtml(d.label)}</strong><br/>` +
+        `${t("network.totalDeaths", { value: d3.format(",")(Math.round(d.total)), year })}<br/>` +
+        `<span style="opacity:.85">${t("network.vector", { parts })}</span>`;
+      showTooltip(ev, html);
+      focusNode(d);
+    })
+    .on("mouseleave", () => {
+      hideTooltip();
+      resetFocus();
+    })
+    .on("click", (ev, d) => options.onCountryClick?.(d.iso))
+    .on("dblclick", (ev, d) => {
+      // unpin
+      d.fx = null;
+      d.fy = null;
+      sim.alpha(0.6).restart();
+    });
+
+  // ---- Tooltip for links
+  link.on("mousemove", (ev, d) => {
+      const s = typeof d.source === "string" ? d.source : d.source.label;
+      const e = typeof d.target === "string" ? d.target : d.target.label;
+      const html =
+        `<strong>${escapeHtml(s)}</strong> ↔ <strong>${escapeHtml(e)}</strong><br/>` +
+        t("network.similarity", { value: d3.format(".2f")(d.sim) });
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  // ---- Drag behavior: pin on drag end
+  const drag = d3.drag()
+    .on("start", (ev, d) => {
+      if (!ev.active) sim.alphaTarget(0.25).restart();
+      d.fx = d.x;
+      d.fy = d.y;
+      d3.select(ev.sourceEvent?.target || null).style("cursor", "grabbing");
+    })
+    .on("drag", (ev, d) => {
+      d.fx = ev.x;
+      d.fy = ev.y;
+    })
+    .on("end", ev => {
+      if (!ev.active) sim.alphaTarget(0);
+      d3.select(ev.sourceEvent?.target || null).style("cursor", "grab");
+    });
+
+  node.call(drag);
+
+  // ---- Keyboard access: focus shows the tooltip and the neighbors
+  keyboardNav(node, d => `${d.label}: ${t("tip.deaths", { value: d3.format(",")(Math.round(d.total)) })}`, {
+    clickable: !!options.onCountryClick
+  });
+
+  // ---- Reset button
+  btn.on("click", () => {
+    nodes.forEach(n => { n.fx = null; n.fy = null; });
+    sim.alpha(1).restart();
+  });
+
+  // ---- Tick
+  sim.on("tick", () => {
+    // clamp to bounds (hard clamp avoids escaping)
+    nodes.forEach(n => {
+      const rr = r(n.total);
+      n.x = Math.max(rr, Math.min(innerW - rr, n.x));
+      n.y = Math.max(rr, Math.min(innerH - rr, n.y));
+    });
+
+    link
+      .attr("x1", d => (typeof d.source === "string" ? nodeById.get(d.source).x : d.source.x))
+      .attr("y1", d => (typeof d.source === "string" ? nodeById.get(d.source).y : d.source.y))
+      .attr("x2", d => (typeof d.target === "string" ? nodeById.get(d.target).x : d.target.x))
+      .attr("y2", d => (typeof d.target === "string" ? nodeById.get(d.target).y : d.target.y));
+
+    node
+      .attr("cx", d => d.x)
+      .attr("cy", d => d.y);
+
+    // label offset: above-right
+    label
+      .attr("x", d => d.x + r(d.total) + 6)
+      .attr("y", d => d.y - 6);
+  });
+
+  // Caption
+  root.append("div")
+    .attr("class", "caption")
+    .text(t("network.caption", { n: TOP_N, threshold: SIM_THRESHOLD, k: TOP_K, year }));
+
+  // Linked selection: focus the selected node and its neighbours.
+  chart.highlight = iso => {
+    selectedIso = iso;
+    node.classed("country-selected", d => d.iso === iso);
+    resetFocus();
+  };
+}
+
+export const createNetwork = chartFactory(drawNetwork, DEFAULTS);
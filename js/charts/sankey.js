@@ -0,0 +1,386 @@
+/* 13) Sankey diagram — flows Type -> Country (snapshot year) */
+
+import {
+  TYPE_COLORS, alertIn, chartFactory, escapeHtml, hideTooltip, keyboardNav,
+  latestYear, showTooltip, truncateLabel
+} from "../core.js";
+import { countryName, t, typeName } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the Sankey diagram (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,         // snapshot year (latest in the data when null)
+  topN: 10,           // countries drawn on their own; the rest become "Other countries"
+  minFlow: 0,         // links at or below this value are dropped
+  height: 540,
+  nodeWidth: 16,
+  nodePadding: 18,
+  labelMaxChars: 18,  // longer labels are truncated (the tooltip shows them in full;
+                      // at most 12 characters when compact)
+  colors: TYPE_COLORS
+};
+
+/**
+ * Draw the deaths of a year flowing from each included type to the countries.
+ * `data`: canonical country rows (see js/data.js). Needs d3-sankey.
+ */
+function drawSankey(sel, data, options, chart) {
+  const { types, colors, compact } = options;
+  const { ink, muted, stroke } = theme();
+  const year = options.year ?? latestYear(data);
+
+  // d3-sankey must be loaded separately
+  if (typeof d3.sankey !== "function") {
+    alertIn(sel, t("alert.noSankey"));
+    return;
+  }
+
+  // ======================
+  // Settings (from options)
+  // ======================
+  const TOP_N = options.topN;
+  const MIN_FLOW = options.minFlow;
+  const HEIGHT = options.height;
+  const MARGIN = { top: 14, right: 24, bottom: 14, left: 24 };
+  const NODE_WIDTH = options.nodeWidth;
+  const NODE_PADDING = compact ? Math.min(10, options.nodePadding) : options.nodePadding;
+  const LABEL_MAX_CHARS = compact ? Math.min(12, options.labelMaxChars) : options.labelMaxChars;
+  const LINK_OPACITY_DEFAULT = 0.35;
+  const LINK_OPACITY_DIM = 0.06;
+  const LINK_OPACITY_FOCUS = 0.92;
+
+  // ======================
+  // Helpers: naming/labels
+  // ======================
+  const COUNTRY_ALIASES = new Map([
+    ["Democratic Republic of Congo", "DR Congo"],
+    ["Democratic Republic of the Congo", "DR Congo"],
+    ["Congo, Dem. Rep.", "DR Congo"],
+    ["Central African Republic", "CAR"],
+    ["United States", "USA"],
+    ["United Kingdom", "UK"],
+    ["Russian Federation", "Russia"],
+    ["Iran (Islamic Republic of)", "Iran"],
+    ["Syrian Arab Republic", "Syria"],
+    ["Venezuela (Bolivarian Republic of)", "Venezuela"],
+    ["Bolivia (Plurinational State of)", "Bolivia"],
+    ["Tanzania, United Republic of", "Tanzania"],
+    ["Viet Nam", "Vietnam"],
+    ["Lao People's Democratic Republic", "Laos"],
+    ["Myanmar (Burma)", "Myanmar"]
+  ]);
+
+  // The aliases shorten English names; other locales use their map names.
+  function prettyCountryName(row) {
+    return countryName(row.code, COUNTRY_ALIASES.get(row.entity) || row.entity);
+  }
+
+  function fmtInt(x) {
+    return d3.format(",")(Math.round(+x || 0));
+  }
+
+  // ======================
+  // Prepare year data
+  // ======================
+  const yearRows = data.filter(d => d.year === year && d.total > 0);
+  if (!yearRows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  // Top N countries by total
+  const top = yearRows
+    .slice()
+    .sort((a, b) => d3.descending(a.total, b.total))
+    .slice(0, TOP_N);
+
+  const topNames = new Set(top.map(d => d.entity));
+  const others = yearRows.filter(d => !topNames.has(d.entity));
+
+  // Aggregate "Other countries" by type
+  const otherAgg = { entity: "Other countries" };
+  types.forEach(k => {
+    otherAgg[k] = d3.sum(others, d => Math.max(0, +d[k] || 0));
+  });
+  otherAgg.total = d3.sum(types, k => otherAgg[k] || 0);
+  const includeOther = otherAgg.total > 0;
+
+  // ======================
+  // Build nodes
+  // ======================
+  const typeNodes = types.map((k, i) => ({
+    id: `type:${k}`,
+    type: k,
+    label: typeName(k),
+    kind: "type",
+    sortKey: i
+  }));
+
+  // countries sorted by total desc
+  const topSorted = top
+    .slice()
+    .sort((a, b) => d3.descending(a.total, b.total));
+
+  const countryNodes = topSorted.map((d, i) => ({
+    id: `c:${d.entity}`,
+    label: prettyCountryName(d),
+    fullLabel: d.entity,                 // original (for tooltip and export)
+    iso: d.code,                         // for linked selection
+    kind: "country",
+    total: d.total,
+    sortKey: i,
+    isOther: false
+  }));
+
+  if (includeOther) {
+    countryNodes.push({
+      id: "c:Other countries",
+      label: t("sankey.other"),
+      fullLabel: "Other countries (aggregated)",
+      kind: "country",
+      total: otherAgg.total,
+      sortKey: 999999,                   // always last
+      isOther: true
+    });
+  }
+
+  const nodes = [...typeNodes, ...countryNodes];
+
+  // ======================
+  // Build links
+  // ======================
+  const links = [];
+
+  // Top countries links
+  topSorted.forEach(d => {
+    types.forEach(k => {
+      const v = Math.max(0, +d[k] || 0);
+      if (v > MIN_FLOW) {
+        links.push({
+          source: `type:${k}`,
+          target: `c:${d.entity}`,
+          value: v,
+          type: k,
+          countryFull: countryName(d.code, d.entity),
+          countryPretty: prettyCountryName(d),
+          isOther: false
+        });
+      }
+    });
+  });
+
+  // Other aggregated links
+  if (includeOther) {
+    types.forEach(k => {
+      const v = Math.max(0, +otherAgg[k] || 0);
+      if (v > MIN_FLOW) {
+        links.push({
+          source: `type:${k}`,
+          target: "c:Other countries",
+          value: v,
+          type: k,
+          countryFull: t("sankey.otherAggregated"),
+          countryPretty: t("sankey.other"),
+          isOther: true
+        });
+      }
+    });
+  }
+
+  if (!links.length) {
+    alertIn(sel, t("alert.noPositiveFlows", { year }));
+    return;
+  }
+
+  // ======================
+  // Width (container width unless given)
+  // ======================
+  const container = d3.select(sel);
+  container.html(""); // clear
+
+  const WIDTH = options.width;
+
+  const svg = container.append("svg")
+    .attr("width", WIDTH)
+    .attr("height", HEIGHT);
+
+  d3.select(sel).on("mouseleave", hideTooltip);
+
+  // ======================
+  // Sankey layout (+ sorting!)
+  // ======================
+  const sankey = d3.sankey()
+    .nodeId(d => d.id)
+    .nodeWidth(NODE_WIDTH)
+    .nodePadding(NODE_PADDING)
+    .extent([[MARGIN.left, MARGIN.top], [WIDTH - MARGIN.right, HEIGHT - MARGIN.bottom]])
+    .nodeSort((a, b) => {
+      // Keep types ordered by TYPE_ORDER (top->bottom)
+      if (a.kind === "type" && b.kind === "type") return d3.ascending(a.sortKey, b.sortKey);
+
+      // Keep countries ordered by total desc; Other always last via huge sortKey
+      if (a.kind === "country" && b.kind === "country") {
+        // primary: sortKey; (topSorted gives sortKey by rank)
+        return d3.ascending(a.sortKey, b.sortKey);
+      }
+
+      // If mixing kinds in same column (shouldn't happen): keep types before countries
+      return (a.kind === "type" ? -1 : 1);
+    });
+
+  // sankey mutates input => clone
+  chart.data = {
+    nodes: nodes.map(d => ({ id: d.id, label: d.type ?? d.fullLabel, kind: d.kind, iso: d.iso ?? "", year })),
+    links: links.map(d => ({ source: d.source, target: d.target, type: d.type, value: d.value, year }))
+  };
+
+  const graph = sankey({
+    nodes: nodes.map(d => ({ ...d })),
+    links: links.map(d => ({ ...d }))
+  });
+
+  // ======================
+  // Hover highlight helpers
+  // ======================
+  let selectedIso = null;
+
+  function resetHighlight() {
+    // Fall back to the highlighted country, if it is in the diagram.
+    const selected = graph.nodes.find(n => n.iso && n.iso === selectedIso);
+    if (selected) {
+      focusNode(selected);
+      return;
+    }
+
+    linkSel
+      .attr("stroke-opacity", LINK_OPACITY_DEFAULT)
+      .attr("stroke-width", d => Math.max(1, d.width));
+    nodeRects
+      .attr("opacity", d => (d.kind === "type" ? 0.86 : 0.72));
+  }
+
+  function focusLinks(predicate) {
+    linkSel
+      .attr("stroke-opacity", d => (predicate(d) ? LINK_OPACITY_FOCUS : LINK_OPACITY_DIM))
+      .attr("stroke-width", d => (predicate(d) ? Math.max(1.6, d.width + 0.6) : Math.max(1, d.width)));
+  }
+
+  function focusNode(n) {
+    nodeRects
+      .attr("opacity", d => (d.id === n.id ? 1 : (d.kind === "type" ? 0.25 : 0.2)));
+    focusLinks(d => d.source.id === n.id || d.target.id === n.id);
+  }
+
+  // ======================
+  // Draw links
+  // ======================
+  const linkSel = svg.append("g")
+    .attr("class", "sankey-links")
+    .attr("fill", "none")
+    .selectAll("path")
+    .data(graph.links)
+    .join("path")
+    .attr("d", d3.sankeyLinkHorizontal())
+    .attr("stroke", d => colors(d.type))
+    .attr("stroke-opacity", LINK_OPACITY_DEFAULT)
+    .attr("stroke-width", d => Math.max(1, d.width))
+    .on("mouseenter", (ev, d) => {
+      focusLinks(x => x === d);
+      const html =
+        `<strong>${typeName(d.type)}</strong> → <strong>${escapeHtml(d.countryFull)}</strong><br/>` +
+        t("sankey.flow", { value: fmtInt(d.value), year });
+      showTooltip(ev, html);
+    })
+    .on("mousemove", (ev, d) => {
+      const html =
+        `<strong>${typeName(d.type)}</strong> → <strong>${escapeHtml(d.countryFull)}</strong><br/>` +
+        t("sankey.flow", { value: fmtInt(d.value), year });
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", () => {
+      hideTooltip();
+      resetHighlight();
+    });
+
+  // ======================
+  // Draw nodes
+  // ======================
+  const fullName = d => (d.kind === "country"
+    ? (d.isOther ? t("sankey.otherAggregated") : countryName(d.iso, d.fullLabel))
+    : d.label);
+
+  const nodeG = svg.append("g")
+    .selectAll("g")
+    .data(graph.nodes)
+    .join("g");
+
+  const nodeRects = nodeG.append("rect")
+    .attr("x", d => d.x0)
+    .attr("y", d => d.y0)
+    .attr("height", d => Math.max(1, d.y1 - d.y0))
+    .attr("width", d => d.x1 - d.x0)
+    .attr("rx", 3)
+    .attr("fill", d => (d.kind === "type" ? colors(d.type) : (d.isOther ? muted : stroke)))
+    .attr("opacity", d => (d.kind === "type" ? 0.86 : 0.72))
+    .on("mouseenter", (ev, d) => {
+      focusNode(d);
+
+      const total = d.value || 0;
+      const full  = fullName(d);
+
+      const html =
+        `<strong>${escapeHtml(full)}</strong><br/>` +
+        t("sankey.totalFlow", { value: fmtInt(total), year });
+      showTooltip(ev, html);
+    })
+    .on("mousemove", (ev, d) => {
+      const total = d.value || 0;
+      const full  = fullName(d);
+
+      const html =
+        `<strong>${escapeHtml(full)}</strong><br/>` +
+        t("sankey.totalFlow", { value: fmtInt(total), year });
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", () => {
+      hideTooltip();
+      resetHighlight();
+    })
+    .on("click", (ev, d) => d.iso && options.onCountryClick?.(d.iso));
+
+  nodeRects
+    .filter(d => d.iso)
+    .classed("selectable", true);
+
+  // ======================
+  // Labels (truncated, tooltip keeps full)
+  // ======================
+  nodeG.append("text")
+    .attr("x", d => (d.x0 < WIDTH / 2 ? d.x1 + 6 : d.x0 - 6))
+    .attr("y", d => (d.y0 + d.y1) / 2)
+    .attr("dy", "0.32em")
+    .attr("text-anchor", d => (d.x0 < WIDTH / 2 ? "start" : "end"))
+    .attr("font-size", 12)
+    .attr("fill", ink)
+    .text(d => truncateLabel(d.label, LABEL_MAX_CHARS))
+    .append("title")
+    .text(fullName);
+
+  // Keyboard access: types, then countries; Enter / Space select a country.
+  keyboardNav(nodeRects, d => `${fullName(d)}: ${t("tip.deaths", { value: fmtInt(d.value || 0) })}`, {
+    clickable: d => !!(d.iso && options.onCountryClick)
+  });
+
+  // Caption
+  container.append("div")
+    .attr("class", "caption")
+    .text(t("sankey.caption", { n: TOP_N, year }));
+
+  // Linked selection: focus the selected country's links (see resetHighlight).
+  chart.highlight = iso => {
+    selectedIso = iso;
+    resetHighlight();
+  };
+}
+
+export const createSankey = chartFactory(drawSankey, DEFAULTS);
@@ -0,0 +1,145 @@
+/* 4) 100% stacked barchart — World shares by type over time */
+
+import {
+  TYPE_COLORS, addTypeLegend, alertIn, chartFactory, hideTooltip, keyboardNav,
+  showTooltip
+} from "../core.js";
+import { t, typeName } from "../i18n.js";
+
+/** Options of the 100% stacked barchart (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  height: 360,
+  colors: TYPE_COLORS
+};
+
+/**
+ * Draw the share of each included type per year.
+ * `data`: canonical rows of one aggregate (World or a region), one per year.
+ */
+function drawStacked100(sel, worldRows, options, chart) {
+  const { width, height, colors, types, compact } = options;
+
+  if (!worldRows.length) {
+    alertIn(sel, t("alert.noAggregate"));
+    return;
+  }
+
+  const absByYear = new Map(
+    worldRows.map(r => [r.year, r])
+  );
+
+  const years = worldRows
+    .map(d => d.year)
+    .sort((a, b) => a - b);
+
+  const propRows = years.map(y => {
+    const d   = absByYear.get(y);
+    const sum = d3.sum(types, k => d[k] || 0) || 1;
+    const r   = { year: y };
+
+    types.forEach(k => {
+      r[k] = (d[k] || 0) / sum;
+    });
+
+    return r;
+  });
+
+  const margin = { top: 8, right: 24, bottom: 58, left: 52 };
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3.scaleBand()
+    .domain(years)
+    .range([margin.left, width - margin.right])
+    .padding(0.08);
+
+  const y = d3.scaleLinear()
+    .domain([0, 1])
+    .range([height - margin.bottom, margin.top]);
+
+  const stack = d3.stack()
+    .keys(types)
+    .order(d3.stackOrderNone)
+    .offset(d3.stackOffsetExpand);
+
+  const series = stack(propRows);
+  chart.data = propRows;
+
+  // Light horizontal grid.
+  svg.append("g")
+    .attr("class", "grid")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(
+      d3.axisLeft(y)
+        .tickValues([0, 0.25, 0.5, 0.75, 1])
+        .tickSize(-(width - margin.left - margin.right))
+        .tickFormat("")
+    )
+    .selectAll("line")
+    .attr("opacity", 0.35);
+
+  // Bars.
+  const segments = svg.append("g")
+    .selectAll("g")
+    .data(series)
+    .join("g")
+    .attr("fill", d => colors(d.key))
+    .selectAll("rect")
+    .data(d => d)
+    .join("rect")
+    .attr("x", d => x(d.data.year))
+    .attr("y", d => y(d[1]))
+    .attr("height", d => y(d[0]) - y(d[1]))
+    .attr("width", x.bandwidth())
+    .on("mousemove", (ev, d) => {
+      const key  = d3.select(ev.currentTarget.parentNode).datum().key;
+      const year = d.data.year;
+      const pct  = d3.format(".0%")(d[1] - d[0]);
+      const abs  = absByYear.get(year)?.[key] ?? 0;
+
+      const html =
+        `<strong>${typeName(key)}</strong> — ${year}<br/>` +
+        `${pct} (${t("tip.deaths", { value: d3.format(",")(abs) })})`;
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  // Keyboard access, year by year (each bar's segments bottom to top).
+  keyboardNav(segments, function (d) {
+    const key = d3.select(this.parentNode).datum().key;
+    return `${typeName(key)}, ${d.data.year}: ${d3.format(".0%")(d[1] - d[0])}`;
+  }, { order: (a, b) => a.data.year - b.data.year });
+
+  // Axes (compact layout: every fifth year, rotated).
+  const yearStep = compact ? 5 : 2;
+  const xAxis = svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(
+      d3.axisBottom(x)
+        .tickValues(years.filter(yv => yv % yearStep === 0))
+    );
+
+  if (compact) {
+    xAxis.selectAll("text")
+      .attr("transform", "rotate(-40)")
+      .style("text-anchor", "end");
+  }
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(
+      d3.axisLeft(y)
+        .tickValues(compact ? [0, 0.5, 1] : [0, 0.25, 0.5, 0.75, 1])
+        .tickFormat(d3.format(".0%"))
+    );
+
+  // Type legend (shared helper).
+  addTypeLegend(sel, types, options.onTypeToggle, options.compact);
+}
+
+export const createStacked100 = chartFactory(drawStacked100, DEFAULTS);
@@ -0,0 +1,281 @@
+/* 11) Proportional symbol map — country totals as circles (snapshot year)*/
+
+import {
+  MAP_TRANSITION_MS, addMissingLegend, alertIn, chartFactory, deathsHtml, escapeHtml,
+  featureISO3, featureMissingTest, hideTooltip, isISO3, keyboardNav, latestYear,
+  mapLayer, mapLayout, mapZoom, measureFormat, measureValue, missingPattern,
+  placeSpecialEntities, showTooltip, specialEntityHtml, specialEntityXY, uniqueId
+} from "../core.js";
+import { countryName, t } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the proportional symbol map (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,           // snapshot year (latest in the data when null)
+  measure: "absolute",  // "absolute" deaths or "per100k" (rows need `rate`)
+  height: null,         // px (proportional to the width when null)
+  radius: [2, 22],      // circle radius range (px; 60% of it when compact)
+  transition: MAP_TRANSITION_MS,
+  zoom: null,           // view (see mapZoom in core.js), null for the whole world
+  onZoom: null          // (view) => …, called when the reader zooms or pans
+};
+
+/**
+ * Draw one circle per country, its area proportional to the value in a year.
+ * `data`: `{ world, rows }`, a GeoJSON FeatureCollection of the countries
+ * and canonical rows (countries plus historical / disputed entities).
+ */
+function drawProportionalMap(sel, { world: worldFC, rows: dataRows }, options, chart) {
+  const { measure, width, transition, types, compact } = options;
+  const { annotation, land } = theme();
+  const year = options.year ?? latestYear(dataRows);
+
+  // 0) Validate GeoJSON input
+  if (!worldFC || !Array.isArray(worldFC.features) || !worldFC.features.length) {
+    alertIn(sel, t("alert.noWorld"));
+    return;
+  }
+  const features = worldFC.features;
+
+  // 1) Filter data for the selected year and build an ISO3 -> value lookup
+  const rows = dataRows.filter(d => d.year === year && isISO3(d.code));
+  if (!rows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  const valueByISO = {};
+  const rowByISO   = {};
+  rows.forEach(d => {
+    const iso = d.code;
+    const val = +measureValue(d, measure);
+    rowByISO[iso] = d;
+    if (!Number.isNaN(val) && val > 0) {
+      valueByISO[iso] = val;
+    }
+  });
+
+  const positiveValues = Object.values(valueByISO).filter(v => v > 0);
+  if (!positiveValues.length) {
+    alertIn(sel, t("alert.noPositiveTotals", { year }));
+    return;
+  }
+  const maxVal = d3.max(positiveValues) || 1;
+
+  const { height, marginBottom, mapHeight, legendTop } =
+    mapLayout(width, options.height, compact);
+
+  // 2) Projection and path generator (kept consistent with choropleth)
+  const projection = d3.geoNaturalEarth1()
+    .fitSize([width, mapHeight], worldFC);
+
+  const path = d3.geoPath(projection);
+
+  // Reuse the SVG of a previous render so that circles can grow/shrink
+  // between years; basemap and layer groups are only built once per size.
+  const root = d3.select(sel);
+  let svg = root.select("svg.symbol-map");
+
+  if (svg.empty() || +svg.attr("width") !== width || +svg.attr("height") !== height) {
+    svg = root.html("")
+      .append("svg")
+      .attr("class", "symbol-map")
+      .attr("id", uniqueId("symbol-map"))
+      .attr("width", width)
+      .attr("height", height);
+
+    const layer = mapLayer(svg, width, mapHeight);
+    layer.append("g").attr("class", "basemap");
+    layer.append("g").attr("class", "symbols");
+  }
+
+  // Hide tooltip when leaving the map container
+  root.on("mouseleave", hideTooltip);
+
+  // 3) Basemap in a light neutral style; countries without data are hatched
+  const isMissing   = featureMissingTest(dataRows, year, types);
+  const missingFill = missingPattern(svg, `${svg.attr("id")}-missing`);
+
+  svg.select("g.basemap")
+    .selectAll("path")
+    .data(features)
+    .join("path")
+      .attr("d", path)
+      .attr("class", "symbol-country")
+      .style("fill", d => (isMissing(d) ? missingFill : null))
+      .on("mousemove", (ev, d) => {
+        if (!isMissing(d)) return;
+        const name = countryName(featureISO3(d), d.properties?.name || t("map.unknown"));
+        showTooltip(ev, `<strong>${escapeHtml(name)}</strong><br/>${t("tip.noDataFor", { year })}`);
+      })
+      .on("mouseleave", hideTooltip);
+
+  addMissingLegend(svg, 12, legendTop + 10, missingPattern(svg, `${svg.attr("id")}-missing-key`), land);
+
+  // 4) Circle radius (square-root scale so that area ∝ value)
+  const radius = d3.scaleSqrt()
+    .domain([measure === "per100k" ? 0 : 1, maxVal])
+    .range(compact ? options.radius.map(r => r * 0.6) : options.radius)
+    .clamp(true);
+
+  // Zoom and pan (synchronized with the other maps by the dashboard);
+  // circles keep their screen size, so that the legend still applies.
+  mapZoom(svg, svg.select("g.map-layer"), projection, [width, mapHeight], options, chart, k => {
+    svg.select("g.symbols").selectAll("circle")
+      .attr("r", d => radius(d.value) / k);
+  });
+  const zoomK = d3.zoomTransform(svg.node()).k;
+
+  // 5) Build list of features with both geometry and data (+ centroids)
+  const symbolFeatures = features
+    .map(f => {
+      const iso = featureISO3(f);
+      const val = valueByISO[iso];
+      if (!val || val <= 0) return null;
+
+      const c  = path.centroid(f);
+      const cx = c[0];
+      const cy = c[1];
+      if (!Number.isFinite(cx) || !Number.isFinite(cy)) return null;
+
+      return { feature: f, iso, value: val, cx, cy };
+    })
+    .filter(d => d !== null)
+    // Historical / disputed entities: one circle at the centroid of their
+    // (successor) geometries or at their marker position.
+    .concat(
+      placeSpecialEntities(dataRows.filter(d => d.year === year), features, d => measureValue(d, measure))
+        .map(d => {
+          const [cx, cy] = specialEntityXY(d, projection, path) || [];
+          return { feature: null, iso: d.key, value: d.value, cx, cy, special: d };
+        })
+        .filter(d => Number.isFinite(d.cx) && Number.isFinite(d.cy))
+    )
+    // Larger circles first so that smaller ones remain visible on top
+    .sort((a, b) => d3.descending(a.value, b.value));
+
+  if (!symbolFeatures.length) {
+    alertIn(sel, t("alert.noGeometries", { year }));
+    return;
+  }
+
+  // Exported data keeps the dataset's names; labels follow the locale.
+  const entityOf = d => (d.special ? d.special.row.entity : (d.feature.properties?.name ?? d.iso));
+  const nameOf   = d => countryName(d.iso, entityOf(d));
+
+  chart.data = symbolFeatures.map(d => ({
+    iso: d.iso,
+    name: entityOf(d),
+    year,
+    measure,
+    value: d.value,
+    radius: radius(d.value),
+    cx: d.cx,
+    cy: d.cy
+  }));
+
+  const fmt = measureFormat(measure);
+
+  // 6) Draw circles, keyed by ISO3: new countries grow from zero,
+  //    countries without deaths this year shrink away.
+  const circles = svg.select("g.symbols")
+    .selectAll("circle")
+    .data(symbolFeatures, d => d.iso)
+    .join(
+      enter => enter.append("circle")
+        .attr("class", "symbol-circle")
+        .attr("cx", d => d.cx)
+        .attr("cy", d => d.cy)
+        .attr("r", 0),
+      update => update,
+      exit => exit
+        .transition()
+        .duration(transition)
+        .attr("r", 0)
+        .remove()
+    )
+      .classed("special", d => !!d.special)
+      .order()
+      .on("click", (ev, d) => options.onCountryClick?.(d.iso))
+      .on("mousemove", (ev, d) => {
+        if (d.special) {
+          showTooltip(ev, specialEntityHtml(d.special, year, types));
+          return;
+        }
+
+        const name = countryName(
+          d.iso,
+          d.feature.properties?.name || d.feature.properties?.ADMIN || d.iso
+        );
+
+        const html =
+          `<strong>${escapeHtml(name)}</strong><br/>` +
+          deathsHtml(rowByISO[d.iso], year, types);
+        showTooltip(ev, html);
+      })
+      .on("mouseleave", hideTooltip);
+
+  circles.transition()
+    .duration(transition)
+    .attr("cx", d => d.cx)
+    .attr("cy", d => d.cy)
+    .attr("r",  d => radius(d.value) / zoomK);
+
+  // Keyboard access from the largest circle down; Enter / Space select.
+  keyboardNav(circles, d => `${nameOf(d)}: ${fmt(d.value)}`, {
+    clickable: !!options.onCountryClick
+  });
+
+  // 7) Simple bubble legend (bottom-right corner, or below the "no data"
+  //    key when compact), rebuilt for the new scale
+  svg.select("g.symbol-legend").remove();
+
+  // Use "nice" rounded values to make the legend easier to read
+  const niceMax = d3.tickStep(0, maxVal, 1);   // e.g. 80k for 75k
+  let legendVals = [niceMax / 4, niceMax / 2, niceMax]
+    .map(v => (measure === "per100k" ? +v.toPrecision(2) : Math.round(v)))
+    .filter((v, i, arr) => v > 0 && arr.indexOf(v) === i);
+
+  if (legendVals.length) {
+    const legend = svg.append("g")
+      .attr("class", "symbol-legend")
+      .attr("transform", compact
+        ? `translate(${12 + radius(legendVals.at(-1))}, ${height - 8})`
+        : `translate(${width - 140}, ${height - marginBottom + 10})`);
+
+    const lineHeight = 26;
+
+    legendVals.slice().reverse().forEach((v, i) => {
+      const r  = radius(v);
+      const cy = -i * lineHeight - r;
+
+      legend.append("circle")
+        .attr("cx", 0)
+        .attr("cy", cy)
+        .attr("r",  r)
+        .attr("class", "symbol-circle");
+
+      legend.append("text")
+        .attr("x", r + 8)
+        .attr("y", cy + 4)
+        .text(fmt(v));
+    });
+
+    legend.append("text")
+      .attr("x", 0)
+      .attr("y", -legendVals.length * lineHeight - 6)
+      .attr("font-size", 12)
+      .attr("fill", annotation)
+      .text(measure === "per100k" ? t("symbol.legendRate") : t("symbol.legendTotal"));
+  }
+
+  // Linked selection: outline the selected country's circle and its outline.
+  chart.highlight = iso => {
+    svg.select("g.symbols").selectAll("circle")
+      .classed("country-selected", d => d.iso === iso);
+    svg.select("g.basemap").selectAll("path")
+      .classed("country-selected", d => iso != null && featureISO3(d) === iso);
+  };
+}
+
+export const createSymbolMap = chartFactory(drawProportionalMap, DEFAULTS);
@@ -0,0 +1,201 @@
+/* 9) Time series — World totals over time (brushable year range) */
+
+import {
+  alertIn, chartFactory, hideTooltip, keyboardNav, rangeHtml, rowBound, showTooltip
+} from "../core.js";
+import { regionName, t } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the time series (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  range: null,          // [startYear, endYear] shown as the brush selection
+  onRangeChange: null,  // called with the brushed [start, end] (null when cleared)
+  onYearSelect: null,   // called with the year of a click on the chart
+  height: 360,
+  color: null           // line color (the theme's strong accent when null)
+};
+
+/**
+ * Draw the total deaths of one aggregate per year, with a year-range brush.
+ * `data`: canonical rows of one aggregate (World or a region), one per year.
+ */
+function drawTimeSeries(sel, worldRows, options, chart) {
+  const { range, width, height, types, compact } = options;
+  const { accentStrong, paper } = theme();
+  const color = options.color ?? accentStrong;
+
+  if (!worldRows.length) {
+    alertIn(sel, t("alert.noAggregate"));
+    return;
+  }
+
+  const rows = worldRows
+    .slice()
+    .sort((a, b) => d3.ascending(a.year, b.year));
+
+  const years  = rows.map(d => d.year);
+  const totals = rows.map(d => rowBound(d, "high", types) ?? d.total);
+  const hasBounds = rows.some(d => d.low && d.high);
+
+  chart.data = rows.map(d => ({
+    entity: d.entity,
+    year: d.year,
+    deaths: d.total,
+    low: rowBound(d, "low", types),
+    high: rowBound(d, "high", types)
+  }));
+
+  const margin = { top: 18, right: compact ? 16 : 28, bottom: 58, left: compact ? 64 : 100 };
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3.scaleLinear()
+    .domain(d3.extent(years))
+    .range([margin.left, width - margin.right]);
+
+  const y = d3.scaleLinear()
+    .domain([0, d3.max(totals) || 1])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  // Horizontal grid.
+  svg.append("g")
+    .attr("class", "grid")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(
+      d3.axisLeft(y)
+        .ticks(5)
+        .tickSize(-(width - margin.left - margin.right))
+        .tickFormat("")
+    )
+    .selectAll("line")
+    .attr("opacity", 0.3);
+
+  // Shaded ribbon between the low and high estimates, when available.
+  if (hasBounds) {
+    const ribbon = d3.area()
+      .defined(d => d.low && d.high)
+      .x(d => x(d.year))
+      .y0(d => y(rowBound(d, "low", types)))
+      .y1(d => y(rowBound(d, "high", types)))
+      .curve(d3.curveMonotoneX);
+
+    svg.append("path")
+      .datum(rows)
+      .attr("class", "uncertainty-ribbon")
+      .attr("fill", color)
+      .attr("fill-opacity", 0.18)
+      .attr("d", ribbon);
+  }
+
+  const line = d3.line()
+    .x(d => x(d.year))
+    .y(d => y(d.total))
+    .curve(d3.curveMonotoneX);
+
+  svg.append("path")
+    .datum(rows)
+    .attr("fill", "none")
+    .attr("stroke", color)
+    .attr("stroke-width", 2.4)
+    .attr("d", line);
+
+  const fmt = d3.format(",");
+
+  // Brush: select a year range for the aggregate views. Drawn below the
+  // points so that their tooltips keep working.
+  const brush = d3.brushX()
+    .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+    .on("end", ev => {
+      // Ignore programmatic moves (snapping, restoring a range).
+      if (!ev.sourceEvent) return;
+
+      if (!ev.selection) {
+        options.onRangeChange?.(null);
+        return;
+      }
+
+      // Snap to whole years.
+      const [y0, y1] = ev.selection.map(px => Math.round(x.invert(px)));
+      if (y0 === y1) {
+        gBrush.call(brush.move, null);
+        options.onYearSelect?.(y0);
+        return;
+      }
+
+      gBrush.call(brush.move, [x(y0), x(y1)]);
+      options.onRangeChange?.([y0, y1]);
+    });
+
+  const gBrush = svg.append("g")
+    .attr("class", "brush")
+    .call(brush);
+
+  if (range) {
+    gBrush.call(brush.move, range.map(x));
+  }
+
+  const points = svg.append("g")
+    .selectAll("circle")
+    .data(rows)
+    .join("circle")
+    .attr("cx", d => x(d.year))
+    .attr("cy", d => y(d.total))
+    .attr("r", 3)
+    .attr("fill", color)
+    .attr("stroke", paper)
+    .attr("stroke-width", 1)
+    .on("mousemove", (ev, d) => {
+      const html =
+        `<strong>${d.year}</strong><br/>` +
+        t("tip.deaths", { value: fmt(Math.round(d.total)) }) +
+        rangeHtml(rowBound(d, "low", types), rowBound(d, "high", types), v => fmt(Math.round(v)));
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  keyboardNav(points, d => `${d.year}: ${t("tip.deaths", { value: fmt(Math.round(d.total)) })}`);
+
+  // Axes.
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(
+      d3.axisBottom(x)
+        .ticks(compact ? 4 : 8)
+        .tickFormat(d3.format("d"))
+    );
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format("~s")));
+
+  svg.append("text")
+    .attr("class", "axis-label")
+    .attr("x", (margin.left + (width - margin.right)) / 2)
+    .attr("y", height - margin.bottom + 40)
+    .text(t("axis.year"));
+
+  const centerY = (margin.top + (height - margin.bottom)) / 2;
+
+  svg.append("text")
+    .attr("class", "axis-label")
+    .attr("transform", `translate(${margin.left - (compact ? 46 : 60)}, ${centerY}) rotate(-90)`)
+    .attr("text-anchor", "middle")
+    .text(compact
+      ? t("timeseries.axisShort", { region: regionName(rows[0].entity) })
+      : t("timeseries.axis", { region: regionName(rows[0].entity) }));
+
+  if (!options.onRangeChange) return;
+
+  d3.select(sel)
+    .append("div")
+    .attr("class", "caption")
+    .text(t("timeseries.brushHint"));
+}
+
+export const createTimeSeries = chartFactory(drawTimeSeries, DEFAULTS);
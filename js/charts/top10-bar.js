@@ -0,0 +1,169 @@
+/* 1) Top-10 barchart (absolute totals per country) */
+
+import {
+  alertIn, chartFactory, deathsHtml, escapeHtml, hideTooltip, keyboardNav, latestYear,
+  measureBounds, measureFormat, measureValue, showTooltip, truncateLabel
+} from "../core.js";
+import { countryName, t } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the Top-10 barchart (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,           // snapshot year (latest in the data when null)
+  measure: "absolute",  // "absolute" deaths or "per100k" (rows need `rate`)
+  topN: 10,             // number of bars
+  height: 360,
+  barColor: null        // bar fill (the theme's accent when null)
+};
+
+/**
+ * Draw the countries with the highest value in a year.
+ * `data`: canonical country rows (see js/data.js).
+ */
+function drawTop10Bar(sel, data, options, chart) {
+  const { measure, topN, width, height, types, compact } = options;
+  const { accent, ink } = theme();
+  const barColor = options.barColor ?? accent;
+  const year  = options.year ?? latestYear(data);
+  const value = d => measureValue(d, measure);
+  const rows  = data.filter(d => d.year === year && value(d) > 0);
+  if (!rows.length) {
+    alertIn(sel, t("alert.noCountryData", { year }));
+    return;
+  }
+
+  const top10 = rows
+    .sort((a, b) => d3.descending(value(a), value(b)))
+    .slice(0, topN);
+
+  // Country names in the page language, by entity (the band scale's domain).
+  const names = new Map(top10.map(d => [d.entity, countryName(d.code, d.entity)]));
+
+  // Low/high estimates (null per row when the CSV has no bounds).
+  const bounds = d => measureBounds(d, measure, types);
+  const barEnd = d => Math.max(value(d), bounds(d)?.[1] ?? 0);
+
+  chart.data = top10.map((d, i) => ({
+    rank: i + 1,
+    entity: d.entity,
+    code: d.code,
+    year,
+    measure,
+    value: value(d),
+    low: bounds(d)?.[0] ?? null,
+    high: bounds(d)?.[1] ?? null
+  }));
+
+  // Compact layout: shorter country labels leave room for the bars.
+  const margin = { top: 10, right: 28, bottom: 44, left: compact ? 110 : 220 };
+  const ticks  = compact ? 3 : 6;
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3.scaleLinear()
+    .domain([0, d3.max(top10, barEnd) || 1])
+    .nice()
+    .range([margin.left, width - margin.right]);
+
+  const y = d3.scaleBand()
+    .domain(top10.map(d => d.entity))
+    .range([margin.top, height - margin.bottom])
+    .padding(0.18);
+
+  // Horizontal grid lines.
+  svg.append("g")
+    .attr("class", "grid")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(
+      d3.axisBottom(x)
+        .ticks(ticks)
+        .tickSize(-(height - margin.top - margin.bottom))
+        .tickFormat("")
+    );
+
+  // Axes.
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(ticks).tickFormat(measureFormat(measure)));
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).tickFormat(d => (compact ? truncateLabel(names.get(d), 14) : names.get(d))));
+
+  // Bars.
+  const bars = svg.append("g")
+    .selectAll("rect")
+    .data(top10)
+    .join("rect")
+    .attr("x", x(0))
+    .attr("y", d => y(d.entity))
+    .attr("width", d => x(value(d)) - x(0))
+    .attr("height", y.bandwidth())
+    .attr("fill", barColor)
+    .attr("class", "bar selectable")
+    .on("mousemove", (ev, d) => {
+      const html = `<strong>${escapeHtml(names.get(d.entity))}</strong><br/>${deathsHtml(d, year, types)}`;
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip)
+    .on("click", (ev, d) => options.onCountryClick?.(d.code));
+
+  // Error whiskers between the low and high estimates.
+  const whiskers = svg.append("g")
+    .attr("class", "whiskers")
+    .selectAll("g")
+    .data(top10.filter(bounds))
+    .join("g")
+    .attr("transform", d => `translate(0,${y(d.entity) + y.bandwidth() / 2})`);
+
+  whiskers.append("line")
+    .attr("x1", d => x(bounds(d)[0]))
+    .attr("x2", d => x(bounds(d)[1]));
+
+  whiskers.selectAll("line.cap")
+    .data(d => bounds(d))
+    .join("line")
+    .attr("class", "cap")
+    .attr("x1", v => x(v))
+    .attr("x2", v => x(v))
+    .attr("y1", -y.bandwidth() / 4)
+    .attr("y2",  y.bandwidth() / 4);
+
+  // Value labels with a small “edge avoidance” heuristic
+  // (placed past the whisker when there is one).
+  const fmt = measureFormat(measure);
+  const EDGE_PAD = compact ? 56 : 84;
+  const inside = d => (width - margin.right - x(barEnd(d))) < EDGE_PAD;
+
+  svg.append("g")
+    .selectAll("text.value")
+    .data(top10)
+    .join("text")
+    .attr("class", "value")
+    .attr("y", d => y(d.entity) + y.bandwidth() / 2)
+    .attr("dy", "0.32em")
+    .text(d => fmt(value(d)))
+    .attr("x", d => (inside(d) ? x(value(d)) - 6 : x(barEnd(d)) + 6))
+    .attr("text-anchor", d => (inside(d) ? "end" : "start"))
+    .attr("fill", d => (inside(d) ? "white" : ink))
+    .style("font-size", "12px");
+
+  // Keyboard access: same tooltips, Enter / Space select the country.
+  keyboardNav(bars, d => `${names.get(d.entity)}: ${fmt(value(d))}`, {
+    clickable: !!options.onCountryClick
+  });
+
+  // Linked selection: emphasize the selected country's bar.
+  chart.highlight = iso => {
+    svg.selectAll("rect.bar")
+      .classed("country-selected", d => d.code === iso)
+      .classed("country-dimmed", d => iso != null && d.code !== iso);
+  };
+}
+
+export const createTop10Bar = chartFactory(drawTop10Bar, DEFAULTS);
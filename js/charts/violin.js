@@ -0,0 +1,190 @@
+/* 7) Violin plot — country-level distribution by conflict type (snapshot year) */
+
+import {
+  TYPE_COLORS, alertIn, chartFactory, hideTooltip, isISO3, keyboardNav, latestYear,
+  showTooltip
+} from "../core.js";
+import { t, typeName } from "../i18n.js";
+import { theme } from "../theme.js";
+
+/** Options of the violin plot (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,   // snapshot year (latest in the data when null)
+  height: 400,
+  colors: TYPE_COLORS
+};
+
+/**
+ * Draw the distribution of country deaths for each included type.
+ * `data`: canonical country rows (see js/data.js).
+ */
+function drawViolin(sel, data, options, chart) {
+  const { width, height, colors, types, compact } = options;
+  const { ink, paper } = theme();
+  const year = options.year ?? latestYear(data);
+  const rows = data.filter(d => d.year === year && isISO3(d.code) && d.total > 0);
+  if (!rows.length) {
+    alertIn(sel, t("alert.noData", { year }));
+    return;
+  }
+
+  const tidy = types.map(k => ({
+    key: k,
+    values: rows.map(r => r[k]).filter(v => v > 0)
+  }));
+
+  if (tidy.every(d => d.values.length === 0)) {
+    alertIn(sel, t("alert.noPositiveByType", { year }));
+    return;
+  }
+
+  const allVals = tidy.flatMap(d => d.values).sort(d3.ascending);
+  const q99     = d3.quantile(allVals, 0.99) || d3.max(allVals) || 1;
+
+  const margin = { top: 10, right: compact ? 16 : 30, bottom: 90, left: compact ? 84 : 110 };
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3.scaleLinear()
+    .domain([0, q99])
+    .nice()
+    .range([margin.left, width - margin.right]);
+
+  const y = d3.scaleBand()
+    .domain(types)
+    .range([margin.top, height - margin.bottom])
+    .padding(0.25);
+
+  // Horizontal grid.
+  svg.append("g")
+    .attr("class", "grid")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(
+      d3.axisLeft(y)
+        .tickSize(-(width - margin.left - margin.right))
+        .tickFormat("")
+    )
+    .selectAll("line")
+    .attr("opacity", 0.25);
+
+  const bandwidth = arr => {
+    const sd = d3.deviation(arr) || 1;
+    const n  = Math.max(1, arr.length);
+    return 1.06 * sd * Math.pow(n, -1 / 5);
+  };
+
+  const epanechnikov = k => v => {
+    const u = v / k;
+    return Math.abs(u) <= 1 ? 0.75 * (1 - u * u) / k : 0;
+  };
+
+  const thresholds = x.ticks(100);
+  const exported = { summary: [], density: [] };
+
+  tidy.forEach(d => {
+    if (!d.values.length) return;
+
+    const vals = d.values.map(v => Math.min(v, q99));
+
+    const h       = Math.max(0.5, bandwidth(vals));
+    const kernel  = epanechnikov(h);
+    const density = thresholds.map(x => [x, d3.mean(vals, v => kernel(x - v)) || 0]);
+
+    const maxD   = d3.max(density, e => e[1]) || 1;
+    const scaleW = d3.scaleLinear()
+      .domain([0, maxD])
+      .range([0, y.bandwidth() / 2]);
+
+    const cy   = y(d.key) + y.bandwidth() / 2;
+    const area = d3.area()
+      .x(e => x(e[0]))
+      .y0(e => cy + scaleW(e[1]))
+      .y1(e => cy - scaleW(e[1]))
+      .curve(d3.curveCatmullRom);
+
+    svg.append("path")
+      .datum(density)
+      .attr("class", "violin")
+      .attr("fill", colors(d.key))
+      .attr("opacity", 0.65)
+      .attr("stroke", ink)
+      .attr("stroke-width", 0.8)
+      .attr("d", area)
+      .on("mousemove", ev => {
+        const sValsRaw = d.values
+          .slice()
+          .filter(v => v > 0)
+          .sort(d3.ascending);
+
+        const q1  = d3.quantileSorted(sValsRaw, 0.25) || 0;
+        const med = d3.quantileSorted(sValsRaw, 0.50) || 0;
+        const q3  = d3.quantileSorted(sValsRaw, 0.75) || 0;
+        const fmt = d3.format(",");
+
+        const html =
+          `<strong>${typeName(d.key)}</strong><br/>` +
+          `n = ${sValsRaw.length}<br/>` +
+          `${t("tip.quartiles")} ${fmt(Math.round(q1))} – ` +
+          `${fmt(Math.round(med))} – ${fmt(Math.round(q3))}`;
+        showTooltip(ev, html);
+      })
+      .on("mouseleave", hideTooltip);
+
+    const sVals = vals.slice().sort(d3.ascending);
+    const q1  = d3.quantileSorted(sVals, 0.25) || 0;
+    const med = d3.quantileSorted(sVals, 0.50) || 0;
+    const q3  = d3.quantileSorted(sVals, 0.75) || 0;
+
+    exported.summary.push({ type: d.key, n: vals.length, bandwidth: h, q1, median: med, q3 });
+    density.forEach(([x0, v]) => exported.density.push({ type: d.key, x: x0, density: v }));
+
+    svg.append("line")
+      .attr("x1", x(q1))
+      .attr("x2", x(q3))
+      .attr("y1", cy)
+      .attr("y2", cy)
+      .attr("stroke", ink)
+      .attr("stroke-width", 2);
+
+    svg.append("circle")
+      .attr("cx", x(med))
+      .attr("cy", cy)
+      .attr("r", 3.2)
+      .attr("fill", paper)
+      .attr("stroke", ink)
+      .attr("stroke-width", 1);
+  });
+
+  // Axes.
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(compact ? 3 : 6, "~s"));
+
+  svg.append("g")
+    .attr("class", "axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).tickFormat(typeName));
+
+  svg.append("text")
+    .attr("class", "axis-label")
+    .attr("x", (width + margin.left) / 2)
+    .attr("y", height - margin.bottom + 58)
+    .attr("text-anchor", "middle")
+    .text(t("axis.deathsPerCountry"));
+
+  // Keyboard access: one stop per violin (summaries are in drawing order).
+  keyboardNav(svg.selectAll("path.violin"), (_, i) => {
+    const s = exported.summary[i];
+    return t("distribution.label", {
+      type: typeName(s.type), n: s.n, median: d3.format(",")(Math.round(s.median))
+    });
+  });
+
+  chart.data = exported;
+}
+
+export const createViolin = chartFactory(drawViolin, DEFAULTS);
@@ -0,0 +1,111 @@
+/* 5) Waffle chart — World composition in a single year */
+
+import {
+  TYPE_COLORS, addTypeLegend, alertIn, chartFactory, hideTooltip,
+  keyboardNav, latestYear, showTooltip
+} from "../core.js";
+import { t, typeName } from "../i18n.js";
+
+/** Options of the waffle chart (next to COMMON_DEFAULTS in core.js). */
+const DEFAULTS = {
+  year: null,     // year shown (latest in the data when null)
+  height: 360,
+  cellSize: 20,   // side of one cell (1% of the deaths)
+  colors: TYPE_COLORS
+};
+
+/**
+ * Draw a 10 × 10 grid with one cell per percent of the year's deaths.
+ * `data`: canonical rows of one aggregate (World or a region), one per year.
+ */
+function drawWaffle(sel, worldRows, options, chart) {
+  const { width, height, colors, types } = options;
+  const year = options.year ?? latestYear(worldRows);
+  const d = worldRows.find(r => r.year === year);
+  if (!d) {
+    alertIn(sel, t("alert.noWorldData", { year }));
+    return;
+  }
+
+  const totals = types.map(k => d[k] || 0);
+  const sum    = d3.sum(totals) || 1;
+
+  const shares = types.map(k => ({
+    key:   k,
+    value: d[k] || 0,
+    pct:   (d[k] || 0) / sum
+  }));
+
+  const cols       = 10;
+  const rows       = 10;
+  const totalCells = cols * rows;
+
+  const cellsByType = shares.map(s => ({
+    key:   s.key,
+    cells: Math.round(s.pct * totalCells),
+    value: s.value,
+    pct:   s.pct
+  }));
+
+  const used = d3.sum(cellsByType, c => c.cells);
+
+  if (used !== totalCells) {
+    const diff = totalCells - used;
+    cellsByType[0].cells += diff;
+  }
+
+  chart.data = cellsByType.map(c => ({ year, ...c }));
+
+  const grid = [];
+  cellsByType.forEach(s => {
+    for (let i = 0; i < s.cells; i += 1) {
+      grid.push({ key: s.key, value: s.value, pct: s.pct });
+    }
+  });
+
+  const gap = 4;
+
+  // Cells shrink when the container is narrower than the grid.
+  const cellSize = Math.max(
+    4, Math.min(options.cellSize, Math.floor((width - 16 - (cols - 1) * gap) / cols))
+  );
+
+  const svg = d3.select(sel).html("")
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const blockW = cols * cellSize + (cols - 1) * gap;
+  const blockH = rows * cellSize + (rows - 1) * gap;
+
+  const startX = (width  - blockW) / 2;
+  const startY = (height - blockH) / 2 - 6;
+
+  const cells = svg.append("g")
+    .selectAll("rect")
+    .data(grid)
+    .join("rect")
+    .attr("x", (_, i) => startX + (i % cols) * (cellSize + gap))
+    .attr("y", (_, i) => startY + Math.floor(i / cols) * (cellSize + gap))
+    .attr("width", cellSize)
+    .attr("height", cellSize)
+    .attr("rx", 4)
+    .attr("ry", 4)
+    .attr("fill", d => colors(d.key))
+    .on("mousemove", (ev, d) => {
+      const html =
+        `<strong>${typeName(d.key)}</strong><br/>` +
+        `${t("tip.deaths", { value: d3.format(",")(d.value) })}<br/>` +
+        t("tip.shareOf", { share: d3.format(".0%")(d.pct), year });
+      showTooltip(ev, html);
+    })
+    .on("mouseleave", hideTooltip);
+
+  keyboardNav(cells, d =>
+    `${typeName(d.key)}: ${t("tip.shareOf", { share: d3.format(".0%")(d.pct), year })}`);
+
+  // Type legend (shared helper).
+  addTypeLegend(sel, types, options.onTypeToggle, options.compact);
+}
+
+export const createWaffle = chartFactory(drawWaffle, DEFAULTS);
@@ -0,0 +1,907 @@
+/*******************************************************
+ * Shared helpers of the chart modules (ES module)
+ * Conflict types, colors, tooltip, measures, missing data,
+ * historical / disputed entities, map zoom, keyboard navigation,
+ * data tables and the chart factory.
+ *
+ * Expects d3 v7 as a global (loaded from the CDN).
+ *******************************************************/
+
+import { countryName, t, typeName } from "./i18n.js";
+import { onThemeChange, theme } from "./theme.js";
+
+/* ---------- Shared configuration ---------- */
+
+/** Duration (ms) of the fill/radius transitions on the maps between years. */
+export const MAP_TRANSITION_MS = 600;
+
+/** Chart width (px) below which charts switch to their compact layout. */
+export const COMPACT_WIDTH = 600;
+
+/** Width (px) of charts drawn in a container without layout (e.g. hidden). */
+export const FALLBACK_WIDTH = 900;
+
+/** Delay (ms) between the last container resize and the re-layout. */
+export const RESIZE_DEBOUNCE_MS = 150;
+
+/**
+ * Map placement of CSV entities without an ISO-3 code, keyed by OWID code
+ * (or by entity name when the CSV has no code):
+ * - "geometry":   own Natural Earth feature, matched by `adm0_a3`
+ * - "successors": historical state drawn over its modern successor states
+ * - "point":      disputed area without own boundaries, drawn as a marker
+ * `note` is the message key (see js/i18n.js) of the tooltip note.
+ */
+export const ENTITY_GEO_MAP = {
+  OWID_KOS: { kind: "geometry",   adm0: ["KOS"], note: "note.partiallyRecognized" },
+  OWID_YGS: { kind: "successors", adm0: ["SRB", "MNE", "KOS", "BIH", "HRV", "SVN", "MKD"],
+              note: "note.historical" },
+  OWID_CZS: { kind: "successors", adm0: ["CZE", "SVK"], note: "note.historical" },
+  OWID_GDR: { kind: "successors", adm0: ["DEU"], note: "note.historicalGermany" },
+  OWID_GFR: { kind: "successors", adm0: ["DEU"], note: "note.historicalGermany" },
+  OWID_YPR: { kind: "successors", adm0: ["YEM"], note: "note.historicalYemen" },
+  OWID_ABK: { kind: "point", coords: [41.0, 43.1], note: "note.disputedGeorgia" },
+  OWID_SOS: { kind: "point", coords: [44.0, 42.3], note: "note.disputedGeorgia" },
+  Abyei:    { kind: "point", coords: [28.4, 9.6],  note: "note.disputedSudan" }
+};
+
+/**
+ * Manual ISO-3 codes for GeoJSON features, keyed by Natural Earth `adm0_a3`.
+ * Takes precedence over the feature's own `iso_a3`, which Natural Earth sets
+ * to "-99" for a few countries (e.g. France and Norway, because of their
+ * overseas territories). A dataset adds its own, or replaces these, through
+ * `featureOverrides` in `window.CONFLICT_VIZ_DATASET` (see featureOverride)
+ * when the join report lists a country that stays grey on the maps.
+ */
+export const FEATURE_ISO_OVERRIDES = {
+  FRA: "FRA",
+  NOR: "NOR"
+};
+
+/** Population base for per-capita rates (deaths per 100,000 people). */
+export const PER_CAPITA_BASE = 100000;
+
+/** Fixed order of conflict types across all visualizations. */
+export const TYPE_ORDER = ["Interstate", "Intrastate", "Extrasystemic", "Non-state", "One-sided"];
+
+/**
+ * Color scale for conflict types (ordinal, consistent across charts).
+ * Its range follows the palette of the current theme (js/theme.js).
+ */
+export const TYPE_COLORS = d3.scaleOrdinal()
+  .domain(TYPE_ORDER)
+  .range(theme().types);
+
+onThemeChange(th => TYPE_COLORS.range(th.types));
+
+/* ---------- Shared tooltip ---------- */
+
+/** Id of the tooltip, which describes the focused mark to screen readers. */
+const TOOLTIP_ID = "chart-tooltip";
+
+/** Single floating tooltip reused by all charts and the map. */
+const tip = d3.select("body")
+  .append("div")
+  .attr("class", "tooltip")
+  .attr("id", TOOLTIP_ID)
+  .attr("role", "tooltip")
+  .style("opacity", 0);
+
+/**
+ * Show the shared tooltip at the mouse pointer position, or above the
+ * focused mark for keyboard (focus) events.
+ * @param {MouseEvent|FocusEvent} ev – the DOM event
+ * @param {string} html    – HTML content to be injected into the tooltip
+ */
+export function showTooltip(ev, html) {
+  let x = ev.pageX;
+  let y = ev.pageY;
+  if (x == null) {
+    const box = ev.currentTarget.getBoundingClientRect();
+    x = box.left + box.width / 2 + window.scrollX;
+    y = box.top + window.scrollY;
+  }
+
+  tip
+    .style("opacity", 1)
+    .html(html)
+    .style("left", x + "px")
+    .style("top", y + "px");
+}
+
+/**
+ * Hide the shared tooltip.
+ */
+export function hideTooltip() {
+  tip.style("opacity", 0);
+}
+
+/* ---------- Generic utilities ---------- */
+
+/**
+ * Inject a lightweight alert message into a target container.
+ * Used when data are missing or cannot be parsed correctly.
+ */
+export function alertIn(sel, msg) {
+  const box = d3.select(sel);
+  if (!box.empty()) {
+    box.html("")
+      .append("div")
+      .attr("class", "alert")
+      .text(msg);
+  }
+}
+
+/**
+ * Delay calls to `fn` until `wait` ms have passed without a new call.
+ * Used by controls that fire many events (sliders, resizes).
+ */
+export function debounce(fn, wait = 120) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
+/** Entities of the characters escaped by escapeHtml. */
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/**
+ * Escape a string for tooltip HTML. Names come from the dataset and the
+ * GeoJSON, which a link (`?data=`) or an upload can supply.
+ */
+export function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+/**
+ * Shorten a label to `maxChars` characters with an ellipsis.
+ */
+export function truncateLabel(s, maxChars) {
+  const str = String(s ?? "");
+  if (str.length <= maxChars) return str;
+  return str.slice(0, Math.max(1, maxChars - 1)) + "…";
+}
+
+/**
+ * Test whether a code is a “true” ISO-3 country code.
+ * This is used to remove regional aggregates and other non-country entities.
+ */
+export const isISO3 = code =>
+  typeof code === "string" && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Latest year present in a list of rows (the default snapshot of a chart).
+ */
+export function latestYear(rows) {
+  return d3.max(rows, d => d.year);
+}
+
+/* ---------- Row measures ---------- */
+
+/**
+ * Sum of deaths over the given conflict types.
+ */
+export function rowTotal(r, types = TYPE_ORDER) {
+  return types.reduce((acc, k) => acc + (r[k] || 0), 0);
+}
+
+/**
+ * Low or high estimate of a row over the given types (null without
+ * bounds). Types without a bound fall back to their best estimate.
+ */
+export function rowBound(r, which, types = TYPE_ORDER) {
+  if (!r[which]) return null;
+  return types.reduce((acc, k) => acc + (r[which][k] ?? r[k] ?? 0), 0);
+}
+
+/**
+ * [low, high] of a row under a measure, or null when the row has no bounds.
+ */
+export function measureBounds(d, measure, types = TYPE_ORDER) {
+  const lo = rowBound(d, "low", types);
+  const hi = rowBound(d, "high", types);
+  if (lo == null || hi == null) return null;
+  if (measure !== "per100k") return [lo, hi];
+  return d.pop > 0
+    ? [lo / d.pop * PER_CAPITA_BASE, hi / d.pop * PER_CAPITA_BASE]
+    : null;
+}
+
+/**
+ * Tooltip line with the low–high range of a value (empty without bounds).
+ */
+export function rangeHtml(lo, hi, fmt = d3.format(",")) {
+  return lo != null && hi != null
+    ? `<br/>${t("tip.range", { low: fmt(lo), high: fmt(hi) })}`
+    : "";
+}
+
+/**
+ * Deaths per 100,000 people for a row with a known population (else null).
+ */
+export function rowRate(r) {
+  return r.pop > 0 ? r.total / r.pop * PER_CAPITA_BASE : null;
+}
+
+/**
+ * Value plotted for a row under a measure: absolute deaths or the rate.
+ */
+export function measureValue(d, measure) {
+  return measure === "per100k" ? d.rate : d.total;
+}
+
+/**
+ * Number formatter for a measure (rates keep one decimal).
+ */
+export function measureFormat(measure) {
+  return measure === "per100k" ? d3.format(",.1f") : d3.format(",");
+}
+
+/* ---------- Missing data ---------- */
+
+/**
+ * Given conflict types without a value in a row.
+ */
+export function rowMissingTypes(r, types = TYPE_ORDER) {
+  return types.filter(k => r.missing?.includes(k));
+}
+
+/**
+ * True when a row has no value for any of the given conflict types.
+ */
+export function rowIsMissing(r, types = TYPE_ORDER) {
+  return rowMissingTypes(r, types).length === types.length;
+}
+
+/**
+ * Test telling whether a map feature has no data in a year: no CSV row for
+ * it, or a row with every included type missing. Entities placed on their
+ * own geometry through ENTITY_GEO_MAP (e.g. Kosovo) count as having data.
+ */
+export function featureMissingTest(rows, year, types = TYPE_ORDER) {
+  const byCode = new Map();
+  const byAdm0 = new Map();
+  rows.filter(d => d.year === year).forEach(d => {
+    if (isISO3(d.code)) byCode.set(d.code, d);
+    const spec = ENTITY_GEO_MAP[entityKey(d)];
+    if (spec?.kind === "geometry") spec.adm0.forEach(a => byAdm0.set(a, d));
+  });
+
+  return f => {
+    const row = byCode.get(featureISO3(f)) ||
+      byAdm0.get((f.properties?.adm0_a3 || "").toUpperCase());
+    return !row || rowIsMissing(row, types);
+  };
+}
+
+/**
+ * Define (once per SVG) the hatch pattern for missing data; returns its fill.
+ * Its colors follow the current theme on every call.
+ */
+export function missingPattern(svg, id) {
+  let defs = svg.select("defs");
+  if (defs.empty()) defs = svg.append("defs");
+
+  let pat = defs.select(`#${id}`);
+  if (pat.empty()) {
+    pat = defs.append("pattern")
+      .attr("id", id)
+      .attr("class", "missing-hatch")
+      .attr("patternUnits", "userSpaceOnUse")
+      .attr("width", 6)
+      .attr("height", 6)
+      .attr("patternTransform", "rotate(45)");
+    pat.append("rect")
+      .attr("width", 6)
+      .attr("height", 6);
+    pat.append("line")
+      .attr("y1", 0)
+      .attr("y2", 6)
+      .attr("stroke-width", 1.5);
+  }
+
+  const { paper, stroke } = theme();
+  pat.select("rect").attr("fill", paper);
+  pat.select("line").attr("stroke", stroke);
+  return `url(#${id})`;
+}
+
+/**
+ * Legend swatches telling "no data" (hatched) apart from "0 deaths".
+ * `zeroFill` is the fill the map uses for countries without deaths.
+ * `stacked` puts the two swatches one below the other (compact layouts).
+ */
+export function addMissingLegend(svg, x, y, missingFill, zeroFill, stacked = false) {
+  svg.select("g.missing-legend").remove();
+
+  const { annotation, stroke } = theme();
+  const g = svg.append("g")
+    .attr("class", "missing-legend")
+    .attr("transform", `translate(${x}, ${y})`);
+
+  [
+    { fill: missingFill, label: t("legend.noData") },
+    { fill: zeroFill,    label: t("legend.zero") }
+  ].forEach((d, i) => {
+    const item = g.append("g")
+      .attr("transform", stacked ? `translate(0, ${i * 16})` : `translate(${i * 90}, 0)`);
+    item.append("rect")
+      .attr("width", 14)
+      .attr("height", 10)
+      .attr("fill", d.fill)
+      .attr("stroke", stroke)
+      .attr("stroke-width", 0.6);
+    item.append("text")
+      .attr("x", 20)
+      .attr("y", 9)
+      .attr("font-size", 11)
+      .attr("fill", annotation)
+      .text(d.label);
+  });
+}
+
+/* ---------- Map features and special entities ---------- */
+
+/**
+ * Vertical layout shared by the maps: the total `height` (proportional to
+ * the width unless given), the `mapHeight` the projection is fitted to and
+ * the band below it for the legends (`marginBottom`, from `legendTop`).
+ * Compact layouts stack their legends in a taller band under the map
+ * instead of overlaying its bottom corners.
+ */
+export function mapLayout(width, height, compact) {
+  const marginBottom = compact ? 120 : 56;
+  const total = height ?? (compact
+    ? Math.round(width * 0.5) + marginBottom + 10
+    : Math.round(width * 0.47));
+
+  return {
+    height: total,
+    marginBottom,
+    mapHeight: total - marginBottom - 10,
+    legendTop: total - marginBottom
+  };
+}
+
+/** Largest zoom factor of the maps (small states such as Lebanon need ~20×). */
+export const MAP_MAX_ZOOM = 32;
+
+/**
+ * One-click views of the maps (see mapZoom): regions whose countries are
+ * too small to inspect on the world map, as `[[west, south], [east, north]]`
+ * bounding boxes in degrees.
+ */
+export const MAP_PRESETS = {
+  sahel:          { bounds: [[-18, 9], [40, 22]] },
+  greatLakes:     { bounds: [[26, -6], [36, 4]] },
+  middleEast:     { bounds: [[25, 12], [63, 42]] },
+  balkans:        { bounds: [[13, 39], [30, 47]] },
+  centralAmerica: { bounds: [[-95, 7], [-77, 19]] }
+};
+
+/** Counter behind uniqueId. */
+let idCount = 0;
+
+/**
+ * Id unique in the page, for the SVG definitions (clip paths, gradients,
+ * patterns) of a chart that may be drawn more than once.
+ */
+export function uniqueId(prefix) {
+  return `${prefix}-${++idCount}`;
+}
+
+/**
+ * Group holding the geography of a map, clipped to the map area
+ * (`width` × `height` px) so that zooming in does not spill over the legends.
+ */
+export function mapLayer(svg, width, height) {
+  let defs = svg.select("defs");
+  if (defs.empty()) defs = svg.append("defs");
+
+  const id = uniqueId("map-clip");
+  defs.append("clipPath")
+    .attr("id", id)
+    .append("rect")
+    .attr("width", width)
+    .attr("height", height);
+
+  return svg.append("g")
+    .attr("clip-path", `url(#${id})`)
+    .append("g")
+    .attr("class", "map-layer");
+}
+
+/**
+ * Zoom and pan a map: `layer` (see mapLayer) follows d3.zoom on `svg` over
+ * a map area of `[width, height]` px. A view is `{ center: [lon, lat], k }`
+ * or a `{ bounds }` preset (MAP_PRESETS), so that maps of different sizes
+ * can share it; null is the whole world.
+ * The map starts at `options.zoom` and reports the reader's gestures to
+ * `options.onZoom(view)`. Hatch patterns keep their screen size (except
+ * legend keys, whose ids end in "-key"); `rescale(k)` lets the map do the
+ * same for its marks. Sets `chart.zoomTo(view, duration)`, which moves the
+ * map without reporting it (synchronized maps).
+ */
+export function mapZoom(svg, layer, projection, [width, height], options, chart, rescale = () => {}) {
+  const extent = [[0, 0], [width, height]];
+
+  const zoom = d3.zoom()
+    .scaleExtent([1, MAP_MAX_ZOOM])
+    .extent(extent)
+    .translateExtent(extent)
+    .filter(function (ev) {
+      // The wheel scrolls the page; Ctrl / ⌘ + wheel (and pinching) zooms.
+      if (ev.type === "wheel") return ev.ctrlKey || ev.metaKey;
+      // One finger scrolls the page too, unless the map is zoomed in.
+      if (ev.type === "touchstart") return ev.touches.length > 1 || d3.zoomTransform(this).k > 1;
+      return !ev.ctrlKey && !ev.button;
+    })
+    .on("zoom", ev => {
+      const { k } = ev.transform;
+      layer.attr("transform", ev.transform);
+      svg.selectAll("defs pattern:not([id$='-key'])")
+        .attr("patternTransform", `rotate(45) scale(${1 / k})`);
+      rescale(k);
+      if (ev.sourceEvent) options.onZoom?.(viewOf(ev.transform));
+    });
+
+  const viewOf = ({ x, y, k }) => (k <= 1 ? null : {
+    center: projection.invert([(width / 2 - x) / k, (height / 2 - y) / k]),
+    k
+  });
+
+  const transformOf = view => {
+    if (!view) return d3.zoomIdentity;
+
+    let k = view.k;
+    let center = view.center && projection(view.center);
+    if (view.bounds) {
+      const [[w, s], [e, n]] = view.bounds;
+      const corners = [[w, s], [w, n], [e, s], [e, n]].map(projection);
+      const [x0, x1] = d3.extent(corners, p => p[0]);
+      const [y0, y1] = d3.extent(corners, p => p[1]);
+      k = 0.9 / Math.max((x1 - x0) / width, (y1 - y0) / height);
+      center = [(x0 + x1) / 2, (y0 + y1) / 2];
+    }
+    if (!Number.isFinite(k) || !center?.every(Number.isFinite)) return d3.zoomIdentity;
+
+    k = Math.max(1, Math.min(MAP_MAX_ZOOM, k));
+    return zoom.constrain()(
+      d3.zoomIdentity.translate(width / 2 - k * center[0], height / 2 - k * center[1]).scale(k),
+      extent,
+      extent
+    );
+  };
+
+  svg.call(zoom)
+    .on("dblclick.zoom", null)  // double clicks would toggle the selection
+    .style("touch-action", "pan-x pan-y")
+    .call(zoom.transform, transformOf(options.zoom));
+
+  chart.zoomTo = (view, duration = 0) => {
+    (duration ? svg.transition().duration(duration) : svg)
+      .call(zoom.transform, transformOf(view));
+  };
+}
+
+/**
+ * ISO3 override of a feature's `adm0_a3`: the dataset's `featureOverrides`
+ * (set in `window.CONFLICT_VIZ_DATASET`) first, then FEATURE_ISO_OVERRIDES.
+ * Returns "" when neither lists the code.
+ */
+export function featureOverride(adm0) {
+  const own = window.CONFLICT_VIZ_DATASET?.featureOverrides?.[adm0];
+  return String(own || FEATURE_ISO_OVERRIDES[adm0] || "").toUpperCase();
+}
+
+/**
+ * ISO3 code a GeoJSON feature joins on: the override tables first, then
+ * `iso_a3` (or `ISO_A3`). Returns "" when the feature has no usable code.
+ */
+export function featureISO3(feat) {
+  const p    = feat.properties || {};
+  const adm0 = (p.adm0_a3 || p.ADM0_A3 || "").toUpperCase();
+  const iso  = featureOverride(adm0) || (p.iso_a3 || p.ISO_A3 || "").toUpperCase();
+  return isISO3(iso) ? iso : "";
+}
+
+/**
+ * Key of a row in ENTITY_GEO_MAP (OWID code, or entity name without code).
+ */
+export const entityKey = r => r.code || r.entity;
+
+/**
+ * Place the rows of historical / disputed entities on the map features.
+ * Returns one entry per row with a positive value, holding the matched
+ * features (own geometry or successor states) or the marker coordinates.
+ */
+export function placeSpecialEntities(rows, features, value) {
+  const byAdm0 = d3.group(features, f => (f.properties?.adm0_a3 || "").toUpperCase());
+
+  return rows
+    .map(row => {
+      const spec = ENTITY_GEO_MAP[entityKey(row)];
+      const v    = value(row);
+      if (!spec || !(v > 0)) return null;
+
+      const feats = (spec.adm0 || []).flatMap(a => byAdm0.get(a) || []);
+      if (spec.kind !== "point" && !feats.length) return null;
+
+      return { key: entityKey(row), row, spec, value: v, features: feats };
+    })
+    .filter(d => d !== null);
+}
+
+/**
+ * Screen position of a placed special entity: marker coordinates or the
+ * centroid of its (successor) geometries.
+ */
+export function specialEntityXY(d, projection, path) {
+  if (d.spec.kind === "point") return projection(d.spec.coords);
+  return path.centroid({ type: "FeatureCollection", features: d.features });
+}
+
+/**
+ * Tooltip for a historical / disputed entity.
+ */
+export function specialEntityHtml(d, year, types = TYPE_ORDER) {
+  const over = d.spec.kind === "successors"
+    ? ` (${d.features.map(f => escapeHtml(countryName(featureISO3(f), f.properties?.name))).join(", ")})`
+    : "";
+  return `<strong>${escapeHtml(d.row.entity)}</strong><br/>` +
+    `<em>${t(d.spec.note)}${over}</em><br/>` +
+    deathsHtml(d.row, year, types);
+}
+
+/* ---------- Tooltips and legends ---------- */
+
+/** Stop offsets (0–1) of the sequential legend gradients. */
+const LEGEND_GRADIENT_STOPS = d3.range(0, 1.01, 0.1);
+
+/**
+ * Fill a legend <linearGradient> with stops sampled along the domain of a
+ * sequential `color` scale, so that non-linear ramps (viridis) look the same
+ * in the legend as on the chart.
+ */
+export function legendGradient(gradient, color) {
+  const [lo, hi] = color.domain();
+  gradient.selectAll("stop")
+    .data(LEGEND_GRADIENT_STOPS)
+    .join("stop")
+    .attr("offset", p => `${p * 100}%`)
+    .attr("stop-color", p => color(lo + p * (hi - lo)));
+}
+
+/**
+ * Tooltip lines with both the absolute count and the per-capita rate.
+ */
+export function deathsHtml(d, year, types = TYPE_ORDER) {
+  const fmtRate = measureFormat("per100k");
+  const rate = d.rate != null
+    ? t("tip.rate", { value: fmtRate(d.rate) })
+    : t("tip.noPopulation");
+  return t("tip.deathsIn", { value: d3.format(",")(d.total), year }) +
+    rangeHtml(rowBound(d, "low", types), rowBound(d, "high", types)) +
+    `<br/>${rate}` + missingHtml(d, types);
+}
+
+/**
+ * Tooltip warning for totals that leave out types without data.
+ */
+export function missingHtml(d, types = TYPE_ORDER) {
+  const missing = rowMissingTypes(d, types);
+  const partial = types.filter(k => d.partial?.includes(k));
+  let html = "";
+  if (missing.length) {
+    html += `<br/><em>${t("tip.partialTotal", { types: missing.map(typeName).join(", ") })}</em>`;
+  }
+  if (partial.length) {
+    html += `<br/><em>${t("tip.partialYears", { types: partial.map(typeName).join(", ") })}</em>`;
+  }
+  return html;
+}
+
+/**
+ * Append a pill-style legend for the conflict types to a given container.
+ * This helper is reused by multiple charts that share the same legend.
+ * Pills of the `types` not included are shown switched off; clicking a
+ * pill calls `onToggle(type)` (the legend is static without it).
+ * `stacked` lists the pills in a column (compact layouts).
+ */
+export function addTypeLegend(sel, types = TYPE_ORDER, onToggle = null, stacked = false) {
+  const legend = d3.select(sel)
+    .append("div")
+    .attr("class", "legend")
+    .classed("legend-stacked", stacked)
+    .attr("role", "group")
+    .attr("aria-label", onToggle ? t("legend.typesToggle") : t("legend.types"));
+
+  TYPE_ORDER.forEach(k => {
+    const active = types.includes(k);
+
+    const item = legend.append(onToggle ? "button" : "span")
+      .attr("class", "pill")
+      .attr("data-type", k)
+      .classed("is-off", !active);
+
+    if (onToggle) {
+      item
+        .attr("type", "button")
+        .attr("aria-pressed", active)
+        .attr("title", t(active ? "legend.exclude" : "legend.include", { type: typeName(k) }))
+        .on("click", () => onToggle(k));
+    }
+
+    item.append("span")
+      .attr("class", "swatch")
+      .style("background", TYPE_COLORS(k));
+
+    item.append("span").text(typeName(k));
+  });
+}
+
+/* ---------- Keyboard navigation ---------- */
+
+/**
+ * Make the marks of a chart reachable from the keyboard. The chart is a
+ * single tab stop (roving tabindex); arrow keys move to the next / previous
+ * mark, Home / End to the first / last one. Focusing a mark runs its
+ * mouseenter and mousemove handlers, so it gets the same tooltip and hover
+ * emphasis as with the pointer; Enter or Space clicks it.
+ * Call it after the mouse handlers are attached.
+ * @param {d3.Selection} marks – the focusable marks
+ * @param {Function} label     – accessible name of a mark: `label(d)`
+ * @param {Object} [options]
+ * @param {Function} [options.order]    – comparator of the data to traverse
+ *   the marks in another order than the document one
+ * @param {boolean|Function} [options.clickable] – whether Enter / Space do
+ *   something, for all marks or per mark as `clickable(d)` (defaults to
+ *   whether the marks have a click handler)
+ */
+export function keyboardNav(marks, label, { order = null, clickable } = {}) {
+  const nodes = marks.nodes();
+  if (!nodes.length) return;
+  if (order) nodes.sort((a, b) => order(d3.select(a).datum(), d3.select(b).datum()));
+  clickable ??= marks.on("click") != null;
+  const canClick = typeof clickable === "function" ? clickable : () => clickable;
+
+  const focusAt = i => nodes[Math.max(0, Math.min(nodes.length - 1, i))].focus();
+
+  marks
+    .attr("tabindex", -1)
+    .attr("role", d => (canClick(d) ? "button" : "img"))
+    .attr("aria-label", label)
+    .attr("aria-describedby", TOOLTIP_ID)
+    .on("focus.nav", function (ev, d) {
+      nodes.forEach(n => n.setAttribute("tabindex", n === this ? 0 : -1));
+      const mark = d3.select(this);
+      mark.on("mouseenter")?.call(this, ev, d);
+      mark.on("mousemove")?.call(this, ev, d);
+    })
+    .on("blur.nav", function (ev, d) {
+      const leave = d3.select(this).on("mouseleave");
+      if (leave) leave.call(this, ev, d);
+      else hideTooltip();
+    })
+    .on("keydown.nav", function (ev, d) {
+      const i = nodes.indexOf(this);
+      const next = {
+        ArrowRight: i + 1,
+        ArrowDown: i + 1,
+        ArrowLeft: i - 1,
+        ArrowUp: i - 1,
+        Home: 0,
+        End: nodes.length - 1
+      }[ev.key];
+
+      if (next != null) {
+        ev.preventDefault();
+        focusAt(next);
+      } else if (canClick(d) && (ev.key === "Enter" || ev.key === " ")) {
+        ev.preventDefault();
+        this.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+      }
+    });
+
+  nodes[0].setAttribute("tabindex", 0);
+}
+
+/**
+ * Run `fn` (a redraw or highlight of the chart in `node`) and give the
+ * keyboard focus back to the mark that had it: the same element when it
+ * was kept or only moved (raised), else the mark at the same position.
+ */
+function keepingFocus(node, fn) {
+  const marks   = () => Array.from(node.querySelectorAll("svg [tabindex]"));
+  const active  = document.activeElement;
+  const focused = marks().indexOf(active);
+
+  fn();
+
+  if (focused >= 0 && !node.contains(document.activeElement)) {
+    (active.isConnected ? active : marks()[focused])?.focus();
+  }
+}
+
+/* ---------- Data tables ---------- */
+
+/** Cell text of a data table (arrays joined with spaces, as in CSV exports). */
+function tableCell(key, v) {
+  if (Array.isArray(v)) return v.join(" ");
+  if (typeof v !== "number") return v ?? "";
+  if (!Number.isFinite(v) || key === "year") return String(v);
+  return Number.isInteger(v) ? d3.format(",")(v) : d3.format(",.4~g")(v);
+}
+
+/**
+ * Append a collapsed "Data table" disclosure to a chart container with the
+ * data behind the chart (`chart.data`: an array of flat records or an
+ * object of named record arrays), as an alternative to the graphic for
+ * screen readers and keyboard users. Tables are built when it is opened.
+ */
+function addDataTable(node, data, caption, open = false) {
+  if (!data) return;
+  const tables = Array.isArray(data) ? { "": data } : data;
+
+  const details = d3.select(node)
+    .append("details")
+    .attr("class", "data-table")
+    .property("open", open);
+
+  details.append("summary").text(t("table.summary"));
+
+  const build = () => {
+    if (!details.property("open") || !details.select("table").empty()) return;
+    Object.entries(tables).forEach(([name, records]) => {
+      const columns = Array.from(new Set(records.flatMap(Object.keys)));
+      const table = details.append("div")
+        .attr("class", "data-table-scroll")
+        .append("table");
+
+      table.append("caption").text(name ? `${caption} (${name})` : caption);
+      table.append("thead").append("tr")
+        .selectAll("th")
+        .data(columns)
+        .join("th")
+        .attr("scope", "col")
+        .text(c => c);
+      table.append("tbody")
+        .selectAll("tr")
+        .data(records)
+        .join("tr")
+        .selectAll("td")
+        .data(r => columns.map(c => tableCell(c, r[c])))
+        .join("td")
+        .text(v => v);
+    });
+  };
+
+  details.on("toggle", build);
+  build();
+}
+
+/* ---------- Chart factory ---------- */
+
+/**
+ * Options every chart understands, next to its own.
+ * - `width`: px; null sizes the chart to its container and re-lays it out
+ *   when the container is resized
+ * - `types`: conflict types included in the row totals (legend, bounds,
+ *   missing-data notes); rows are expected to carry `total` over them
+ * - `country`: ISO3 code of the highlighted country (or null)
+ * - `onCountryClick(iso)` / `onTypeToggle(type)`: interaction callbacks;
+ *   charts stay read-only without them
+ * - `dataTable`: add a collapsed table with the chart data below it
+ */
+export const COMMON_DEFAULTS = {
+  width: null,
+  types: TYPE_ORDER,
+  country: null,
+  onCountryClick: null,
+  onTypeToggle: null,
+  dataTable: true
+};
+
+/**
+ * Content width (px) of a chart container, 0 while it has no layout.
+ */
+function containerWidth(node) {
+  return Math.floor(node.getBoundingClientRect().width) || 0;
+}
+
+/**
+ * Turn a draw function into a reusable chart factory.
+ *
+ * `draw(node, data, options, chart)` renders into the container node with
+ * the defaults merged into `options`, where `width` is resolved to pixels
+ * and `compact` tells whether it is below COMPACT_WIDTH (narrow screens:
+ * fewer ticks, shorter or rotated labels, stacked legends). It may set on
+ * `chart`:
+ * - `data`: what the chart shows (rows, cells, nodes…), for export
+ * - `highlight(iso)`: emphasize one country (linked selection)
+ * - `zoomTo(view, duration)`: move a map to a view (see mapZoom)
+ * - `cleanup()`: stop timers or simulations before the next draw
+ *
+ * The factory `(container, data, options)` takes a selector or element and
+ * returns `{ update(data, options), highlight(iso), zoomTo(view, duration),
+ * data(), destroy() }`; `update` keeps the options it is not given, and
+ * the view a map was zoomed to survives redraws.
+ */
+export function chartFactory(draw, defaults = {}) {
+  return (container, data, options = {}) => {
+    const node = typeof container === "string"
+      ? document.querySelector(container)
+      : container;
+    let opts  = { ...COMMON_DEFAULTS, ...defaults, ...options };
+    let chart = {};
+    let drawnWidth = 0;
+
+    // The keyboard focus and an open data table survive redraws, e.g.
+    // after selecting a country with Enter.
+    const render = () => keepingFocus(node, () => {
+      const table = node.querySelector(":scope > details.data-table");
+      const open  = table?.open ?? false;
+      table?.remove();
+
+      chart.cleanup?.();
+      chart = {};
+      drawnWidth = containerWidth(node);
+
+      const width = opts.width ?? (drawnWidth || FALLBACK_WIDTH);
+      const onZoom = view => {
+        opts.zoom = view;
+        opts.onZoom?.(view);
+      };
+      draw(node, data, { ...opts, width, compact: width < COMPACT_WIDTH, onZoom }, chart);
+      chart.highlight?.(opts.country);
+
+      if (opts.dataTable) {
+        const heading = node.closest(".card, .side-panel")?.querySelector("h2, h3");
+        const caption = heading?.textContent.replace(/\s+/g, " ").trim()
+          || node.getAttribute("aria-label")
+          || t("table.caption");
+        addDataTable(node, chart.data, caption, open);
+      }
+    });
+
+    // Charts sized from their container re-layout when its width changes
+    // (window resize, rotation, side panel); height changes are ignored.
+    const observer = typeof ResizeObserver === "function"
+      ? new ResizeObserver(debounce(() => {
+        if (opts.width != null) return;
+        const w = containerWidth(node);
+        if (w && w !== drawnWidth) render();
+      }, RESIZE_DEBOUNCE_MS))
+      : null;
+
+    render();
+    observer?.observe(node);
+
+    return {
+      update(nextData = data, nextOptions = {}) {
+        data = nextData;
+        opts = { ...opts, ...nextOptions };
+        render();
+        return this;
+      },
+      highlight(iso) {
+        opts.country = iso ?? null;
+        keepingFocus(node, () => chart.highlight?.(opts.country));
+      },
+      zoomTo(view, duration = 0) {
+        opts.zoom = view ?? null;
+        chart.zoomTo?.(opts.zoom, duration);
+      },
+      data: () => chart.data ?? null,
+      destroy() {
+        observer?.disconnect();
+        chart.cleanup?.();
+        chart = {};
+        hideTooltip();
+        d3.select(node).html("");
+      }
+    };
+  };
+}
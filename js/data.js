@@ -0,0 +1,421 @@
+/*******************************************************
+ * Dataset normalization (ES module)
+ * Maps OWID, UCDP GED, ACLED and long-format CSVs onto the
+ * canonical rows every chart module reads:
+ * `{ entity, code, year, <one field per TYPE_ORDER type>, total,
+ *    missing, low?, high? }` (plus `pop` / `rate` once joined).
+ *
+ * Expects d3 v7 as a global (loaded from the CDN).
+ *******************************************************/
+
+import { TYPE_ORDER, featureISO3, rowTotal } from "./core.js";
+
+/** OWID region aggregates (rows without a country code) usable as a series. */
+export const REGIONS = ["Africa", "Americas", "Asia and Oceania", "Europe", "Middle East"];
+
+/* ---------- CSV columns ---------- */
+
+/**
+ * Discover column names in a potentially noisy OWID-style CSV header.
+ * The function is robust to minor wording changes.
+ * Optional low/high estimate columns are returned per type in `low` and
+ * `high` (null when the CSV has none).
+ */
+export function detectColumns(headers) {
+  const norm = s => s
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const all = headers.map(h => ({ raw: h, n: norm(h) }));
+  const boundOf = n =>
+    n.includes("low estimate") ? "low" : n.includes("high estimate") ? "high" : null;
+
+  // Best-estimate columns are every column that is not a low/high bound.
+  const H = all.filter(({ n }) => !boundOf(n));
+
+  const pickIn = (list, needles) => {
+    const i = list.findIndex(({ n }) =>
+      needles.some(nd => n.includes(nd))
+    );
+    return i >= 0 ? list[i].raw : null;
+  };
+  const pick = (...needles) => pickIn(H, needles);
+
+  const TYPE_NEEDLES = {
+    Interstate:    ["conflict type: interstate", " interstate"],
+    Intrastate:    ["conflict type: intrastate", " intrastate"],
+    Extrasystemic: ["conflict type: extrasystemic", " extrasystemic"],
+    "Non-state":   ["conflict type: non-state", " non state", " non-state conflict"],
+    "One-sided":   ["conflict type: one-sided", " one-sided violence", " one sided"]
+  };
+
+  const bounds = which => {
+    const list = all.filter(({ n }) => boundOf(n) === which);
+    const cols = {};
+    TYPE_ORDER.forEach(k => { cols[k] = pickIn(list, TYPE_NEEDLES[k]); });
+    return Object.values(cols).some(Boolean) ? cols : null;
+  };
+
+  return {
+    entity:        pick("entity", "country") || "Entity",
+    code:          pick("code")   || "Code",
+    year:          pick("year")   || "Year",
+    // OWID style: “… - Conflict type: interstate”, etc.
+    interstate:    pick("conflict type: interstate", " interstate"),
+    intrastate:    pick("conflict type: intrastate", " intrastate"),
+    extrasystemic: pick("conflict type: extrasystemic", " extrasystemic"),
+    nonstate:      pick("conflict type: non-state", " non state", " non-state conflict"),
+    onesided:      pick("conflict type: one-sided", " one-sided violence", " one sided"),
+    low:           bounds("low"),
+    high:          bounds("high")
+  };
+}
+
+/**
+ * Numeric value of a CSV cell, or null when it is blank or not a number.
+ */
+export function cellValue(v) {
+  if (v == null || v === "") return null;
+  const n = +v;
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Normalize one CSV row into canonical fields and compute a total.
+ * This function returns one object per CSV row with standardized keys.
+ * Missing cells count as 0 in the sums but are listed in `missing`.
+ */
+export function mapRow(d, C) {
+  const cells = {
+    Interstate:    cellValue(d[C.interstate]),
+    Intrastate:    cellValue(d[C.intrastate]),
+    Extrasystemic: cellValue(d[C.extrasystemic]),
+    "Non-state":   cellValue(d[C.nonstate]),
+    "One-sided":   cellValue(d[C.onesided])
+  };
+
+  const r = {
+    entity: d[C.entity],
+    code:   d[C.code],
+    year:  +d[C.year],
+    missing: TYPE_ORDER.filter(k => cells[k] == null)
+  };
+  TYPE_ORDER.forEach(k => { r[k] = cells[k] ?? 0; });
+
+  // Low/high estimates per type, when the CSV provides them.
+  ["low", "high"].forEach(which => {
+    if (!C[which]) return;
+    r[which] = {};
+    TYPE_ORDER.forEach(k => { r[which][k] = cellValue(d[C[which][k]]); });
+  });
+
+  r.total = rowTotal(r);
+  r.iso3  = r.code;
+  return r;
+}
+
+/* ---------- Population ---------- */
+
+/**
+ * Population estimate per ISO3 code, read from the Natural Earth properties.
+ */
+export function buildPopulationIndex(features) {
+  const pop = new Map();
+  features.forEach(f => {
+    const p   = f.properties || {};
+    const iso = featureISO3(f);
+    if (iso && p.pop_est > 0) {
+      pop.set(iso, { value: +p.pop_est, year: p.pop_year });
+    }
+  });
+  return pop;
+}
+
+/* ---------- Country names ---------- */
+
+/**
+ * Country names per ISO3 code and language, read from the Natural Earth
+ * `name_<code>` properties: ISO3 -> `{ fr: "Soudan", ar: "السودان", … }`.
+ */
+export function buildNameIndex(features) {
+  const names = new Map();
+  features.forEach(f => {
+    const iso = featureISO3(f);
+    if (!iso) return;
+    const byLang = Object.fromEntries(
+      Object.entries(f.properties || {})
+        .filter(([k, v]) => /^name_[a-z]{2}$/.test(k) && v)
+        .map(([k, v]) => [k.slice(5), v])
+    );
+    names.set(iso, byLang);
+  });
+  return names;
+}
+
+/* ---------- Dataset adapters ---------- */
+
+/**
+ * Country names used by event datasets that differ from every Natural Earth
+ * name variant (after dropping parenthesised former names, e.g. "Russia
+ * (Soviet Union)" → "russia").
+ */
+const COUNTRY_NAME_ALIASES = {
+  "dr congo": "COD",
+  "bosnia-herzegovina": "BIH",
+  "macedonia, fyr": "MKD",
+  "bahrain": "BHR",
+  "comoros": "COM",
+  "maldives": "MDV"
+};
+
+/**
+ * Build a resolver from a country name (or ISO numeric code) to the ISO3
+ * code used by the map, based on the Natural Earth name properties.
+ */
+export function countryCodeResolver(features) {
+  const norm = name => String(name ?? "")
+    .toLowerCase()
+    .replace(/\s*\(.*?\)\s*/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const byName = new Map(Object.entries(COUNTRY_NAME_ALIASES));
+  const byNum  = new Map();
+  features.forEach(f => {
+    const iso = featureISO3(f);
+    if (!iso) return;
+    const p = f.properties || {};
+    [p.name, p.name_long, p.admin, p.formal_en, p.name_sort, p.brk_name]
+      .filter(Boolean)
+      .forEach(n => { if (!byName.has(norm(n))) byName.set(norm(n), iso); });
+    if (+p.iso_n3 > 0) byNum.set(+p.iso_n3, iso);
+  });
+
+  return (name, isoNumeric = null) =>
+    byNum.get(+isoNumeric) || byName.get(norm(name)) || "";
+}
+
+/**
+ * OWID region aggregate an event dataset's region belongs to (or null).
+ */
+export function regionOf(name) {
+  const n = String(name ?? "").toLowerCase();
+  if (n.includes("middle east")) return "Middle East";
+  if (n.includes("africa"))      return "Africa";
+  if (n.includes("america") || n.includes("caribbean")) return "Americas";
+  if (n.includes("europe"))      return "Europe";
+  if (n.includes("asia") || n.includes("oceania") || n.includes("caucasus")) return "Asia and Oceania";
+  return null;
+}
+
+/**
+ * Canonical row from per-type values (and optional per-type bounds).
+ */
+export function makeRow(entity, code, year, values, low = null, high = null) {
+  const r = { entity, code, year, missing: [] };
+  TYPE_ORDER.forEach(k => { r[k] = values[k] || 0; });
+  if (low)  r.low  = { ...low };
+  if (high) r.high = { ...high };
+  r.total = rowTotal(r);
+  r.iso3  = r.code;
+  return r;
+}
+
+/**
+ * Aggregate long records `{ entity, code, year, type, best, low, high, region }`
+ * to canonical country-year rows. Event datasets pass `fillZeros` so that
+ * years without events count as 0 deaths; World (and region) aggregates are
+ * derived from the country rows unless the records already include them.
+ */
+export function rowsFromRecords(records, { fillZeros = false } = {}) {
+  const valid = records.filter(d =>
+    d.entity && Number.isFinite(d.year) && TYPE_ORDER.includes(d.type));
+  const hasBounds = valid.some(d => d.low != null || d.high != null);
+  const years = d3.range(d3.min(valid, d => d.year), d3.max(valid, d => d.year) + 1);
+
+  const sumBy = (list, field) => {
+    const out = {};
+    TYPE_ORDER.forEach(k => {
+      out[k] = d3.sum(list.filter(d => d.type === k), d => d[field] ?? d.best);
+    });
+    return out;
+  };
+
+  const toRows = (list, keyOf, codeOf) =>
+    Array.from(d3.group(list, keyOf), ([entity, byEntity]) => {
+      const byYear = d3.group(byEntity, d => d.year);
+      const span   = fillZeros ? years : Array.from(byYear.keys()).sort(d3.ascending);
+      return span.map(year => {
+        const l = byYear.get(year) || [];
+        const r = makeRow(
+          entity, codeOf(byEntity[0]), year, sumBy(l, "best"),
+          hasBounds ? sumBy(l, "low") : null,
+          hasBounds ? sumBy(l, "high") : null
+        );
+        // A type is missing when all its records have a blank value.
+        r.missing = TYPE_ORDER.filter(k => {
+          const ofType = l.filter(d => d.type === k);
+          return ofType.length && ofType.every(d => d.best == null);
+        });
+        return r;
+      });
+    }).flat();
+
+  const rows = toRows(valid, d => d.entity, d => d.code || "");
+
+  if (!rows.some(r => r.entity === "World")) {
+    const countryRecords = valid.filter(d => d.entity !== "World" && !REGIONS.includes(d.entity));
+    const derived = toRows(countryRecords, () => "World", () => "OWID_WRL");
+
+    if (!rows.some(r => REGIONS.includes(r.entity))) {
+      derived.push(...toRows(countryRecords.filter(d => d.region), d => d.region, () => ""));
+    }
+    derived.forEach(r => { r.derived = true; });
+    rows.push(...derived);
+  }
+  return rows;
+}
+
+/**
+ * Count one row whose type label an adapter could not map (when the caller
+ * passed an `unknownTypes` Map).
+ */
+function countUnknownType(unknownTypes, label) {
+  if (!unknownTypes) return;
+  const key = String(label ?? "");
+  unknownTypes.set(key, (unknownTypes.get(key) || 0) + 1);
+}
+
+/**
+ * Dataset adapters: `detect(headers)` tells whether a CSV header looks like
+ * the format, `toRows(raw, { features, unknownTypes })` maps the parsed CSV
+ * onto canonical rows (`entity`, `code`, `year`, one column per TYPE_ORDER
+ * type, `missing` and optional `low`/`high`). Adapters that read type labels
+ * count the labels they skip in the optional `unknownTypes` Map.
+ */
+export const DATASET_ADAPTERS = {
+  // OWID export: one row per entity-year, one column per type.
+  owid: {
+    label: "Our World in Data (wide, one column per type)",
+    detect(headers) {
+      const C = detectColumns(headers);
+      return [C.entity, C.code, C.year, C.intrastate, C.nonstate, C.onesided]
+        .every(x => headers.includes(x));
+    },
+    toRows(raw) {
+      const C = detectColumns(Object.keys(raw[0]));
+      return raw.map(d => mapRow(d, C));
+    }
+  },
+
+  // UCDP GED: one row per event. State-based violence (type 1) is split into
+  // interstate (government on both sides) and intrastate.
+  ged: {
+    label: "UCDP GED (event level)",
+    detect: headers => ["type_of_violence", "best", "country", "year"].every(h => headers.includes(h)),
+    toRows(raw, { features }) {
+      const codeOf = countryCodeResolver(features);
+      const typeOf = d => {
+        if (+d.type_of_violence === 2) return "Non-state";
+        if (+d.type_of_violence === 3) return "One-sided";
+        return /^government of/i.test(d.side_b || "") ? "Interstate" : "Intrastate";
+      };
+      return rowsFromRecords(raw.map(d => ({
+        entity: d.country,
+        code:   codeOf(d.country),
+        year:   +d.year,
+        type:   typeOf(d),
+        best:   +d.best || 0,
+        low:    cellValue(d.low),
+        high:   cellValue(d.high),
+        region: regionOf(d.region)
+      })), { fillZeros: true });
+    }
+  },
+
+  // ACLED export: one row per event, typed from the event type and the
+  // actors involved (inter1/inter2: 1 = state forces, 7 = civilians).
+  // Protests and strategic developments carry no conflict type: they are
+  // skipped and counted in `unknownTypes` by event type.
+  acled: {
+    label: "ACLED (event level)",
+    detect: headers => ["event_type", "fatalities", "country", "year"].every(h => headers.includes(h)),
+    toRows(raw, { features, unknownTypes }) {
+      const codeOf = countryCodeResolver(features);
+      const typeOf = d => {
+        const e = String(d.event_type || "").toLowerCase();
+        const a = +d.inter1;
+        const b = +d.inter2;
+        if (e.includes("violence against civilians")) return "One-sided";
+        if (e.includes("battles") || e.includes("explosions") || e.includes("riots")) {
+          if (a === 1 && b === 1) return "Interstate";
+          if (a === 1 || b === 1) return "Intrastate";
+          return "Non-state";
+        }
+        countUnknownType(unknownTypes, d.event_type);
+        return null;
+      };
+      return rowsFromRecords(raw.map(d => ({
+        entity: d.country,
+        code:   codeOf(d.country, d.iso),
+        year:   +d.year,
+        type:   typeOf(d),
+        best:   +d.fatalities || 0,
+        region: regionOf(d.region)
+      })), { fillZeros: true });
+    }
+  },
+
+  // Long / tidy table: entity, (code,) year, type, deaths (low, high optional).
+  tidy: {
+    label: "Long format (entity, year, type, deaths)",
+    detect: headers => ["entity", "year", "type", "deaths"]
+      .every(h => headers.some(x => x.toLowerCase() === h)),
+    toRows(raw, { unknownTypes } = {}) {
+      const col = name => Object.keys(raw[0]).find(x => x.toLowerCase() === name);
+      const C = {
+        entity: col("entity"), code: col("code"), year: col("year"),
+        type: col("type"), deaths: col("deaths"), low: col("low"), high: col("high")
+      };
+      const typeOf = t => {
+        const n = String(t ?? "").toLowerCase().replace(/[\s_]+/g, "-");
+        const type = TYPE_ORDER.find(k => n.startsWith(k.toLowerCase()));
+        if (!type) countUnknownType(unknownTypes, t);
+        return type || null;
+      };
+      return rowsFromRecords(raw.map(d => ({
+        entity: d[C.entity],
+        code:   C.code ? d[C.code] || "" : "",
+        year:   +d[C.year],
+        type:   typeOf(d[C.type]),
+        best:   cellValue(d[C.deaths]),
+        low:    C.low  ? cellValue(d[C.low])  : null,
+        high:   C.high ? cellValue(d[C.high]) : null
+      })));
+    }
+  }
+};
+
+/**
+ * World rows summed from the country rows, for datasets without a World aggregate.
+ */
+export function worldFromCountries(countries) {
+  return Array.from(d3.group(countries, r => r.year), ([year, list]) => {
+    const values = {};
+    TYPE_ORDER.forEach(k => { values[k] = d3.sum(list, d => d[k]); });
+    const r = makeRow("World", "OWID_WRL", year, values);
+    r.missing = TYPE_ORDER.filter(k => list.every(d => d.missing?.includes(k)));
+    r.derived = true;
+    return r;
+  }).sort((a, b) => d3.ascending(a.year, b.year));
+}
+
+/**
+ * Adapter for a CSV header: the configured format, else the first adapter
+ * of `adapters` whose `detect` accepts the header (null when none does).
+ */
+export function pickAdapter(headers, format = null, adapters = DATASET_ADAPTERS) {
+  if (format) return adapters[format] || null;
+  return Object.values(adapters).find(a => a.detect(headers)) || null;
+}
@@ -0,0 +1,178 @@
+/*******************************************************
+ * Localization (ES module)
+ * Message catalogs of the charts and dashboard (js/locales/),
+ * number formats (d3.format follows the current locale) and
+ * country names in the current language, joined by ISO3 code.
+ * Page elements marked with `data-i18n` are translated in place.
+ *
+ * Expects d3 v7 as a global (loaded from the CDN).
+ *******************************************************/
+
+import { MESSAGES as AR } from "./locales/ar.js";
+import { MESSAGES as EN } from "./locales/en.js";
+import { MESSAGES as ES } from "./locales/es.js";
+import { MESSAGES as FR } from "./locales/fr.js";
+import { MESSAGES as ZH } from "./locales/zh.js";
+
+/* ---------- Locales ---------- */
+
+/**
+ * Supported locales, named after the `name_<code>` properties of the
+ * Natural Earth GeoJSON:
+ * - `label`: name of the language in itself (locale dropdown)
+ * - `dir`: text direction of the page
+ * - `numbers`: d3-format locale definition
+ * - `messages`: catalog of the locale; missing keys fall back to English
+ */
+export const LOCALES = {
+  en: {
+    label: "English",
+    dir: "ltr",
+    numbers: { decimal: ".", thousands: ",", grouping: [3], currency: ["$", ""] },
+    messages: EN
+  },
+  fr: {
+    label: "Français",
+    dir: "ltr",
+    numbers: { decimal: ",", thousands: "\u00a0", grouping: [3], currency: ["", "\u00a0€"], percent: "\u202f%" },
+    messages: FR
+  },
+  es: {
+    label: "Español",
+    dir: "ltr",
+    numbers: { decimal: ",", thousands: ".", grouping: [3], currency: ["", "\u00a0€"] },
+    messages: ES
+  },
+  // Western digits, as in d3's ar-MA locale, so that numbers read like the
+  // years written into the messages.
+  ar: {
+    label: "العربية",
+    dir: "rtl",
+    numbers: { decimal: ",", thousands: ".", grouping: [3], currency: ["", ""] },
+    messages: AR
+  },
+  zh: {
+    label: "中文",
+    dir: "ltr",
+    numbers: { decimal: ".", thousands: ",", grouping: [3], currency: ["¥", ""] },
+    messages: ZH
+  }
+};
+
+/* ---------- Current locale ---------- */
+
+let current = "en";
+let countryNames = new Map();
+const listeners = [];
+
+/**
+ * Code of the current locale (a key of LOCALES).
+ */
+export function locale() {
+  return current;
+}
+
+/**
+ * Message of the current locale (else English) for `key`, or undefined.
+ */
+function lookup(key) {
+  return LOCALES[current].messages[key] ?? EN[key];
+}
+
+/**
+ * Translate `key`, filling `{name}` placeholders from `params`.
+ * Unknown keys are returned as is, so that a missing message shows up.
+ */
+export function t(key, params = {}) {
+  const msg = lookup(key) ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m));
+}
+
+/**
+ * Message for `key`, or `fallback` when no catalog has one (names that may
+ * come from outside the catalogs: dataset types, added palettes…).
+ */
+export function label(key, fallback) {
+  return lookup(key) ?? fallback;
+}
+
+/**
+ * Display name of a conflict type (types of custom datasets stay as is).
+ */
+export function typeName(type) {
+  return label(`type.${type}`, type);
+}
+
+/**
+ * Display name of a region aggregate ("World", "Africa"…).
+ */
+export function regionName(region) {
+  return label(`region.${region}`, region);
+}
+
+/**
+ * Name of a country in the current language, from the GeoJSON names joined
+ * by ISO3; `fallback` (the dataset's English entity name) in English or
+ * when the map has no name for the code.
+ */
+export function countryName(iso, fallback) {
+  if (current === "en") return fallback ?? iso;
+  return countryNames.get(iso)?.[current] || fallback || iso;
+}
+
+/**
+ * Replace the country names (ISO3 -> `{ <locale>: name }`, see
+ * buildNameIndex in js/data.js).
+ */
+export function setCountryNames(index) {
+  countryNames = index;
+}
+
+/**
+ * Translate the page elements marked with `data-i18n="key"` (text) and
+ * `data-i18n-<attribute>="key"` (aria-label, title, placeholder). Children
+ * with `data-slot="name"` are kept (with their ids and live content) and
+ * moved to the `{name}` placeholders of the message.
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach(el => {
+    const slots = new Map(
+      Array.from(el.querySelectorAll(":scope > [data-slot]"), s => [s.dataset.slot, s])
+    );
+    const parts = t(el.dataset.i18n).split(/\{(\w+)\}/);
+    el.replaceChildren(...parts.map((part, i) => (i % 2
+      ? slots.get(part) ?? `{${part}}`
+      : document.createTextNode(part))));
+  });
+
+  ["aria-label", "title", "placeholder"].forEach(attr => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+/**
+ * Switch the locale (unknown codes are ignored): number formats, `lang` and
+ * `dir` of <html>, the marked page elements, then notify the listeners.
+ */
+export function setLocale(code) {
+  if (LOCALES[code]) current = code;
+
+  const loc  = LOCALES[current];
+  const root = document.documentElement;
+  d3.formatDefaultLocale(loc.numbers);
+  root.lang = current;
+  root.dir  = loc.dir;
+  translatePage();
+
+  listeners.forEach(fn => fn(current));
+  return current;
+}
+
+/**
+ * Call `fn(code)` after every locale switch.
+ */
+export function onLocaleChange(fn) {
+  listeners.push(fn);
+}
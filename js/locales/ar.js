@@ -0,0 +1,293 @@
+/* Arabic messages (missing keys fall back to js/locales/en.js). */
+
+export const MESSAGES = {
+  /* ---------- Page ---------- */
+  "page.title": "تصوير النزاعات والمعاناة الإنسانية من خلال البيانات",
+  "page.subtitle": "مقارنة الفئات باستخدام بيانات مفتوحة (OWID / UCDP)",
+  "section.intro": "مقدمة",
+  "section.compare": "مقارنة الفئات",
+  "section.distributions": "التوزيعات: التباين بين البلدان",
+  "section.time": "الأنماط الزمنية",
+  "section.maps": "الأنماط المكانية",
+  "section.connections": "تصوير الروابط",
+  "section.checks": "فحص البيانات",
+  "section.introText": "يستكشف هذا الموقع كيف يمكن لتصوير البيانات أن يمثل النزاعات العالمية والقضايا الإنسانية. باستخدام البيانات المفتوحة من {owid} وبرنامج أوبسالا لبيانات النزاعات (UCDP)، نقارن الفئات عبر ترميزات بصرية متعددة لإبراز وجهات نظر مختلفة حول الحقائق نفسها.",
+  "section.compareNote": "مخططات تقارن القتلى المرتبطين بالنزاعات حسب البلد ونوع النزاع. تُستبعد الإجماليات الإقليمية من ترتيب البلدان.",
+  "section.distributionsNote": "يستكشف هذا القسم كيف يتفاوت عدد القتلى المرتبطين بالنزاعات بين البلدان وأنواع النزاع في سنة {year}. تُستخدم بيانات UCDP نفسها مع التركيز على التوزيعات الإحصائية.",
+  "section.timeNote": "مخطط خطي يبين تطور القتلى المرتبطين بالنزاعات عبر الزمن، باستخدام إجمالي «العالم» من UCDP أو أحد الإجماليات الإقليمية (أفريقيا، الأمريكتان، آسيا وأوقيانوسيا، أوروبا، الشرق الأوسط).",
+  "section.mapsNote": "يستكشف هذا القسم التوزيع المكاني للقتلى المرتبطين بالنزاعات. تستخدم كل الخرائط بيانات UCDP نفسها، مع التركيز على بيانات البلدان في سنة {year}.",
+  "section.connectionsNote": "يعرض هذا القسم بيانات الترابط باستخدام مخطط سانكي (التدفقات) ومخطط شبكي (العلاقات).",
+  "callout.note": "ملاحظة:",
+  "callout.extrasystemic": "{note} تُدرج النزاعات «{type}» (حروب تُخاض خارج أراضي الدولة، مثل الحروب الاستعمارية) من أجل الاكتمال التاريخي، لكنها لم تعد تُرصد في العقود الأخيرة، لذا قيمها صفر في البيانات الحديثة.",
+  "footer.top": "العودة إلى الأعلى ↑",
+  "footer.topLabel": "العودة إلى الأعلى",
+  "footer.credit": "© 2025 — داريو أونسوري. البيانات: UCDP عبر Our World in Data ‏(CC BY).",
+
+  /* ---------- Controls ---------- */
+  "controls.label": "عناصر التحكم في لوحة المعلومات",
+  "control.year": "السنة",
+  "control.series": "السلسلة",
+  "control.measure": "المقياس",
+  "control.theme": "المظهر",
+  "control.palette": "لوحة الألوان",
+  "control.language": "اللغة",
+  "control.range": "الفترة",
+  "control.clearRange": "مسح الفترة",
+  "control.data": "البيانات",
+  "control.country": "البلد المحدد",
+  "control.clearCountry": "مسح البلد المحدد",
+  "measure.absolute": "عدد الوفيات",
+  "measure.per100k": "لكل 100.000 نسمة",
+  "measure.suffix": " لكل 100.000 نسمة",
+  "mode.light": "فاتح",
+  "mode.dark": "داكن",
+  "palette.default": "الألوان الافتراضية",
+  "palette.okabe-ito": "مناسبة لعمى الألوان (Okabe-Ito)",
+  "palette.viridis": "مناسبة لعمى الألوان (viridis)",
+  "upload.button": "تحميل ملفات…",
+  "upload.hint": "أو أفلت ملف CSV / GeoJSON في أي مكان من الصفحة",
+  "focus.group": "البلدان المراد مقارنتها",
+  "focus.input": "إضافة بلد إلى المقارنة",
+  "focus.placeholder": "إضافة بلد…",
+  "focus.full": "{n} بلدان كحد أقصى",
+  "focus.remove": "إزالة {name}",
+  "playback.label": "تشغيل السنوات",
+  "playback.play": "▶ تشغيل",
+  "playback.pause": "❚❚ إيقاف مؤقت",
+  "playback.prev": "◀ السابقة",
+  "playback.prevLabel": "السنة السابقة",
+  "playback.next": "التالية ▶",
+  "playback.nextLabel": "السنة التالية",
+  "export.download": "تنزيل",
+  "export.csv": "البيانات (CSV)",
+  "export.json": "البيانات (JSON)",
+  "panel.close": "إغلاق لوحة البلد",
+  "panel.title": "البلد",
+  "zoom.label": "منطقة الخرائط",
+  "zoom.sahel": "الساحل",
+  "zoom.greatLakes": "البحيرات العظمى",
+  "zoom.middleEast": "الشرق الأوسط",
+  "zoom.balkans": "البلقان",
+  "zoom.centralAmerica": "أمريكا الوسطى",
+  "zoom.reset": "إعادة ضبط التكبير",
+  "zoom.hint": "اسحب الخريطة لتحريكها، واستخدم Ctrl مع عجلة الفأرة أو القرص بإصبعين للتكبير. تتحرك الخرائط الثلاث معًا.",
+
+  /* ---------- Chart titles ---------- */
+  "card.top10": "البلدان الأكثر وفيات بسبب النزاعات{measure} في {year}",
+  "card.grouped": "الوفيات حسب نوع النزاع (البلدان المحددة، {year})",
+  "card.heatmap": "الوفيات حسب نوع النزاع والسنة ({region})",
+  "card.stack100": "حصة الوفيات حسب نوع النزاع عبر الزمن ({region}، مكدسة 100%)",
+  "card.waffle": "توزيع الوفيات حسب نوع النزاع في {year} (العالم)",
+  "card.histogram": "مدرج تكراري — مجموع الوفيات بسبب النزاعات{measure} لكل بلد ({year})",
+  "card.violin": "مخطط الكمان — التوزيع حسب نوع النزاع ({year})",
+  "card.boxplot": "مخطط الصندوق — التوزيع على مستوى البلدان حسب نوع النزاع ({year})",
+  "card.timeseries": "الوفيات بسبب النزاعات عبر الزمن ({region})",
+  "card.choropleth": "خريطة التظليل — الوفيات بسبب النزاعات{measure} لكل بلد ({year})",
+  "card.symbol": "خريطة الرموز النسبية — الوفيات{measure} ممثلة بدوائر ({year})",
+  "card.contour": "خريطة خطوط التساوي — سطح شدة مُمَهَّد",
+  "card.sankey": "مخطط سانكي — نوع النزاع ← البلدان ({year})",
+  "card.network": "الشبكة — التشابه بين البلدان (التكوين حسب النوع، {year})",
+  "card.choroplethText": "يُلوَّن كل بلد وفق إجمالي القتلى المرتبطين بالنزاعات المسجلين في {year}. تشير الألوان الأغمق إلى قيم أعلى؛ وتظهر البلدان التي لم يُسجَّل فيها قتلى باللون الرمادي الفاتح، والبلدان التي لا تتوفر لها بيانات مظللة بخطوط.",
+  "card.choroplethNote": "البلدان التي تظهر بالرمادي الفاتح هي التي تسجل لها بيانات UCDP صفر قتلى مرتبطين بالنزاعات في {year}: لم يبلغ أي حدث عتبة التسجيل لدى UCDP في تلك السنة. أما البلدان المظللة بخطوط فليس لها صف (أو لها خلايا فارغة فقط) في البيانات، لذا قيمتها مجهولة وليست صفرًا؛ وتنبه التلميحات إلى الإجماليات التي تستثني أنواع نزاع بلا بيانات.",
+  "card.symbolText": "تمثل هذه الخريطة إجماليات البلدان نفسها لعام {year} كما في الخريطة التظليلية، لكنها تستخدم دوائر نسبية بدلًا من اللون. تتناسب {area} الدائرة مع عدد القتلى المرتبطين بالنزاعات، وفق الإرشادات الخرائطية المعتادة لخرائط الرموز النسبية.",
+  "card.symbolArea": "مساحة",
+  "card.contourText": "تقارب الخريطة الثالثة سطحًا متصلًا لشدة النزاعات باستخدام أشرطة خطوط التساوي المشتقة من بيانات البلدان. تشير الأشرطة الأغمق إلى المناطق التي تقترب فيها الشدة المنعّمة من الحد الأقصى العالمي.",
+  "chart.top10": "أكثر 10 بلدان وفيات بسبب النزاعات",
+  "chart.grouped": "مخطط أعمدة مجمعة حسب نوع النزاع",
+  "chart.heatmap": "خريطة حرارية للوفيات حسب نوع النزاع والسنة",
+  "chart.stack100": "أعمدة مكدسة 100% لحصص أنواع النزاع",
+  "chart.waffle": "مخطط الوافل لتوزيع أنواع النزاع",
+  "chart.histogram": "مدرج تكراري للوفيات لكل بلد",
+  "chart.violin": "مخطط الكمان حسب نوع النزاع",
+  "chart.boxplot": "مخطط الصندوق حسب نوع النزاع",
+  "chart.sankey": "مخطط سانكي",
+  "chart.network": "مخطط الشبكة",
+
+  /* ---------- Conflict types and regions ---------- */
+  "type.Interstate": "بين الدول",
+  "type.Intrastate": "داخل الدولة",
+  "type.Extrasystemic": "خارج النظام",
+  "type.Non-state": "غير حكومي",
+  "type.One-sided": "أحادي الجانب",
+  "region.World": "العالم",
+  "region.Africa": "أفريقيا",
+  "region.Americas": "الأمريكتان",
+  "region.Asia and Oceania": "آسيا وأوقيانوسيا",
+  "region.Europe": "أوروبا",
+  "region.Middle East": "الشرق الأوسط",
+
+  /* ---------- Tooltips and legends ---------- */
+  "tip.deaths": "{value} وفاة",
+  "tip.deathsIn": "{value} وفاة في {year}",
+  "tip.rate": "{value} لكل 100.000 نسمة",
+  "tip.noPopulation": "عدد السكان غير معروف",
+  "tip.range": "النطاق: {low}–{high} (تقدير أدنى–أعلى)",
+  "tip.partialTotal": "مجموع جزئي: لا توجد بيانات عن {types}",
+  "tip.partialYears": "بعض السنوات بلا بيانات عن {types}",
+  "tip.shareOf": "{share} من {year}",
+  "tip.noDataFor": "لا توجد بيانات عن {year}.",
+  "tip.noDeathsRecorded": "لم يسجل UCDP وفيات على مستوى البلد في {year}.",
+  "tip.quartiles": "الربيع الأول–الوسيط–الربيع الثالث:",
+  "tip.whiskers": "الشوارب:",
+  "tip.outlier": "قيمة شاذة:",
+  "legend.noData": "لا توجد بيانات",
+  "legend.zero": "0 وفيات",
+  "legend.types": "أنواع النزاع",
+  "legend.typesToggle": "أنواع النزاع (انقر للإدراج أو الاستبعاد)",
+  "legend.exclude": "استبعاد {type}",
+  "legend.include": "إدراج {type}",
+  "table.summary": "جدول البيانات",
+  "table.caption": "بيانات المخطط",
+  "note.partiallyRecognized": "دولة معترف بها جزئيًا",
+  "note.historical": "كيان تاريخي، يظهر فوق الدول التي خلفته",
+  "note.historicalGermany": "كيان تاريخي، يظهر فوق ألمانيا",
+  "note.historicalYemen": "كيان تاريخي، يظهر فوق اليمن",
+  "note.disputedGeorgia": "منطقة متنازع عليها داخل جورجيا",
+  "note.disputedSudan": "منطقة متنازع عليها بين السودان وجنوب السودان",
+
+  /* ---------- Chart texts ---------- */
+  "axis.year": "السنة",
+  "axis.deathsPerCountry": "الوفيات لكل بلد",
+  "heatmap.legend": "عدد الوفيات (مقياس لوغاريتمي)",
+  "histogram.bin": "الفئة:",
+  "histogram.countries": "البلدان:",
+  "histogram.binLabel": "من {low} إلى {high}: {n} بلدان",
+  "histogram.axisRate": "الوفيات بسبب النزاعات لكل 100.000 نسمة (لكل بلد)",
+  "histogram.axisRateShort": "الوفيات لكل 100 ألف نسمة (لكل بلد)",
+  "histogram.axisTotal": "مجموع الوفيات بسبب النزاعات لكل بلد",
+  "histogram.caption": "المدرج التكراري لعام {year}. تُقتطع القيم التي تتجاوز المئين 99 لتسهيل القراءة.",
+  "distribution.label": "{type}: {n} بلدان، الوسيط {median} وفاة",
+  "timeseries.axis": "الوفيات بسبب النزاعات (مجموع {region})",
+  "timeseries.axisShort": "الوفيات ({region})",
+  "timeseries.brushHint": "اسحب عبر المخطط لجمع المخططات السنوية على فترة من السنوات؛ انقر خارج التحديد لمسحه.",
+  "map.unknown": "غير معروف",
+  "map.noData": "لا توجد بيانات",
+  "map.legendRate": "الوفيات بسبب النزاعات لكل 100.000 نسمة",
+  "map.legendTotal": "الوفيات بسبب النزاعات (مجموع البلد)",
+  "map.specialKey": "مظلل: دولة تاريخية فوق الدول التي خلفتها · ◆ منطقة متنازع عليها بلا حدود خاصة",
+  "map.specialKeyShort": "مظلل: دولة تاريخية · ◆ منطقة متنازع عليها",
+  "symbol.legendRate": "الوفيات لكل 100 ألف نسمة (مساحة الدائرة)",
+  "symbol.legendTotal": "الوفيات (مساحة الدائرة)",
+  "contour.intensity": "الشدة النسبية للنزاع",
+  "contour.level": "مستوى خط التساوي: {percent} من الحد الأقصى",
+  "contour.levelSmoothed": "مستوى خط التساوي: {percent} من الحد الأقصى (مُمَهَّد)",
+  "contour.legend": "شدة النزاع المُمَهَّدة (نسبةً إلى الحد الأقصى)",
+  "sankey.other": "بلدان أخرى",
+  "sankey.otherAggregated": "بلدان أخرى (مجمعة)",
+  "sankey.flow": "{value} وفاة ({year})",
+  "sankey.totalFlow": "إجمالي التدفق: {value} ({year})",
+  "sankey.caption": "مخطط سانكي (أول {n} بلدان + بلدان أخرى) — يمثل عرض الروابط الوفيات (التدفق) في {year}.",
+  "network.reset": "إعادة تعيين التخطيط",
+  "network.totalDeaths": "مجموع الوفيات: {value} ({year})",
+  "network.vector": "المتجه: [{parts}]",
+  "network.similarity": "تشابه جيب التمام: {value}",
+  "network.caption": "الشبكة (أول {n} بلدان) — تربط الحواف البلدان التي يبلغ تشابه جيب التمام بينها {threshold} أو أكثر (أفضل {k} لكل عقدة). يمثل حجم العقدة مجموع الوفيات في {year}. اسحب للتثبيت، وانقر نقرًا مزدوجًا لإلغاء التثبيت.",
+  "history.cumulative": "الوفيات التراكمية",
+  "history.peak": "سنة الذروة",
+  "history.rank": "الترتيب",
+  "history.rankIn": "الترتيب في {year}",
+  "history.seeBelow": "انظر المخطط أدناه",
+  "history.byType": "الوفيات حسب نوع النزاع",
+  "history.rankTitle": "الترتيب بين البلدان (1 = الأكثر وفيات)",
+  "history.rankTip": "الترتيب {rank} ({value} وفاة)",
+
+  /* ---------- Captions ---------- */
+  "caption.top10": "تقارن الأشرطة الأفقية الأعداد المطلقة للقتلى (مقاتلين ومدنيين) في النزاعات المسلحة الجارية. المصدر: UCDP عبر Our World in Data. تستخدم المعدلات للفرد تقدير السكان من Natural Earth ({field}) لكل بلد، لذا فهي تقريبية للسنوات السابقة.",
+  "caption.heatmap": "تمثل شدة اللون الأعداد المطلقة للقتلى المرتبطين بالنزاعات (UCDP). يُستخدم إجمالي «العالم» افتراضيًا لعرض عام طويل الأمد؛ ويتيح محدد المنطقة أعلاه التبديل إلى الإجماليات الإقليمية لـ OWID.",
+  "caption.stack100": "يبلغ مجموع كل شريط 100% في السنة؛ ويمثل كل جزء ملون حصة نوع من أنواع النزاع.",
+  "caption.waffle": "مخطط الوافل: شبكة 10×10 = 100 مربع. كل مربع ≈ 1% من القتلى في العالم في {year}. تمثل الألوان أنواع النزاع وفق UCDP.",
+  "caption.histogram": "يبين كل شريط عدد البلدان التي يقع إجمالي قتلى النزاعات فيها ضمن نطاق معين. تُستبعد الإجماليات والمناطق.",
+  "caption.violin": "لكل نوع من أنواع النزاع، يبين شكل الكمان كثافة أعداد القتلى على مستوى البلدان. تشير النقطة البيضاء إلى الوسيط، ويمتد الخط الأسود على المدى الربيعي.",
+  "caption.boxplot": "تمثل الصناديق المدى الربيعي (Q1–Q3)، ويشير الخط إلى الوسيط، وتمتد الشعيرات إلى أدنى وأعلى قيمة غير متطرفة.",
+  "caption.timeseries": "الإجماليات السنوية للقتلى المرتبطين بالنزاعات في إجمالي {region} (مقاتلين ومدنيين). تظهر السنوات التي لم يُسجَّل فيها قتلى على المحور الزمني عند خط الأساس.",
+  "caption.choropleth": "خريطة تظليلية للعالم تستند إلى إجماليات UCDP على مستوى البلدان (مقاتلين ومدنيين) لعام {year}.",
+  "caption.symbol": "خريطة رموز نسبية تستند إلى إجماليات UCDP على مستوى البلدان لعام {year} (مقاتلين ومدنيين). تتناسب مساحة الدائرة مع عدد القتلى.",
+  "caption.contour": "خريطة خطوط تساوٍ مشتقة من إجماليات UCDP للبلدان لعام {year}. تمثل الأشرطة الملونة سطحًا مُنعَّمًا لشدة النزاعات نسبةً إلى المنطقة الأشد.",
+  "caption.sankey": "يمثل عرض الروابط عدد القتلى؛ المصادر هي أنواع النزاع والوجهات هي البلدان الأكثر تضررًا.",
+  "caption.network": "تعكس الروابط التشابه في {composition} أنواع النزاع (لا في الشدة). يمثل حجم العقدة إجمالي القتلى؛ ولا تُبقى إلا الروابط التي تتجاوز عتبة تشابه لتجنب التشابك.",
+  "caption.composition": "تركيبة",
+  "caption.panel": "السجل الكامل للقتلى المرتبطين بالنزاعات في البلد المحدد (UCDP)، مقتصرًا على أنواع النزاع المشمولة حاليًا. يشير الشريط المظلل إلى السنة أو الفترة المعروضة.",
+
+  /* ---------- Data checks and upload ---------- */
+  "join.title": "تشخيص الربط — رموز البلدان في CSV مقابل عناصر الخريطة",
+  "join.note": "تُربط البلدان بالخريطة عبر رمز ISO-3. تستخدم Natural Earth القيمة \"-99\" لبعض العناصر؛ ويمكن ربطها بإدراج رمز {field} الخاص بها في {option} ضمن {config}. لا تظهر الدول الصغيرة التي ليس لها شكل بهذا المقياس إلا في المخططات غير المكانية.",
+  "join.rowsHeading": "كيانات في CSV لديها قتلى دون عنصر على الخريطة",
+  "join.featuresHeading": "عناصر الخريطة التي ليس لها صف بيانات",
+  "join.overridesHeading": "الاستبدالات المطبقة",
+  "join.summary": "{matched} من {features} عنصرًا في الخريطة مرتبطة ببلد في CSV · {rows} كيانًا في CSV لديها قتلى دون عنصر على الخريطة · {unmatched} عنصرًا دون صف بيانات",
+  "join.rowsMatched": "كل كيان في CSV لديه قتلى يطابق عنصرًا على الخريطة.",
+  "join.featuresMatched": "لكل عنصر في الخريطة صف بيانات.",
+  "join.noOverrides": "لم تُطبَّق أي استبدالات.",
+  "report.entity": "الكيان",
+  "report.code": "الرمز",
+  "report.totalDeaths": "إجمالي القتلى",
+  "report.feature": "العنصر",
+  "report.joinedAs": "رُبط بوصفه",
+  "report.year": "السنة",
+  "report.type": "النوع",
+  "report.countrySum": "مجموع البلدان",
+  "report.world": "العالم",
+  "report.difference": "الفرق",
+  "report.rows": "الصفوف",
+  "report.label": "التسمية",
+  "report.value": "القيمة",
+  "report.missingYears": "السنوات المفقودة",
+  "report.more": "… و{n} أخرى.",
+  "validation.title": "تقرير التحقق — {summary}",
+  "validation.worldHeading": "صفوف البلدان مقابل صف العالم",
+  "validation.caption": "مجموع صفوف البلدان مطروحًا منه صف العالم، حسب السنة ونوع النزاع (0 يعني الاتساق).",
+  "validation.duplicatesHeading": "صفوف مكررة للكيان والسنة",
+  "validation.valuesHeading": "قيم سالبة أو غير صحيحة",
+  "validation.gapsHeading": "سنوات مفقودة لبعض الكيانات",
+  "validation.typesHeading": "أنواع النزاع",
+  "validation.issues": "عُثر على {n} مشكلة في {years} سنة من البيانات.",
+  "validation.noIssues": "لم يُعثر على أي مشكلة في {years} سنة من البيانات.",
+  "validation.worldDerived": "لا يحتوي مجموعة البيانات على صف للعالم: يُشتق من صفوف البلدان، لذا يتطابقان دائمًا.",
+  "validation.consistent": "مجموع صفوف البلدان يساوي صف العالم في كل سنة ونوع.",
+  "validation.noDuplicates": "لا يوجد كيان له أكثر من صف واحد في السنة.",
+  "validation.allValid": "كل القيم أعداد صحيحة غير سالبة.",
+  "validation.noGaps": "لكل كيان صف لكل سنة.",
+  "validation.absentTypes": "لا توجد أي قيم لـ: {types} (العمود غير موجود أو فارغ).",
+  "validation.allTypes": "لكل نوع من أنواع النزاع قيم.",
+  "validation.skippedTypes": "صفوف تم تجاهلها لأن تسمية النوع فيها ليست نوع نزاع معروفًا:",
+  "validation.tip": "مجموع البلدان {countries} مقابل العالم {world}",
+  "upload.drop": "أفلت ملف CSV (ويمكن إضافة ملف GeoJSON للحدود) لاستكشافه هنا.{br}تُقرأ الملفات في متصفحك ولا تُرفع أبدًا.",
+  "upload.wrongFiles": "أفلت ملف ‎.csv، ويمكن إرفاق ملف ‎.geojson.",
+  "upload.noFeatures": "لم يُعثر على أي حدود",
+  "upload.noRows": "لا يحتوي ملف CSV على أي صفوف",
+  "upload.failed": "تعذّر تحميل {file}: {error}.",
+  "mapping.title": "تعيين أعمدة {source}",
+  "mapping.caption": "تعذّر اكتشاف الأعمدة تلقائيًا. اختر العمود الذي يحتوي على كل حقل؛ تُعدّ أنواع النزاع المتروكة فارغة بيانات مفقودة. من دون عمود لرمز ISO-3، تُربط البلدان بالخريطة بالاسم.",
+  "mapping.cancel": "إلغاء",
+  "mapping.load": "تحميل البيانات",
+  "mapping.entity": "البلد / الكيان",
+  "mapping.code": "رمز ISO-3",
+  "mapping.year": "السنة",
+  "mapping.none": "— لا شيء —",
+  "mapping.required": "اختر عمودي الكيان والسنة ونوعًا واحدًا على الأقل من أنواع النزاع.",
+  "format.owid": "Our World in Data (عريض، عمود لكل نوع)",
+  "format.ged": "UCDP GED (على مستوى الأحداث)",
+  "format.acled": "ACLED (على مستوى الأحداث)",
+  "format.tidy": "تنسيق طويل (الكيان، السنة، النوع، القتلى)",
+  "format.mapping": "تعيين مخصص للأعمدة",
+
+  /* ---------- Alerts ---------- */
+  "alert.loadFailed": "تعذر تحميل البيانات. يُتوقع وجود ملفي CSV وGeoJSON في /data.",
+  "alert.noColumns": "تعذر اكتشاف الأعمدة المطلوبة في ملف CSV.",
+  "alert.noData": "لا توجد بيانات متاحة عن {year}.",
+  "alert.noCountryData": "لا توجد بيانات للبلدان في سنة {year}.",
+  "alert.noCountry": "لا توجد بيانات عن {iso}.",
+  "alert.noFocusData": "لا توجد بيانات للبلدان المحددة في {year}.",
+  "alert.noAggregate": "لم يُعثر على صفوف إجمالية (العالم أو منطقة).",
+  "alert.noWorldData": "لا توجد بيانات عالمية لسنة {year}.",
+  "alert.noPositiveByType": "لا توجد قيم موجبة حسب النوع في {year}.",
+  "alert.noPositiveTotals": "لا توجد مجاميع موجبة للبلدان في {year}.",
+  "alert.noPositiveFlows": "لا توجد تدفقات موجبة في {year}.",
+  "alert.noLinks": "لا توجد روابط فوق عتبة التشابه ({threshold}) في {year}.",
+  "alert.noWorld": "حدود العالم مفقودة أو غير صالحة.",
+  "alert.noGeometries": "لا توجد بلدان ذات أشكال هندسية صالحة وبيانات في {year}.",
+  "alert.noSankey": "يتطلب مخطط سانكي مكتبة d3-sankey. أضفها إلى ملف HTML (سكربت d3-sankey).",
+  "alert.choroplethFailed": "تعذر رسم الخريطة (خطأ في GeoJSON).",
+  "alert.symbolFailed": "تعذر رسم خريطة الرموز النسبية (خطأ في GeoJSON).",
+  "alert.contourFailed": "تعذر رسم خريطة خطوط التساوي (خطأ في GeoJSON)."
+};
@@ -0,0 +1,294 @@
+/* English messages (reference catalog: every key used by the page and the
+   charts is defined here; the other locales fall back to it). */
+
+export const MESSAGES = {
+  /* ---------- Page ---------- */
+  "page.title": "Visualizing Conflict and Human Suffering through Data",
+  "page.subtitle": "Comparing categories with open data (OWID / UCDP)",
+  "section.intro": "Introduction",
+  "section.compare": "Comparing Categories",
+  "section.distributions": "Distributions: exploring variability across countries",
+  "section.time": "Temporal Patterns",
+  "section.maps": "Spatial patterns",
+  "section.connections": "Connection visualizations",
+  "section.checks": "Data checks",
+  "section.introText": "This website explores how data visualization can represent global conflicts and humanitarian issues. Using open data from {owid} and the Uppsala Conflict Data Program (UCDP), we compare categories through multiple visual encodings to highlight different perspectives on the same underlying facts.",
+  "section.compareNote": "Charts comparing conflict-related deaths by country and conflict type. Regional aggregates are excluded from country rankings.",
+  "section.distributionsNote": "This section explores how the number of conflict-related deaths varies across countries and conflict types in the snapshot year {year}. The same UCDP dataset is used but with a focus on statistical distributions.",
+  "section.timeNote": "Line chart showing how conflict-related deaths evolve over time, using the UCDP “World” aggregate or one of the regional aggregates (Africa, Americas, Asia and Oceania, Europe, Middle East).",
+  "section.mapsNote": "This section explores how conflict-related deaths are distributed across space. All maps use the same UCDP dataset, focusing on country-level data for the snapshot year {year}.",
+  "section.connectionsNote": "This section shows connection data using a Sankey diagram (flows) and a network diagram (relationships).",
+  "callout.note": "Note:",
+  "callout.extrasystemic": "{note} “{type}” conflicts (wars fought outside a state’s own territory, e.g. colonial wars) are included for historical completeness but are no longer observed in recent decades, resulting in zero values in modern datasets.",
+  "footer.top": "Back to top ↑",
+  "footer.topLabel": "Back to top",
+  "footer.credit": "© 2025 — Dario Onsori. Data: UCDP via Our World in Data (CC BY).",
+
+  /* ---------- Controls ---------- */
+  "controls.label": "Dashboard controls",
+  "control.year": "Snapshot year",
+  "control.series": "Series",
+  "control.measure": "Measure",
+  "control.theme": "Theme",
+  "control.palette": "Color palette",
+  "control.language": "Language",
+  "control.range": "Year range",
+  "control.clearRange": "Clear year range",
+  "control.data": "Data",
+  "control.country": "Selected country",
+  "control.clearCountry": "Clear selected country",
+  "measure.absolute": "Absolute deaths",
+  "measure.per100k": "Per 100,000 population",
+  "measure.suffix": " per 100,000 people",
+  "mode.light": "Light",
+  "mode.dark": "Dark",
+  "palette.default": "Default colors",
+  "palette.okabe-ito": "Color-blind safe (Okabe-Ito)",
+  "palette.viridis": "Color-blind safe (viridis)",
+  "upload.button": "Load files…",
+  "upload.hint": "Or drop a CSV / GeoJSON anywhere on the page",
+  "focus.group": "Countries to compare",
+  "focus.input": "Add a country to compare",
+  "focus.placeholder": "Add a country…",
+  "focus.full": "Maximum {n} countries",
+  "focus.remove": "Remove {name}",
+  "playback.label": "Year playback",
+  "playback.play": "▶ Play",
+  "playback.pause": "❚❚ Pause",
+  "playback.prev": "◀ Step",
+  "playback.prevLabel": "Previous year",
+  "playback.next": "Step ▶",
+  "playback.nextLabel": "Next year",
+  "export.download": "Download",
+  "export.csv": "Data (CSV)",
+  "export.json": "Data (JSON)",
+  "panel.close": "Close country panel",
+  "panel.title": "Country",
+  "zoom.label": "Map region",
+  "zoom.sahel": "Sahel",
+  "zoom.greatLakes": "Great Lakes",
+  "zoom.middleEast": "Middle East",
+  "zoom.balkans": "Balkans",
+  "zoom.centralAmerica": "Central America",
+  "zoom.reset": "Reset zoom",
+  "zoom.hint": "Drag a map to pan; Ctrl + scroll or pinch to zoom. The three maps move together.",
+
+  /* ---------- Chart titles ({measure}, {year}, {region}: live spans) ---------- */
+  "card.top10": "Countries with the highest conflict-related deaths{measure} in {year}",
+  "card.grouped": "Conflict deaths by type (selected countries, {year})",
+  "card.heatmap": "Conflict deaths by type and year ({region})",
+  "card.stack100": "Share of conflict deaths by type over time ({region}, 100% stacked)",
+  "card.waffle": "Composition of conflict deaths by type in {year} (World)",
+  "card.histogram": "Histogram — total conflict-related deaths{measure} per country ({year})",
+  "card.violin": "Violin plot — distribution by conflict type ({year})",
+  "card.boxplot": "Boxplot — country-level distribution by conflict type ({year})",
+  "card.timeseries": "Conflict deaths over time ({region})",
+  "card.choropleth": "Choropleth — conflict-related deaths{measure} per country ({year})",
+  "card.symbol": "Proportional symbol map — deaths{measure} represented as circles ({year})",
+  "card.contour": "Isopleth map — smoothed intensity surface",
+  "card.sankey": "Sankey — conflict type → countries ({year})",
+  "card.network": "Network — similarity between countries (composition by type, {year})",
+  "card.choroplethText": "Each country is coloured according to its total number of conflict-related deaths recorded in {year}. Darker shades indicate higher values; countries without recorded deaths are shown in light grey, countries without data are hatched.",
+  "card.choroplethNote": "Countries appearing in light grey are those for which the UCDP dataset reports zero conflict-related deaths in {year}: no conflict events reached UCDP’s reporting threshold in that year. Hatched countries have no row (or only empty cells) in the dataset, so their value is unknown rather than zero; tooltips flag totals that leave out conflict types without data.",
+  "card.symbolText": "This map encodes the same {year} country totals as the choropleth, but uses proportional circles instead of colour. Circle {area} is proportional to the number of conflict-related deaths, following standard cartographic guidelines for proportional symbol maps.",
+  "card.symbolArea": "area",
+  "card.contourText": "The third map approximates a continuous conflict intensity surface using contour bands (isopleths) derived from the country-level data. Darker bands indicate areas where the smoothed intensity is closer to the global maximum.",
+  "chart.top10": "Top 10 countries by conflict-related deaths",
+  "chart.grouped": "Grouped barchart by conflict type",
+  "chart.heatmap": "Heatmap of world conflict deaths by type and year",
+  "chart.stack100": "100% stacked barchart of shares by conflict type",
+  "chart.waffle": "Waffle chart of composition by conflict type",
+  "chart.histogram": "Histogram of deaths per country",
+  "chart.violin": "Violin plot by conflict type",
+  "chart.boxplot": "Boxplot by conflict type",
+  "chart.sankey": "Sankey diagram",
+  "chart.network": "Network diagram",
+
+  /* ---------- Conflict types and regions ---------- */
+  "type.Interstate": "Interstate",
+  "type.Intrastate": "Intrastate",
+  "type.Extrasystemic": "Extrasystemic",
+  "type.Non-state": "Non-state",
+  "type.One-sided": "One-sided",
+  "region.World": "World",
+  "region.Africa": "Africa",
+  "region.Americas": "Americas",
+  "region.Asia and Oceania": "Asia and Oceania",
+  "region.Europe": "Europe",
+  "region.Middle East": "Middle East",
+
+  /* ---------- Tooltips and legends ---------- */
+  "tip.deaths": "{value} deaths",
+  "tip.deathsIn": "{value} deaths in {year}",
+  "tip.rate": "{value} per 100,000 people",
+  "tip.noPopulation": "Population unknown",
+  "tip.range": "Range: {low}–{high} (low–high estimate)",
+  "tip.partialTotal": "Partial total: no data for {types}",
+  "tip.partialYears": "Some years without data for {types}",
+  "tip.shareOf": "{share} of {year}",
+  "tip.noDataFor": "No data for {year}.",
+  "tip.noDeathsRecorded": "No UCDP country-level deaths recorded in {year}.",
+  "tip.quartiles": "Q1–Median–Q3:",
+  "tip.whiskers": "Whiskers:",
+  "tip.outlier": "Outlier:",
+  "legend.noData": "No data",
+  "legend.zero": "0 deaths",
+  "legend.types": "Conflict types",
+  "legend.typesToggle": "Conflict types (click to include or exclude)",
+  "legend.exclude": "Exclude {type}",
+  "legend.include": "Include {type}",
+  "table.summary": "Data table",
+  "table.caption": "Chart data",
+  "note.partiallyRecognized": "Partially recognized state",
+  "note.historical": "Historical entity, shown over its successor states",
+  "note.historicalGermany": "Historical entity, shown over Germany",
+  "note.historicalYemen": "Historical entity, shown over Yemen",
+  "note.disputedGeorgia": "Disputed area within Georgia",
+  "note.disputedSudan": "Disputed area between Sudan and South Sudan",
+
+  /* ---------- Chart texts ---------- */
+  "axis.year": "Year",
+  "axis.deathsPerCountry": "Deaths per country",
+  "heatmap.legend": "Number of deaths (log scale)",
+  "histogram.bin": "Bin:",
+  "histogram.countries": "Countries:",
+  "histogram.binLabel": "{low} to {high}: {n} countries",
+  "histogram.axisRate": "Conflict-related deaths per 100,000 people (per country)",
+  "histogram.axisRateShort": "Deaths per 100k people (per country)",
+  "histogram.axisTotal": "Total conflict-related deaths per country",
+  "histogram.caption": "Histogram for {year}. Values above the 99th percentile are clipped to improve readability.",
+  "distribution.label": "{type}: {n} countries, median {median} deaths",
+  "timeseries.axis": "Conflict-related deaths ({region} total)",
+  "timeseries.axisShort": "Deaths ({region})",
+  "timeseries.brushHint": "Drag across the chart to sum the snapshot charts over a range of years; click outside the selection to clear it.",
+  "map.unknown": "Unknown",
+  "map.noData": "no data",
+  "map.legendRate": "Conflict-related deaths per 100,000 people",
+  "map.legendTotal": "Conflict-related deaths (country total)",
+  "map.specialKey": "Hatched: historical state over its successors · ◆ disputed area without own boundaries",
+  "map.specialKeyShort": "Hatched: historical state · ◆ disputed area",
+  "symbol.legendRate": "Deaths per 100k (circle area)",
+  "symbol.legendTotal": "Deaths (circle area)",
+  "contour.intensity": "Relative conflict intensity",
+  "contour.level": "Isopleth level: {percent} of max",
+  "contour.levelSmoothed": "Isopleth level: {percent} of max (smoothed)",
+  "contour.legend": "Smoothed conflict intensity (relative to max)",
+  "sankey.other": "Other countries",
+  "sankey.otherAggregated": "Other countries (aggregated)",
+  "sankey.flow": "{value} deaths ({year})",
+  "sankey.totalFlow": "Total flow: {value} ({year})",
+  "sankey.caption": "Sankey (Top {n} countries + Other countries) — link width encodes deaths (flow) in {year}.",
+  "network.reset": "Reset layout",
+  "network.totalDeaths": "Total deaths: {value} ({year})",
+  "network.vector": "Vector: [{parts}]",
+  "network.similarity": "Cosine similarity: {value}",
+  "network.caption": "Network (Top {n} countries) — edges connect countries with cosine similarity ≥ {threshold} (top-{k} per node). Node size encodes total deaths in {year}. Drag to pin; double-click to unpin.",
+  "history.cumulative": "Cumulative deaths",
+  "history.peak": "Peak year",
+  "history.rank": "Rank",
+  "history.rankIn": "Rank in {year}",
+  "history.seeBelow": "see chart below",
+  "history.byType": "Deaths by conflict type",
+  "history.rankTitle": "Rank among countries (1 = most deaths)",
+  "history.rankTip": "Rank #{rank} ({value} deaths)",
+
+  /* ---------- Captions ---------- */
+  "caption.top10": "Horizontal bars compare absolute totals of deaths (combatants and civilians) during ongoing armed conflicts. Source: UCDP via Our World in Data. Per-capita rates use the Natural Earth population estimate ({field}) of each country, so they are approximate for earlier years.",
+  "caption.heatmap": "Color intensity encodes absolute global counts of conflict-related deaths (UCDP). The global “World” aggregate is used by default for a long-term overview; the region selector above switches to the OWID regional aggregates.",
+  "caption.stack100": "Each bar sums to 100% per year; each colored segment represents a conflict type's share.",
+  "caption.waffle": "Waffle chart: 10×10 grid = 100 squares. Each square ≈ 1% of global deaths in {year}. Colors encode UCDP conflict types.",
+  "caption.histogram": "Each bar shows how many countries fall within a range of total conflict deaths. Aggregates and regions are excluded.",
+  "caption.violin": "For each conflict type, the violin shape shows the density of country-level death counts. The white dot indicates the median; the black line spans the interquartile range.",
+  "caption.boxplot": "Boxes represent the interquartile range (Q1–Q3), the line marks the median, and whiskers extend to non-outlier min/max values.",
+  "caption.timeseries": "Annual totals of conflict-related deaths for the {region} aggregate (combatants and civilians). Years with zero deaths still appear on the time axis but sit on the baseline.",
+  "caption.choropleth": "World choropleth map based on UCDP country-level totals (combatants and civilians) for {year}.",
+  "caption.symbol": "Proportional symbol map based on UCDP {year} country-level totals (combatants and civilians). Circle area scales with the number of deaths.",
+  "caption.contour": "Contour map derived from UCDP {year} country totals. Color bands represent a smoothed surface of conflict intensity, expressed relative to the most intense area.",
+  "caption.sankey": "Link width encodes deaths; sources are conflict types, targets are top countries.",
+  "caption.network": "Edges reflect similarity in the {composition} of conflict types (not intensity). Node size encodes total deaths; links are kept above a similarity threshold to avoid a “hairball”.",
+  "caption.composition": "composition",
+  "caption.panel": "Full history of conflict-related deaths for the selected country (UCDP), restricted to the conflict types currently included. The shaded band marks the snapshot year or range.",
+
+  /* ---------- Data checks and upload ---------- */
+  "join.title": "Join diagnostics — CSV country codes vs map features",
+  "join.note": "Countries are matched to the map through their ISO-3 code. Natural Earth uses \"-99\" for some features; those can be joined by listing their {field} code in {option} of {config}. Small states without a shape at this map scale only appear in the non-spatial charts.",
+  "join.rowsHeading": "CSV entities with deaths but no map feature",
+  "join.featuresHeading": "Map features without a data row",
+  "join.overridesHeading": "Overrides applied",
+  "join.summary": "{matched} of {features} map features matched a CSV country · {rows} CSV entities with deaths have no map feature · {unmatched} features have no data row",
+  "join.rowsMatched": "Every CSV entity with deaths matches a map feature.",
+  "join.featuresMatched": "Every map feature has a data row.",
+  "join.noOverrides": "No overrides applied.",
+  "report.entity": "Entity",
+  "report.code": "Code",
+  "report.totalDeaths": "Total deaths",
+  "report.feature": "Feature",
+  "report.joinedAs": "Joined as",
+  "report.year": "Year",
+  "report.type": "Type",
+  "report.countrySum": "Country sum",
+  "report.world": "World",
+  "report.difference": "Difference",
+  "report.rows": "Rows",
+  "report.label": "Label",
+  "report.value": "Value",
+  "report.missingYears": "Missing years",
+  "report.more": "… and {n} more.",
+  "validation.title": "Validation report — {summary}",
+  "validation.worldHeading": "Country rows vs the World row",
+  "validation.caption": "Sum of the country rows minus the World row, per year and conflict type (0 means consistent).",
+  "validation.duplicatesHeading": "Duplicate entity-year rows",
+  "validation.valuesHeading": "Negative or non-integer values",
+  "validation.gapsHeading": "Years missing for some entities",
+  "validation.typesHeading": "Conflict types",
+  "validation.issues": "{n} issue(s) found in {years} years of data.",
+  "validation.noIssues": "No issues found in {years} years of data.",
+  "validation.worldDerived": "The dataset has no World row: it is derived from the country rows, so the two always match.",
+  "validation.consistent": "Country rows add up to the World row in every year and type.",
+  "validation.noDuplicates": "No entity has more than one row per year.",
+  "validation.allValid": "Every value is a non-negative integer.",
+  "validation.noGaps": "Every entity has a row for every year.",
+  "validation.absentTypes": "No values at all for: {types} (column not found or empty).",
+  "validation.allTypes": "Every conflict type has values.",
+  "validation.skippedTypes": "Rows skipped because their type label is not a known conflict type:",
+  "validation.tip": "Country sum {countries} vs World {world}",
+  "upload.drop": "Drop a CSV (and optionally a boundaries GeoJSON) to explore it here.{br}Files are read in your browser and never uploaded.",
+  "upload.wrongFiles": "Drop a .csv file, optionally with a .geojson file.",
+  "upload.noFeatures": "no boundary features found",
+  "upload.noRows": "the CSV has no rows",
+  "upload.failed": "Could not load {file}: {error}.",
+  "mapping.title": "Map the columns of {source}",
+  "mapping.caption": "The columns could not be detected automatically. Pick the column holding each field; conflict types left empty count as missing. Without an ISO-3 code column, countries are matched to the map by name.",
+  "mapping.cancel": "Cancel",
+  "mapping.load": "Load data",
+  "mapping.entity": "Country / entity",
+  "mapping.code": "ISO-3 code",
+  "mapping.year": "Year",
+  "mapping.none": "— none —",
+  "mapping.required": "Choose the entity and year columns and at least one conflict type.",
+  "format.owid": "Our World in Data (wide, one column per type)",
+  "format.ged": "UCDP GED (event level)",
+  "format.acled": "ACLED (event level)",
+  "format.tidy": "Long format (entity, year, type, deaths)",
+  "format.mapping": "custom column mapping",
+
+  /* ---------- Alerts ---------- */
+  "alert.loadFailed": "Failed to load data. Expected CSV and GeoJSON in /data.",
+  "alert.noColumns": "Could not detect required columns in the CSV.",
+  "alert.noData": "No data available for {year}.",
+  "alert.noCountryData": "No country data for year {year}.",
+  "alert.noCountry": "No data for {iso}.",
+  "alert.noFocusData": "No data for selected countries in {year}.",
+  "alert.noAggregate": "No aggregate rows found (World or region).",
+  "alert.noWorldData": "No World data for year {year}.",
+  "alert.noPositiveByType": "No positive values by type in {year}.",
+  "alert.noPositiveTotals": "No positive country totals for {year}.",
+  "alert.noPositiveFlows": "No positive flows for {year}.",
+  "alert.noLinks": "No links above similarity threshold ({threshold}) in {year}.",
+  "alert.noWorld": "World boundaries are missing or invalid.",
+  "alert.noGeometries": "No countries with valid geometries and data in {year}.",
+  "alert.noSankey": "Sankey requires d3-sankey. Include it in your HTML (d3-sankey script).",
+  "alert.choroplethFailed": "Could not render map (GeoJSON error).",
+  "alert.symbolFailed": "Could not render proportional symbol map (GeoJSON error).",
+  "alert.contourFailed": "Could not render contour map (GeoJSON error)."
+};
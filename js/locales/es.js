@@ -0,0 +1,293 @@
+/* Spanish messages (missing keys fall back to js/locales/en.js). */
+
+export const MESSAGES = {
+  /* ---------- Page ---------- */
+  "page.title": "Visualizar los conflictos y el sufrimiento humano a través de los datos",
+  "page.subtitle": "Comparar categorías con datos abiertos (OWID / UCDP)",
+  "section.intro": "Introducción",
+  "section.compare": "Comparar categorías",
+  "section.distributions": "Distribuciones: la variabilidad entre países",
+  "section.time": "Patrones temporales",
+  "section.maps": "Patrones espaciales",
+  "section.connections": "Visualizaciones de conexiones",
+  "section.checks": "Comprobaciones de los datos",
+  "section.introText": "Este sitio explora cómo la visualización de datos puede representar los conflictos mundiales y las cuestiones humanitarias. Con datos abiertos de {owid} y del Uppsala Conflict Data Program (UCDP), comparamos categorías mediante varias codificaciones visuales para mostrar distintas perspectivas sobre los mismos hechos.",
+  "section.compareNote": "Gráficos que comparan las muertes relacionadas con conflictos por país y tipo de conflicto. Los agregados regionales se excluyen de las clasificaciones de países.",
+  "section.distributionsNote": "Esta sección muestra cómo varía el número de muertes relacionadas con conflictos entre países y tipos de conflicto en el año {year}. Se usa el mismo conjunto de datos de la UCDP, con el foco en las distribuciones estadísticas.",
+  "section.timeNote": "Gráfico de líneas que muestra la evolución de las muertes relacionadas con conflictos a lo largo del tiempo, con el agregado «Mundo» de la UCDP o uno de los agregados regionales (África, Américas, Asia y Oceanía, Europa, Oriente Medio).",
+  "section.mapsNote": "Esta sección muestra la distribución geográfica de las muertes relacionadas con conflictos. Todos los mapas usan el mismo conjunto de datos de la UCDP, con los datos por país del año {year}.",
+  "section.connectionsNote": "Esta sección muestra datos de conexión con un diagrama de Sankey (flujos) y un diagrama de red (relaciones).",
+  "callout.note": "Nota:",
+  "callout.extrasystemic": "{note} los conflictos «{type}» (guerras libradas fuera del territorio de un Estado, por ejemplo las guerras coloniales) se incluyen por exhaustividad histórica, pero ya no se observan en las últimas décadas, por lo que sus valores son cero en los datos recientes.",
+  "footer.top": "Volver arriba ↑",
+  "footer.topLabel": "Volver arriba",
+  "footer.credit": "© 2025 — Dario Onsori. Datos: UCDP a través de Our World in Data (CC BY).",
+
+  /* ---------- Controls ---------- */
+  "controls.label": "Controles del panel",
+  "control.year": "Año",
+  "control.series": "Serie",
+  "control.measure": "Medida",
+  "control.theme": "Tema",
+  "control.palette": "Paleta de colores",
+  "control.language": "Idioma",
+  "control.range": "Periodo",
+  "control.clearRange": "Borrar el periodo",
+  "control.data": "Datos",
+  "control.country": "País seleccionado",
+  "control.clearCountry": "Borrar el país seleccionado",
+  "measure.absolute": "Muertes absolutas",
+  "measure.per100k": "Por cada 100.000 habitantes",
+  "measure.suffix": " por cada 100.000 habitantes",
+  "mode.light": "Claro",
+  "mode.dark": "Oscuro",
+  "palette.default": "Colores predeterminados",
+  "palette.okabe-ito": "Apta para daltonismo (Okabe-Ito)",
+  "palette.viridis": "Apta para daltonismo (viridis)",
+  "upload.button": "Cargar archivos…",
+  "upload.hint": "O suelte un CSV / GeoJSON en cualquier lugar de la página",
+  "focus.group": "Países que comparar",
+  "focus.input": "Añadir un país a la comparación",
+  "focus.placeholder": "Añadir un país…",
+  "focus.full": "Máximo {n} países",
+  "focus.remove": "Quitar {name}",
+  "playback.label": "Reproducción por años",
+  "playback.play": "▶ Reproducir",
+  "playback.pause": "❚❚ Pausa",
+  "playback.prev": "◀ Anterior",
+  "playback.prevLabel": "Año anterior",
+  "playback.next": "Siguiente ▶",
+  "playback.nextLabel": "Año siguiente",
+  "export.download": "Descargar",
+  "export.csv": "Datos (CSV)",
+  "export.json": "Datos (JSON)",
+  "panel.close": "Cerrar el panel del país",
+  "panel.title": "País",
+  "zoom.label": "Región de los mapas",
+  "zoom.sahel": "Sahel",
+  "zoom.greatLakes": "Grandes Lagos",
+  "zoom.middleEast": "Oriente Medio",
+  "zoom.balkans": "Balcanes",
+  "zoom.centralAmerica": "Centroamérica",
+  "zoom.reset": "Restablecer el zoom",
+  "zoom.hint": "Arrastre un mapa para desplazarlo; Ctrl + rueda o pellizque para hacer zoom. Los tres mapas se mueven a la vez.",
+
+  /* ---------- Chart titles ---------- */
+  "card.top10": "Países con más muertes relacionadas con conflictos{measure} en {year}",
+  "card.grouped": "Muertes por tipo de conflicto (países seleccionados, {year})",
+  "card.heatmap": "Muertes por tipo de conflicto y año ({region})",
+  "card.stack100": "Proporción de muertes por tipo de conflicto a lo largo del tiempo ({region}, apilado al 100 %)",
+  "card.waffle": "Composición de las muertes por tipo de conflicto en {year} (Mundo)",
+  "card.histogram": "Histograma — total de muertes relacionadas con conflictos{measure} por país ({year})",
+  "card.violin": "Gráfico de violín — distribución por tipo de conflicto ({year})",
+  "card.boxplot": "Diagrama de caja — distribución por país y tipo de conflicto ({year})",
+  "card.timeseries": "Muertes por conflictos a lo largo del tiempo ({region})",
+  "card.choropleth": "Mapa coroplético — muertes relacionadas con conflictos{measure} por país ({year})",
+  "card.symbol": "Mapa de símbolos proporcionales — muertes{measure} representadas con círculos ({year})",
+  "card.contour": "Mapa de isopletas — superficie de intensidad suavizada",
+  "card.sankey": "Sankey — tipo de conflicto → países ({year})",
+  "card.network": "Red — similitud entre países (composición por tipo, {year})",
+  "card.choroplethText": "Cada país se colorea según el total de muertes relacionadas con conflictos registradas en {year}. Los tonos más oscuros indican valores más altos; los países sin muertes registradas aparecen en gris claro y los países sin datos, rayados.",
+  "card.choroplethNote": "Los países en gris claro son aquellos para los que la UCDP registra cero muertes relacionadas con conflictos en {year}: ningún evento alcanzó el umbral de registro de la UCDP ese año. Los países rayados no tienen fila (o solo celdas vacías) en los datos, por lo que su valor es desconocido y no cero; los recuadros indican los totales que omiten tipos de conflicto sin datos.",
+  "card.symbolText": "Este mapa representa los mismos totales por país de {year} que el mapa coroplético, pero con círculos proporcionales en lugar de color. El {area} de los círculos es proporcional al número de muertes relacionadas con conflictos, según las pautas cartográficas habituales de los mapas de símbolos proporcionales.",
+  "card.symbolArea": "área",
+  "card.contourText": "El tercer mapa aproxima una superficie continua de intensidad de los conflictos mediante bandas de isolíneas derivadas de los datos por país. Las bandas más oscuras indican las zonas donde la intensidad suavizada está más cerca del máximo mundial.",
+  "chart.top10": "Los 10 países con más muertes relacionadas con conflictos",
+  "chart.grouped": "Gráfico de barras agrupadas por tipo de conflicto",
+  "chart.heatmap": "Mapa de calor de las muertes por tipo de conflicto y año",
+  "chart.stack100": "Barras apiladas al 100 % de las proporciones por tipo de conflicto",
+  "chart.waffle": "Gráfico de gofre de la composición por tipo de conflicto",
+  "chart.histogram": "Histograma de muertes por país",
+  "chart.violin": "Gráfico de violín por tipo de conflicto",
+  "chart.boxplot": "Diagrama de caja por tipo de conflicto",
+  "chart.sankey": "Diagrama de Sankey",
+  "chart.network": "Diagrama de red",
+
+  /* ---------- Conflict types and regions ---------- */
+  "type.Interstate": "Interestatal",
+  "type.Intrastate": "Intraestatal",
+  "type.Extrasystemic": "Extrasistémico",
+  "type.Non-state": "No estatal",
+  "type.One-sided": "Unilateral",
+  "region.World": "Mundo",
+  "region.Africa": "África",
+  "region.Americas": "Américas",
+  "region.Asia and Oceania": "Asia y Oceanía",
+  "region.Europe": "Europa",
+  "region.Middle East": "Oriente Medio",
+
+  /* ---------- Tooltips and legends ---------- */
+  "tip.deaths": "{value} muertes",
+  "tip.deathsIn": "{value} muertes en {year}",
+  "tip.rate": "{value} por cada 100.000 habitantes",
+  "tip.noPopulation": "Población desconocida",
+  "tip.range": "Rango: {low}–{high} (estimación baja–alta)",
+  "tip.partialTotal": "Total parcial: sin datos de {types}",
+  "tip.partialYears": "Algunos años sin datos de {types}",
+  "tip.shareOf": "{share} de {year}",
+  "tip.noDataFor": "Sin datos para {year}.",
+  "tip.noDeathsRecorded": "La UCDP no registró muertes a nivel de país en {year}.",
+  "tip.quartiles": "Q1–mediana–Q3:",
+  "tip.whiskers": "Bigotes:",
+  "tip.outlier": "Valor atípico:",
+  "legend.noData": "Sin datos",
+  "legend.zero": "0 muertes",
+  "legend.types": "Tipos de conflicto",
+  "legend.typesToggle": "Tipos de conflicto (haga clic para incluir o excluir)",
+  "legend.exclude": "Excluir {type}",
+  "legend.include": "Incluir {type}",
+  "table.summary": "Tabla de datos",
+  "table.caption": "Datos del gráfico",
+  "note.partiallyRecognized": "Estado parcialmente reconocido",
+  "note.historical": "Entidad histórica, mostrada sobre sus estados sucesores",
+  "note.historicalGermany": "Entidad histórica, mostrada sobre Alemania",
+  "note.historicalYemen": "Entidad histórica, mostrada sobre Yemen",
+  "note.disputedGeorgia": "Territorio en disputa dentro de Georgia",
+  "note.disputedSudan": "Territorio en disputa entre Sudán y Sudán del Sur",
+
+  /* ---------- Chart texts ---------- */
+  "axis.year": "Año",
+  "axis.deathsPerCountry": "Muertes por país",
+  "heatmap.legend": "Número de muertes (escala logarítmica)",
+  "histogram.bin": "Intervalo:",
+  "histogram.countries": "Países:",
+  "histogram.binLabel": "De {low} a {high}: {n} países",
+  "histogram.axisRate": "Muertes relacionadas con conflictos por cada 100.000 habitantes (por país)",
+  "histogram.axisRateShort": "Muertes por 100.000 hab. (por país)",
+  "histogram.axisTotal": "Total de muertes relacionadas con conflictos por país",
+  "histogram.caption": "Histograma de {year}. Los valores por encima del percentil 99 se recortan para facilitar la lectura.",
+  "distribution.label": "{type}: {n} países, mediana de {median} muertes",
+  "timeseries.axis": "Muertes relacionadas con conflictos (total de {region})",
+  "timeseries.axisShort": "Muertes ({region})",
+  "timeseries.brushHint": "Arrastre sobre el gráfico para sumar los gráficos anuales en un periodo; haga clic fuera de la selección para borrarla.",
+  "map.unknown": "Desconocido",
+  "map.noData": "sin datos",
+  "map.legendRate": "Muertes relacionadas con conflictos por cada 100.000 habitantes",
+  "map.legendTotal": "Muertes relacionadas con conflictos (total del país)",
+  "map.specialKey": "Rayado: estado histórico sobre sus sucesores · ◆ territorio en disputa sin fronteras propias",
+  "map.specialKeyShort": "Rayado: estado histórico · ◆ territorio en disputa",
+  "symbol.legendRate": "Muertes por 100.000 hab. (área del círculo)",
+  "symbol.legendTotal": "Muertes (área del círculo)",
+  "contour.intensity": "Intensidad relativa de los conflictos",
+  "contour.level": "Nivel de isopleta: {percent} del máximo",
+  "contour.levelSmoothed": "Nivel de isopleta: {percent} del máximo (suavizado)",
+  "contour.legend": "Intensidad suavizada de los conflictos (respecto al máximo)",
+  "sankey.other": "Otros países",
+  "sankey.otherAggregated": "Otros países (agregados)",
+  "sankey.flow": "{value} muertes ({year})",
+  "sankey.totalFlow": "Flujo total: {value} ({year})",
+  "sankey.caption": "Sankey ({n} primeros países + otros países) — el ancho de los enlaces representa las muertes (flujo) en {year}.",
+  "network.reset": "Restablecer la disposición",
+  "network.totalDeaths": "Total de muertes: {value} ({year})",
+  "network.vector": "Vector: [{parts}]",
+  "network.similarity": "Similitud del coseno: {value}",
+  "network.caption": "Red ({n} primeros países) — los enlaces unen países con similitud del coseno ≥ {threshold} (los {k} mejores por nodo). El tamaño de los nodos representa el total de muertes en {year}. Arrastre para fijar; doble clic para soltar.",
+  "history.cumulative": "Muertes acumuladas",
+  "history.peak": "Año máximo",
+  "history.rank": "Puesto",
+  "history.rankIn": "Puesto en {year}",
+  "history.seeBelow": "ver el gráfico inferior",
+  "history.byType": "Muertes por tipo de conflicto",
+  "history.rankTitle": "Puesto entre los países (1 = más muertes)",
+  "history.rankTip": "Puesto n.º {rank} ({value} muertes)",
+
+  /* ---------- Captions ---------- */
+  "caption.top10": "Las barras horizontales comparan los totales absolutos de muertes (combatientes y civiles) en los conflictos armados en curso. Fuente: UCDP a través de Our World in Data. Las tasas por habitante usan la estimación de población de Natural Earth ({field}) de cada país, por lo que son aproximadas para los años anteriores.",
+  "caption.heatmap": "La intensidad del color representa el número absoluto de muertes relacionadas con conflictos (UCDP). Por defecto se usa el agregado «Mundo» para una visión a largo plazo; el selector de región de arriba cambia a los agregados regionales de OWID.",
+  "caption.stack100": "Cada barra suma el 100 % por año; cada segmento de color representa la proporción de un tipo de conflicto.",
+  "caption.waffle": "Gráfico de gofre: cuadrícula de 10×10 = 100 casillas. Cada casilla ≈ 1 % de las muertes mundiales en {year}. Los colores representan los tipos de conflicto de la UCDP.",
+  "caption.histogram": "Cada barra muestra cuántos países se sitúan en un intervalo de muertes por conflictos. Se excluyen los agregados y las regiones.",
+  "caption.violin": "Para cada tipo de conflicto, la forma del violín muestra la densidad de las muertes por país. El punto blanco indica la mediana; la línea negra abarca el rango intercuartílico.",
+  "caption.boxplot": "Las cajas representan el rango intercuartílico (Q1–Q3), la línea marca la mediana y los bigotes llegan a los valores mínimo y máximo que no son atípicos.",
+  "caption.timeseries": "Totales anuales de muertes relacionadas con conflictos del agregado {region} (combatientes y civiles). Los años sin muertes aparecen en el eje temporal, sobre la línea base.",
+  "caption.choropleth": "Mapa coroplético mundial basado en los totales por país de la UCDP (combatientes y civiles) de {year}.",
+  "caption.symbol": "Mapa de símbolos proporcionales basado en los totales por país de la UCDP de {year} (combatientes y civiles). El área de los círculos es proporcional al número de muertes.",
+  "caption.contour": "Mapa de isolíneas derivado de los totales por país de la UCDP de {year}. Las bandas de color representan una superficie suavizada de la intensidad de los conflictos, relativa a la zona más intensa.",
+  "caption.sankey": "El ancho de los enlaces representa las muertes; los orígenes son los tipos de conflicto y los destinos, los países más afectados.",
+  "caption.network": "Los enlaces reflejan la similitud en la {composition} por tipo de conflicto (no en la intensidad). El tamaño de los nodos representa el total de muertes; solo se conservan los enlaces por encima de un umbral de similitud para evitar una «maraña».",
+  "caption.composition": "composición",
+  "caption.panel": "Historial completo de muertes relacionadas con conflictos del país seleccionado (UCDP), limitado a los tipos de conflicto incluidos. La franja sombreada marca el año o el periodo mostrado.",
+
+  /* ---------- Data checks and upload ---------- */
+  "join.title": "Diagnóstico de la unión — códigos de país del CSV y elementos del mapa",
+  "join.note": "Los países se asocian al mapa mediante su código ISO-3. Natural Earth usa «-99» para algunos elementos; pueden asociarse indicando su código {field} en {option} de {config}. Los Estados pequeños sin forma a esta escala solo aparecen en los gráficos no espaciales.",
+  "join.rowsHeading": "Entidades del CSV con muertes pero sin elemento en el mapa",
+  "join.featuresHeading": "Elementos del mapa sin fila de datos",
+  "join.overridesHeading": "Correspondencias aplicadas",
+  "join.summary": "{matched} de {features} elementos del mapa asociados a un país del CSV · {rows} entidades del CSV con muertes sin elemento en el mapa · {unmatched} elementos sin fila de datos",
+  "join.rowsMatched": "Todas las entidades del CSV con muertes tienen un elemento en el mapa.",
+  "join.featuresMatched": "Todos los elementos del mapa tienen una fila de datos.",
+  "join.noOverrides": "No se aplicó ninguna correspondencia.",
+  "report.entity": "Entidad",
+  "report.code": "Código",
+  "report.totalDeaths": "Total de muertes",
+  "report.feature": "Elemento",
+  "report.joinedAs": "Asociado como",
+  "report.year": "Año",
+  "report.type": "Tipo",
+  "report.countrySum": "Suma de países",
+  "report.world": "Mundo",
+  "report.difference": "Diferencia",
+  "report.rows": "Filas",
+  "report.label": "Etiqueta",
+  "report.value": "Valor",
+  "report.missingYears": "Años que faltan",
+  "report.more": "… y {n} más.",
+  "validation.title": "Informe de validación — {summary}",
+  "validation.worldHeading": "Filas de países frente a la fila Mundo",
+  "validation.caption": "Suma de las filas de países menos la fila Mundo, por año y tipo de conflicto (0 significa coherente).",
+  "validation.duplicatesHeading": "Filas entidad-año duplicadas",
+  "validation.valuesHeading": "Valores negativos o no enteros",
+  "validation.gapsHeading": "Años que faltan para algunas entidades",
+  "validation.typesHeading": "Tipos de conflicto",
+  "validation.issues": "{n} problema(s) en {years} años de datos.",
+  "validation.noIssues": "Ningún problema en {years} años de datos.",
+  "validation.worldDerived": "El conjunto de datos no tiene fila Mundo: se calcula a partir de las filas de países, por lo que ambas coinciden siempre.",
+  "validation.consistent": "Las filas de países suman la fila Mundo en todos los años y tipos.",
+  "validation.noDuplicates": "Ninguna entidad tiene más de una fila por año.",
+  "validation.allValid": "Todos los valores son enteros no negativos.",
+  "validation.noGaps": "Todas las entidades tienen una fila para cada año.",
+  "validation.absentTypes": "Ningún valor para: {types} (columna no encontrada o vacía).",
+  "validation.allTypes": "Todos los tipos de conflicto tienen valores.",
+  "validation.skippedTypes": "Filas omitidas porque su etiqueta de tipo no es un tipo de conflicto conocido:",
+  "validation.tip": "Suma de países {countries} frente a Mundo {world}",
+  "upload.drop": "Suelte un CSV (y, si quiere, un GeoJSON de fronteras) para explorarlo aquí.{br}Los archivos se leen en su navegador y nunca se envían.",
+  "upload.wrongFiles": "Suelte un archivo .csv, opcionalmente con un archivo .geojson.",
+  "upload.noFeatures": "no se encontró ninguna frontera",
+  "upload.noRows": "el CSV no tiene filas",
+  "upload.failed": "No se pudo cargar {file}: {error}.",
+  "mapping.title": "Asignar las columnas de {source}",
+  "mapping.caption": "No se pudieron detectar las columnas automáticamente. Elija la columna de cada campo; los tipos de conflicto que queden vacíos se consideran sin datos. Sin columna de código ISO-3, los países se asocian al mapa por su nombre.",
+  "mapping.cancel": "Cancelar",
+  "mapping.load": "Cargar los datos",
+  "mapping.entity": "País / entidad",
+  "mapping.code": "Código ISO-3",
+  "mapping.year": "Año",
+  "mapping.none": "— ninguna —",
+  "mapping.required": "Elija las columnas de entidad y año y al menos un tipo de conflicto.",
+  "format.owid": "Our World in Data (ancho, una columna por tipo)",
+  "format.ged": "UCDP GED (por evento)",
+  "format.acled": "ACLED (por evento)",
+  "format.tidy": "Formato largo (entidad, año, tipo, muertes)",
+  "format.mapping": "asignación de columnas personalizada",
+
+  /* ---------- Alerts ---------- */
+  "alert.loadFailed": "No se pudieron cargar los datos. Se esperan un CSV y un GeoJSON en /data.",
+  "alert.noColumns": "No se detectaron las columnas necesarias en el CSV.",
+  "alert.noData": "No hay datos disponibles para {year}.",
+  "alert.noCountryData": "No hay datos por país para el año {year}.",
+  "alert.noCountry": "No hay datos para {iso}.",
+  "alert.noFocusData": "No hay datos de los países seleccionados en {year}.",
+  "alert.noAggregate": "No se encontraron filas agregadas (Mundo o región).",
+  "alert.noWorldData": "No hay datos mundiales para el año {year}.",
+  "alert.noPositiveByType": "No hay valores positivos por tipo en {year}.",
+  "alert.noPositiveTotals": "No hay totales positivos por país en {year}.",
+  "alert.noPositiveFlows": "No hay flujos positivos en {year}.",
+  "alert.noLinks": "No hay enlaces por encima del umbral de similitud ({threshold}) en {year}.",
+  "alert.noWorld": "Las fronteras mundiales faltan o no son válidas.",
+  "alert.noGeometries": "No hay países con geometría válida y datos en {year}.",
+  "alert.noSankey": "El diagrama de Sankey necesita d3-sankey. Inclúyalo en su HTML (script d3-sankey).",
+  "alert.choroplethFailed": "No se pudo dibujar el mapa (error de GeoJSON).",
+  "alert.symbolFailed": "No se pudo dibujar el mapa de símbolos proporcionales (error de GeoJSON).",
+  "alert.contourFailed": "No se pudo dibujar el mapa de isopletas (error de GeoJSON)."
+};
@@ -0,0 +1,293 @@
+/* French messages (missing keys fall back to js/locales/en.js). */
+
+export const MESSAGES = {
+  /* ---------- Page ---------- */
+  "page.title": "Visualiser les conflits et la souffrance humaine par les données",
+  "page.subtitle": "Comparer des catégories avec des données ouvertes (OWID / UCDP)",
+  "section.intro": "Introduction",
+  "section.compare": "Comparer des catégories",
+  "section.distributions": "Distributions : la variabilité entre pays",
+  "section.time": "Évolution dans le temps",
+  "section.maps": "Répartition spatiale",
+  "section.connections": "Visualisations de connexions",
+  "section.checks": "Contrôles des données",
+  "section.introText": "Ce site explore la manière dont la visualisation de données peut représenter les conflits mondiaux et les enjeux humanitaires. À partir des données ouvertes de {owid} et de l’Uppsala Conflict Data Program (UCDP), nous comparons des catégories à travers plusieurs encodages visuels pour montrer différents points de vue sur les mêmes faits.",
+  "section.compareNote": "Graphiques comparant les morts liées aux conflits par pays et par type de conflit. Les agrégats régionaux sont exclus des classements de pays.",
+  "section.distributionsNote": "Cette section montre comment le nombre de morts liées aux conflits varie selon les pays et les types de conflit pour l’année {year}. Le même jeu de données de l’UCDP est utilisé, sous l’angle des distributions statistiques.",
+  "section.timeNote": "Graphique linéaire montrant l’évolution des morts liées aux conflits dans le temps, pour l’agrégat « Monde » de l’UCDP ou l’un des agrégats régionaux (Afrique, Amériques, Asie et Océanie, Europe, Moyen-Orient).",
+  "section.mapsNote": "Cette section montre la répartition géographique des morts liées aux conflits. Toutes les cartes utilisent le même jeu de données de l’UCDP, avec les données par pays de l’année {year}.",
+  "section.connectionsNote": "Cette section présente des données de connexion avec un diagramme de Sankey (flux) et un diagramme de réseau (relations).",
+  "callout.note": "Remarque :",
+  "callout.extrasystemic": "{note} les conflits « {type} » (guerres menées hors du territoire d’un État, par exemple les guerres coloniales) sont inclus par souci d’exhaustivité historique, mais ne sont plus observés depuis plusieurs décennies, d’où des valeurs nulles dans les données récentes.",
+  "footer.top": "Haut de page ↑",
+  "footer.topLabel": "Haut de page",
+  "footer.credit": "© 2025 — Dario Onsori. Données : UCDP via Our World in Data (CC BY).",
+
+  /* ---------- Controls ---------- */
+  "controls.label": "Commandes du tableau de bord",
+  "control.year": "Année",
+  "control.series": "Série",
+  "control.measure": "Mesure",
+  "control.theme": "Thème",
+  "control.palette": "Palette de couleurs",
+  "control.language": "Langue",
+  "control.range": "Période",
+  "control.clearRange": "Effacer la période",
+  "control.data": "Données",
+  "control.country": "Pays sélectionné",
+  "control.clearCountry": "Effacer le pays sélectionné",
+  "measure.absolute": "Nombre de morts",
+  "measure.per100k": "Pour 100 000 habitants",
+  "measure.suffix": " pour 100 000 habitants",
+  "mode.light": "Clair",
+  "mode.dark": "Sombre",
+  "palette.default": "Couleurs par défaut",
+  "palette.okabe-ito": "Adaptée aux daltoniens (Okabe-Ito)",
+  "palette.viridis": "Adaptée aux daltoniens (viridis)",
+  "upload.button": "Charger des fichiers…",
+  "upload.hint": "Ou déposez un CSV / GeoJSON n’importe où sur la page",
+  "focus.group": "Pays à comparer",
+  "focus.input": "Ajouter un pays à comparer",
+  "focus.placeholder": "Ajouter un pays…",
+  "focus.full": "{n} pays au maximum",
+  "focus.remove": "Retirer {name}",
+  "playback.label": "Lecture des années",
+  "playback.play": "▶ Lecture",
+  "playback.pause": "❚❚ Pause",
+  "playback.prev": "◀ Précédente",
+  "playback.prevLabel": "Année précédente",
+  "playback.next": "Suivante ▶",
+  "playback.nextLabel": "Année suivante",
+  "export.download": "Télécharger",
+  "export.csv": "Données (CSV)",
+  "export.json": "Données (JSON)",
+  "panel.close": "Fermer le panneau du pays",
+  "panel.title": "Pays",
+  "zoom.label": "Région des cartes",
+  "zoom.sahel": "Sahel",
+  "zoom.greatLakes": "Grands Lacs",
+  "zoom.middleEast": "Moyen-Orient",
+  "zoom.balkans": "Balkans",
+  "zoom.centralAmerica": "Amérique centrale",
+  "zoom.reset": "Réinitialiser le zoom",
+  "zoom.hint": "Faites glisser une carte pour la déplacer ; Ctrl + molette ou pincement pour zoomer. Les trois cartes bougent ensemble.",
+
+  /* ---------- Chart titles ---------- */
+  "card.top10": "Pays comptant le plus de morts liées aux conflits{measure} en {year}",
+  "card.grouped": "Morts par type de conflit (pays sélectionnés, {year})",
+  "card.heatmap": "Morts par type de conflit et par année ({region})",
+  "card.stack100": "Part des morts par type de conflit dans le temps ({region}, empilé à 100 %)",
+  "card.waffle": "Répartition des morts par type de conflit en {year} (Monde)",
+  "card.histogram": "Histogramme — total des morts liées aux conflits{measure} par pays ({year})",
+  "card.violin": "Diagramme en violon — distribution par type de conflit ({year})",
+  "card.boxplot": "Boîte à moustaches — distribution par pays et par type de conflit ({year})",
+  "card.timeseries": "Morts liées aux conflits dans le temps ({region})",
+  "card.choropleth": "Carte choroplèthe — morts liées aux conflits{measure} par pays ({year})",
+  "card.symbol": "Carte en symboles proportionnels — morts{measure} représentées par des cercles ({year})",
+  "card.contour": "Carte en isoplèthes — surface d’intensité lissée",
+  "card.sankey": "Sankey — type de conflit → pays ({year})",
+  "card.network": "Réseau — similarité entre pays (composition par type, {year})",
+  "card.choroplethText": "Chaque pays est coloré selon le nombre total de morts liées aux conflits enregistrées en {year}. Les teintes plus foncées indiquent des valeurs plus élevées ; les pays sans mort enregistrée sont en gris clair, les pays sans données sont hachurés.",
+  "card.choroplethNote": "Les pays en gris clair sont ceux pour lesquels l’UCDP indique zéro mort liée aux conflits en {year} : aucun événement n’a atteint le seuil de recensement de l’UCDP cette année-là. Les pays hachurés n’ont pas de ligne (ou seulement des cellules vides) dans le jeu de données : leur valeur est inconnue plutôt que nulle ; les infobulles signalent les totaux qui omettent des types de conflit sans données.",
+  "card.symbolText": "Cette carte représente les mêmes totaux par pays pour {year} que la carte choroplèthe, mais avec des cercles proportionnels au lieu de la couleur. L’{area} des cercles est proportionnelle au nombre de morts liées aux conflits, selon les règles cartographiques usuelles des cartes en symboles proportionnels.",
+  "card.symbolArea": "aire",
+  "card.contourText": "La troisième carte approche une surface continue d’intensité des conflits à l’aide de bandes d’isolignes dérivées des données par pays. Les bandes plus foncées indiquent les zones où l’intensité lissée est la plus proche du maximum mondial.",
+  "chart.top10": "Les 10 pays comptant le plus de morts liées aux conflits",
+  "chart.grouped": "Diagramme en barres groupées par type de conflit",
+  "chart.heatmap": "Carte de chaleur des morts par type de conflit et par année",
+  "chart.stack100": "Barres empilées à 100 % des parts par type de conflit",
+  "chart.waffle": "Diagramme en gaufre de la répartition par type de conflit",
+  "chart.histogram": "Histogramme des morts par pays",
+  "chart.violin": "Diagramme en violon par type de conflit",
+  "chart.boxplot": "Boîte à moustaches par type de conflit",
+  "chart.sankey": "Diagramme de Sankey",
+  "chart.network": "Diagramme en réseau",
+
+  /* ---------- Conflict types and regions ---------- */
+  "type.Interstate": "Interétatique",
+  "type.Intrastate": "Intraétatique",
+  "type.Extrasystemic": "Extrasystémique",
+  "type.Non-state": "Non étatique",
+  "type.One-sided": "Unilatéral",
+  "region.World": "Monde",
+  "region.Africa": "Afrique",
+  "region.Americas": "Amériques",
+  "region.Asia and Oceania": "Asie et Océanie",
+  "region.Europe": "Europe",
+  "region.Middle East": "Moyen-Orient",
+
+  /* ---------- Tooltips and legends ---------- */
+  "tip.deaths": "{value} morts",
+  "tip.deathsIn": "{value} morts en {year}",
+  "tip.rate": "{value} pour 100 000 habitants",
+  "tip.noPopulation": "Population inconnue",
+  "tip.range": "Fourchette : {low}–{high} (estimation basse–haute)",
+  "tip.partialTotal": "Total partiel : pas de données pour {types}",
+  "tip.partialYears": "Certaines années sans données pour {types}",
+  "tip.shareOf": "{share} de {year}",
+  "tip.noDataFor": "Pas de données pour {year}.",
+  "tip.noDeathsRecorded": "Aucun mort enregistré par l’UCDP au niveau du pays en {year}.",
+  "tip.quartiles": "Q1–médiane–Q3 :",
+  "tip.whiskers": "Moustaches :",
+  "tip.outlier": "Valeur extrême :",
+  "legend.noData": "Pas de données",
+  "legend.zero": "0 mort",
+  "legend.types": "Types de conflit",
+  "legend.typesToggle": "Types de conflit (cliquer pour inclure ou exclure)",
+  "legend.exclude": "Exclure {type}",
+  "legend.include": "Inclure {type}",
+  "table.summary": "Tableau de données",
+  "table.caption": "Données du graphique",
+  "note.partiallyRecognized": "État partiellement reconnu",
+  "note.historical": "Entité historique, affichée sur les États qui lui ont succédé",
+  "note.historicalGermany": "Entité historique, affichée sur l’Allemagne",
+  "note.historicalYemen": "Entité historique, affichée sur le Yémen",
+  "note.disputedGeorgia": "Territoire contesté en Géorgie",
+  "note.disputedSudan": "Territoire contesté entre le Soudan et le Soudan du Sud",
+
+  /* ---------- Chart texts ---------- */
+  "axis.year": "Année",
+  "axis.deathsPerCountry": "Morts par pays",
+  "heatmap.legend": "Nombre de morts (échelle logarithmique)",
+  "histogram.bin": "Classe :",
+  "histogram.countries": "Pays :",
+  "histogram.binLabel": "De {low} à {high} : {n} pays",
+  "histogram.axisRate": "Morts liées aux conflits pour 100 000 habitants (par pays)",
+  "histogram.axisRateShort": "Morts pour 100 000 hab. (par pays)",
+  "histogram.axisTotal": "Total des morts liées aux conflits par pays",
+  "histogram.caption": "Histogramme pour {year}. Les valeurs au-delà du 99e centile sont écrêtées pour la lisibilité.",
+  "distribution.label": "{type} : {n} pays, médiane {median} morts",
+  "timeseries.axis": "Morts liées aux conflits (total {region})",
+  "timeseries.axisShort": "Morts ({region})",
+  "timeseries.brushHint": "Faites glisser sur le graphique pour additionner les graphiques annuels sur une période ; cliquez hors de la sélection pour l’effacer.",
+  "map.unknown": "Inconnu",
+  "map.noData": "pas de données",
+  "map.legendRate": "Morts liées aux conflits pour 100 000 habitants",
+  "map.legendTotal": "Morts liées aux conflits (total du pays)",
+  "map.specialKey": "Hachures : État historique sur ses successeurs · ◆ territoire contesté sans frontières propres",
+  "map.specialKeyShort": "Hachures : État historique · ◆ territoire contesté",
+  "symbol.legendRate": "Morts pour 100 000 hab. (aire du cercle)",
+  "symbol.legendTotal": "Morts (aire du cercle)",
+  "contour.intensity": "Intensité relative des conflits",
+  "contour.level": "Niveau d’isoplèthe : {percent} du maximum",
+  "contour.levelSmoothed": "Niveau d’isoplèthe : {percent} du maximum (lissé)",
+  "contour.legend": "Intensité lissée des conflits (par rapport au maximum)",
+  "sankey.other": "Autres pays",
+  "sankey.otherAggregated": "Autres pays (agrégés)",
+  "sankey.flow": "{value} morts ({year})",
+  "sankey.totalFlow": "Flux total : {value} ({year})",
+  "sankey.caption": "Sankey ({n} premiers pays + autres pays) — la largeur des liens représente les morts (flux) en {year}.",
+  "network.reset": "Réinitialiser la disposition",
+  "network.totalDeaths": "Total des morts : {value} ({year})",
+  "network.vector": "Vecteur : [{parts}]",
+  "network.similarity": "Similarité cosinus : {value}",
+  "network.caption": "Réseau ({n} premiers pays) — les liens relient les pays dont la similarité cosinus est ≥ {threshold} ({k} meilleurs par nœud). La taille des nœuds représente le total des morts en {year}. Glisser pour épingler ; double-cliquer pour libérer.",
+  "history.cumulative": "Morts cumulées",
+  "history.peak": "Année record",
+  "history.rank": "Rang",
+  "history.rankIn": "Rang en {year}",
+  "history.seeBelow": "voir le graphique ci-dessous",
+  "history.byType": "Morts par type de conflit",
+  "history.rankTitle": "Rang parmi les pays (1 = le plus de morts)",
+  "history.rankTip": "Rang n° {rank} ({value} morts)",
+
+  /* ---------- Captions ---------- */
+  "caption.top10": "Les barres horizontales comparent les totaux absolus de morts (combattants et civils) dans les conflits armés en cours. Source : UCDP via Our World in Data. Les taux par habitant utilisent l’estimation de population de Natural Earth ({field}) de chaque pays : ils sont approximatifs pour les années anciennes.",
+  "caption.heatmap": "L’intensité de la couleur représente le nombre absolu de morts liées aux conflits (UCDP). L’agrégat « Monde » est utilisé par défaut pour une vue d’ensemble à long terme ; le sélecteur de région ci-dessus passe aux agrégats régionaux d’OWID.",
+  "caption.stack100": "Chaque barre totalise 100 % par année ; chaque segment coloré représente la part d’un type de conflit.",
+  "caption.waffle": "Diagramme en gaufre : grille de 10×10 = 100 cases. Chaque case ≈ 1 % des morts dans le monde en {year}. Les couleurs représentent les types de conflit de l’UCDP.",
+  "caption.histogram": "Chaque barre indique combien de pays se situent dans une tranche de morts liées aux conflits. Les agrégats et les régions sont exclus.",
+  "caption.violin": "Pour chaque type de conflit, la forme du violon montre la densité du nombre de morts par pays. Le point blanc indique la médiane ; le trait noir couvre l’écart interquartile.",
+  "caption.boxplot": "Les boîtes représentent l’écart interquartile (Q1–Q3), le trait marque la médiane et les moustaches s’étendent jusqu’aux valeurs minimale et maximale hors valeurs extrêmes.",
+  "caption.timeseries": "Totaux annuels des morts liées aux conflits pour l’agrégat {region} (combattants et civils). Les années sans mort figurent sur l’axe du temps, au niveau de la ligne de base.",
+  "caption.choropleth": "Carte choroplèthe du monde fondée sur les totaux par pays de l’UCDP (combattants et civils) pour {year}.",
+  "caption.symbol": "Carte en symboles proportionnels fondée sur les totaux par pays de l’UCDP pour {year} (combattants et civils). L’aire des cercles est proportionnelle au nombre de morts.",
+  "caption.contour": "Carte en isolignes dérivée des totaux par pays de l’UCDP pour {year}. Les bandes de couleur représentent une surface lissée de l’intensité des conflits, relative à la zone la plus intense.",
+  "caption.sankey": "La largeur des liens représente les morts ; les sources sont les types de conflit, les cibles les pays les plus touchés.",
+  "caption.network": "Les liens traduisent la similarité de {composition} par type de conflit (et non de l’intensité). La taille des nœuds représente le total des morts ; seuls les liens au-dessus d’un seuil de similarité sont conservés pour éviter une « pelote ».",
+  "caption.composition": "la composition",
+  "caption.panel": "Historique complet des morts liées aux conflits pour le pays sélectionné (UCDP), limité aux types de conflit inclus. La bande grisée marque l’année ou la période affichée.",
+
+  /* ---------- Data checks and upload ---------- */
+  "join.title": "Diagnostic de jointure — codes pays du CSV et entités de la carte",
+  "join.note": "Les pays sont reliés à la carte par leur code ISO-3. Natural Earth utilise « -99 » pour certaines entités ; elles peuvent être reliées en indiquant leur code {field} dans {option} de {config}. Les petits États sans forme à cette échelle n’apparaissent que dans les graphiques non cartographiques.",
+  "join.rowsHeading": "Entités du CSV avec des morts mais sans entité sur la carte",
+  "join.featuresHeading": "Entités de la carte sans ligne de données",
+  "join.overridesHeading": "Correspondances appliquées",
+  "join.summary": "{matched} entités de la carte sur {features} reliées à un pays du CSV · {rows} entités du CSV avec des morts sans entité sur la carte · {unmatched} entités sans ligne de données",
+  "join.rowsMatched": "Chaque entité du CSV avec des morts correspond à une entité de la carte.",
+  "join.featuresMatched": "Chaque entité de la carte a une ligne de données.",
+  "join.noOverrides": "Aucune correspondance appliquée.",
+  "report.entity": "Entité",
+  "report.code": "Code",
+  "report.totalDeaths": "Total des morts",
+  "report.feature": "Entité de la carte",
+  "report.joinedAs": "Relié comme",
+  "report.year": "Année",
+  "report.type": "Type",
+  "report.countrySum": "Somme des pays",
+  "report.world": "Monde",
+  "report.difference": "Écart",
+  "report.rows": "Lignes",
+  "report.label": "Libellé",
+  "report.value": "Valeur",
+  "report.missingYears": "Années manquantes",
+  "report.more": "… et {n} de plus.",
+  "validation.title": "Rapport de validation — {summary}",
+  "validation.worldHeading": "Lignes des pays et ligne Monde",
+  "validation.caption": "Somme des lignes des pays moins la ligne Monde, par année et par type de conflit (0 signifie cohérent).",
+  "validation.duplicatesHeading": "Lignes entité-année en double",
+  "validation.valuesHeading": "Valeurs négatives ou non entières",
+  "validation.gapsHeading": "Années manquantes pour certaines entités",
+  "validation.typesHeading": "Types de conflit",
+  "validation.issues": "{n} problème(s) trouvé(s) sur {years} années de données.",
+  "validation.noIssues": "Aucun problème sur {years} années de données.",
+  "validation.worldDerived": "Le jeu de données n’a pas de ligne Monde : elle est calculée à partir des lignes des pays, les deux concordent donc toujours.",
+  "validation.consistent": "Les lignes des pays s’additionnent à la ligne Monde pour chaque année et chaque type.",
+  "validation.noDuplicates": "Aucune entité n’a plus d’une ligne par année.",
+  "validation.allValid": "Chaque valeur est un entier positif ou nul.",
+  "validation.noGaps": "Chaque entité a une ligne pour chaque année.",
+  "validation.absentTypes": "Aucune valeur pour : {types} (colonne introuvable ou vide).",
+  "validation.allTypes": "Chaque type de conflit a des valeurs.",
+  "validation.skippedTypes": "Lignes ignorées car leur libellé de type n’est pas un type de conflit connu :",
+  "validation.tip": "Somme des pays {countries}, Monde {world}",
+  "upload.drop": "Déposez un CSV (et éventuellement un GeoJSON de frontières) pour l’explorer ici.{br}Les fichiers sont lus dans votre navigateur et jamais envoyés.",
+  "upload.wrongFiles": "Déposez un fichier .csv, éventuellement avec un fichier .geojson.",
+  "upload.noFeatures": "aucune frontière trouvée",
+  "upload.noRows": "le CSV n’a aucune ligne",
+  "upload.failed": "Impossible de charger {file} : {error}.",
+  "mapping.title": "Associer les colonnes de {source}",
+  "mapping.caption": "Les colonnes n’ont pas pu être détectées automatiquement. Choisissez la colonne de chaque champ ; les types de conflit laissés vides sont considérés comme manquants. Sans colonne de code ISO-3, les pays sont reliés à la carte par leur nom.",
+  "mapping.cancel": "Annuler",
+  "mapping.load": "Charger les données",
+  "mapping.entity": "Pays / entité",
+  "mapping.code": "Code ISO-3",
+  "mapping.year": "Année",
+  "mapping.none": "— aucune —",
+  "mapping.required": "Choisissez les colonnes de l’entité et de l’année, et au moins un type de conflit.",
+  "format.owid": "Our World in Data (large, une colonne par type)",
+  "format.ged": "UCDP GED (par événement)",
+  "format.acled": "ACLED (par événement)",
+  "format.tidy": "Format long (entité, année, type, morts)",
+  "format.mapping": "association de colonnes personnalisée",
+
+  /* ---------- Alerts ---------- */
+  "alert.loadFailed": "Échec du chargement des données. CSV et GeoJSON attendus dans /data.",
+  "alert.noColumns": "Impossible de détecter les colonnes requises dans le CSV.",
+  "alert.noData": "Aucune donnée disponible pour {year}.",
+  "alert.noCountryData": "Aucune donnée par pays pour l’année {year}.",
+  "alert.noCountry": "Aucune donnée pour {iso}.",
+  "alert.noFocusData": "Aucune donnée pour les pays sélectionnés en {year}.",
+  "alert.noAggregate": "Aucune ligne agrégée trouvée (Monde ou région).",
+  "alert.noWorldData": "Aucune donnée mondiale pour l’année {year}.",
+  "alert.noPositiveByType": "Aucune valeur positive par type en {year}.",
+  "alert.noPositiveTotals": "Aucun total positif par pays pour {year}.",
+  "alert.noPositiveFlows": "Aucun flux positif pour {year}.",
+  "alert.noLinks": "Aucun lien au-dessus du seuil de similarité ({threshold}) en {year}.",
+  "alert.noWorld": "Les frontières mondiales sont absentes ou invalides.",
+  "alert.noGeometries": "Aucun pays avec une géométrie valide et des données en {year}.",
+  "alert.noSankey": "Le diagramme de Sankey nécessite d3-sankey. Incluez-le dans votre HTML (script d3-sankey).",
+  "alert.choroplethFailed": "Impossible d’afficher la carte (erreur GeoJSON).",
+  "alert.symbolFailed": "Impossible d’afficher la carte en symboles proportionnels (erreur GeoJSON).",
+  "alert.contourFailed": "Impossible d’afficher la carte en isoplèthes (erreur GeoJSON)."
+};
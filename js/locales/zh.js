@@ -0,0 +1,293 @@
+/* Chinese (simplified) messages (missing keys fall back to js/locales/en.js). */
+
+export const MESSAGES = {
+  /* ---------- Page ---------- */
+  "page.title": "用数据呈现冲突与人类苦难",
+  "page.subtitle": "用开放数据比较类别（OWID / UCDP）",
+  "section.intro": "简介",
+  "section.compare": "类别比较",
+  "section.distributions": "分布：各国之间的差异",
+  "section.time": "时间规律",
+  "section.maps": "空间分布",
+  "section.connections": "关联可视化",
+  "section.checks": "数据检查",
+  "section.introText": "本网站探讨数据可视化如何呈现全球冲突与人道主义问题。我们使用来自 {owid} 和乌普萨拉冲突数据项目（UCDP）的开放数据，通过多种视觉编码比较各类别，从不同角度展示同一组事实。",
+  "section.compareNote": "按国家和冲突类型比较冲突相关死亡人数的图表。国家排名不包括地区汇总。",
+  "section.distributionsNote": "本部分探讨 {year} 年冲突相关死亡人数在各国和各冲突类型之间的差异。使用的仍是同一 UCDP 数据集，但侧重于统计分布。",
+  "section.timeNote": "折线图展示冲突相关死亡人数随时间的变化，使用 UCDP 的“全球”汇总或某个地区汇总（非洲、美洲、亚洲和大洋洲、欧洲、中东）。",
+  "section.mapsNote": "本部分探讨冲突相关死亡人数的空间分布。所有地图使用同一 UCDP 数据集，聚焦 {year} 年的国家级数据。",
+  "section.connectionsNote": "本部分使用桑基图（流向）和网络图（关系）展示关联数据。",
+  "callout.note": "注：",
+  "callout.extrasystemic": "{note}“{type}”冲突（在国家本土以外进行的战争，例如殖民战争）为保持历史完整性而纳入，但近几十年已不再出现，因此在近年数据中为零。",
+  "footer.top": "返回顶部 ↑",
+  "footer.topLabel": "返回顶部",
+  "footer.credit": "© 2025 — Dario Onsori。数据：UCDP，经 Our World in Data 提供（CC BY）。",
+
+  /* ---------- Controls ---------- */
+  "controls.label": "仪表板控件",
+  "control.year": "年份",
+  "control.series": "序列",
+  "control.measure": "度量",
+  "control.theme": "主题",
+  "control.palette": "配色",
+  "control.language": "语言",
+  "control.range": "年份区间",
+  "control.clearRange": "清除年份区间",
+  "control.data": "数据",
+  "control.country": "已选国家",
+  "control.clearCountry": "清除已选国家",
+  "measure.absolute": "死亡人数",
+  "measure.per100k": "每10万人",
+  "measure.suffix": "（每10万人）",
+  "mode.light": "浅色",
+  "mode.dark": "深色",
+  "palette.default": "默认配色",
+  "palette.okabe-ito": "色盲友好（Okabe-Ito）",
+  "palette.viridis": "色盲友好（viridis）",
+  "upload.button": "加载文件…",
+  "upload.hint": "也可以将 CSV / GeoJSON 文件拖放到页面任意位置",
+  "focus.group": "要比较的国家",
+  "focus.input": "添加要比较的国家",
+  "focus.placeholder": "添加国家…",
+  "focus.full": "最多 {n} 个国家",
+  "focus.remove": "移除{name}",
+  "playback.label": "按年播放",
+  "playback.play": "▶ 播放",
+  "playback.pause": "❚❚ 暂停",
+  "playback.prev": "◀ 上一年",
+  "playback.prevLabel": "上一年",
+  "playback.next": "下一年 ▶",
+  "playback.nextLabel": "下一年",
+  "export.download": "下载",
+  "export.csv": "数据（CSV）",
+  "export.json": "数据（JSON）",
+  "panel.close": "关闭国家面板",
+  "panel.title": "国家",
+  "zoom.label": "地图区域",
+  "zoom.sahel": "萨赫勒",
+  "zoom.greatLakes": "大湖地区",
+  "zoom.middleEast": "中东",
+  "zoom.balkans": "巴尔干",
+  "zoom.centralAmerica": "中美洲",
+  "zoom.reset": "重置缩放",
+  "zoom.hint": "拖动地图可平移；按住 Ctrl 滚动滚轮或双指缩放可缩放地图。三幅地图同步移动。",
+
+  /* ---------- Chart titles ---------- */
+  "card.top10": "{year}年冲突死亡人数{measure}最多的国家",
+  "card.grouped": "按冲突类型划分的死亡人数（所选国家，{year}年）",
+  "card.heatmap": "按冲突类型和年份划分的死亡人数（{region}）",
+  "card.stack100": "各冲突类型死亡人数占比的变化（{region}，100%堆积）",
+  "card.waffle": "{year}年按冲突类型划分的死亡人数构成（全球）",
+  "card.histogram": "直方图 — 各国冲突死亡总人数{measure}（{year}年）",
+  "card.violin": "小提琴图 — 按冲突类型的分布（{year}年）",
+  "card.boxplot": "箱线图 — 按冲突类型的国家分布（{year}年）",
+  "card.timeseries": "冲突死亡人数随时间的变化（{region}）",
+  "card.choropleth": "分级统计图 — 各国冲突死亡人数{measure}（{year}年）",
+  "card.symbol": "比例符号地图 — 以圆圈表示死亡人数{measure}（{year}年）",
+  "card.contour": "等值线图 — 平滑的强度曲面",
+  "card.sankey": "桑基图 — 冲突类型 → 国家（{year}年）",
+  "card.network": "网络图 — 国家之间的相似性（按类型构成，{year}年）",
+  "card.choroplethText": "每个国家按 {year} 年记录的冲突相关死亡总人数着色。颜色越深表示数值越高；没有死亡记录的国家显示为浅灰色，没有数据的国家以斜线填充。",
+  "card.choroplethNote": "浅灰色国家是 UCDP 数据集中 {year} 年冲突相关死亡人数为零的国家：当年没有冲突事件达到 UCDP 的记录阈值。斜线填充的国家在数据集中没有行（或只有空单元格），因此其数值未知而非为零；提示框会标出遗漏了无数据冲突类型的总数。",
+  "card.symbolText": "此地图与分级统计图表示相同的 {year} 年国家总数，但用比例圆代替颜色。圆的{area}与冲突相关死亡人数成比例，遵循比例符号地图的常规制图准则。",
+  "card.symbolArea": "面积",
+  "card.contourText": "第三幅地图用由国家级数据推导的等值线色带近似呈现连续的冲突强度曲面。颜色越深的色带表示平滑后的强度越接近全球最大值。",
+  "chart.top10": "冲突死亡人数最多的10个国家",
+  "chart.grouped": "按冲突类型分组的条形图",
+  "chart.heatmap": "按冲突类型和年份的死亡人数热力图",
+  "chart.stack100": "各冲突类型占比的100%堆积条形图",
+  "chart.waffle": "冲突类型构成的华夫饼图",
+  "chart.histogram": "各国死亡人数直方图",
+  "chart.violin": "按冲突类型的小提琴图",
+  "chart.boxplot": "按冲突类型的箱线图",
+  "chart.sankey": "桑基图",
+  "chart.network": "网络图",
+
+  /* ---------- Conflict types and regions ---------- */
+  "type.Interstate": "国家间",
+  "type.Intrastate": "国内",
+  "type.Extrasystemic": "体系外",
+  "type.Non-state": "非国家",
+  "type.One-sided": "单方面",
+  "region.World": "全球",
+  "region.Africa": "非洲",
+  "region.Americas": "美洲",
+  "region.Asia and Oceania": "亚洲和大洋洲",
+  "region.Europe": "欧洲",
+  "region.Middle East": "中东",
+
+  /* ---------- Tooltips and legends ---------- */
+  "tip.deaths": "{value} 人死亡",
+  "tip.deathsIn": "{year}年 {value} 人死亡",
+  "tip.rate": "每10万人 {value}",
+  "tip.noPopulation": "人口未知",
+  "tip.range": "范围：{low}–{high}（低–高估计）",
+  "tip.partialTotal": "部分总数：{types}无数据",
+  "tip.partialYears": "部分年份{types}无数据",
+  "tip.shareOf": "占{year}年的 {share}",
+  "tip.noDataFor": "{year}年无数据。",
+  "tip.noDeathsRecorded": "UCDP 未记录{year}年该国的冲突死亡人数。",
+  "tip.quartiles": "Q1–中位数–Q3：",
+  "tip.whiskers": "须线：",
+  "tip.outlier": "离群值：",
+  "legend.noData": "无数据",
+  "legend.zero": "0 人死亡",
+  "legend.types": "冲突类型",
+  "legend.typesToggle": "冲突类型（点击以包含或排除）",
+  "legend.exclude": "排除{type}",
+  "legend.include": "包含{type}",
+  "table.summary": "数据表",
+  "table.caption": "图表数据",
+  "note.partiallyRecognized": "部分承认的国家",
+  "note.historical": "历史实体，显示在其继承国之上",
+  "note.historicalGermany": "历史实体，显示在德国之上",
+  "note.historicalYemen": "历史实体，显示在也门之上",
+  "note.disputedGeorgia": "格鲁吉亚境内的争议地区",
+  "note.disputedSudan": "苏丹与南苏丹之间的争议地区",
+
+  /* ---------- Chart texts ---------- */
+  "axis.year": "年份",
+  "axis.deathsPerCountry": "各国死亡人数",
+  "heatmap.legend": "死亡人数（对数刻度）",
+  "histogram.bin": "区间：",
+  "histogram.countries": "国家数：",
+  "histogram.binLabel": "{low} 至 {high}：{n} 个国家",
+  "histogram.axisRate": "每10万人冲突死亡人数（按国家）",
+  "histogram.axisRateShort": "每10万人死亡人数（按国家）",
+  "histogram.axisTotal": "各国冲突死亡总人数",
+  "histogram.caption": "{year}年直方图。为便于阅读，高于第99百分位数的值已被截断。",
+  "distribution.label": "{type}：{n} 个国家，中位数 {median} 人死亡",
+  "timeseries.axis": "冲突死亡人数（{region}合计）",
+  "timeseries.axisShort": "死亡人数（{region}）",
+  "timeseries.brushHint": "在图表上拖动可对某一年份区间的快照图表求和；点击选区外部即可清除。",
+  "map.unknown": "未知",
+  "map.noData": "无数据",
+  "map.legendRate": "每10万人冲突死亡人数",
+  "map.legendTotal": "冲突死亡人数（国家合计）",
+  "map.specialKey": "阴影：覆盖在继承国之上的历史国家 · ◆ 无独立边界的争议地区",
+  "map.specialKeyShort": "阴影：历史国家 · ◆ 争议地区",
+  "symbol.legendRate": "每10万人死亡人数（圆面积）",
+  "symbol.legendTotal": "死亡人数（圆面积）",
+  "contour.intensity": "相对冲突强度",
+  "contour.level": "等值线级别：最大值的 {percent}",
+  "contour.levelSmoothed": "等值线级别：最大值的 {percent}（平滑）",
+  "contour.legend": "平滑后的冲突强度（相对于最大值）",
+  "sankey.other": "其他国家",
+  "sankey.otherAggregated": "其他国家（合计）",
+  "sankey.flow": "{value} 人死亡（{year}年）",
+  "sankey.totalFlow": "总流量：{value}（{year}年）",
+  "sankey.caption": "桑基图（前 {n} 个国家 + 其他国家）— 连线宽度表示{year}年的死亡人数（流量）。",
+  "network.reset": "重置布局",
+  "network.totalDeaths": "死亡总人数：{value}（{year}年）",
+  "network.vector": "向量：[{parts}]",
+  "network.similarity": "余弦相似度：{value}",
+  "network.caption": "网络图（前 {n} 个国家）— 连线连接余弦相似度 ≥ {threshold} 的国家（每个节点取前 {k} 个）。节点大小表示{year}年的死亡总人数。拖动可固定节点；双击可取消固定。",
+  "history.cumulative": "累计死亡人数",
+  "history.peak": "峰值年份",
+  "history.rank": "排名",
+  "history.rankIn": "{year}年排名",
+  "history.seeBelow": "见下图",
+  "history.byType": "按冲突类型划分的死亡人数",
+  "history.rankTitle": "在各国中的排名（1 = 死亡人数最多）",
+  "history.rankTip": "第 {rank} 名（{value} 人死亡）",
+
+  /* ---------- Captions ---------- */
+  "caption.top10": "横向条形比较正在进行的武装冲突中的死亡总人数（战斗人员和平民）。来源：UCDP，经 Our World in Data 提供。人均比率使用各国的 Natural Earth 人口估计值（{field}），因此较早年份的数据为近似值。",
+  "caption.heatmap": "颜色深浅表示冲突相关死亡的绝对人数（UCDP）。默认使用“全球”汇总以呈现长期概况；上方的地区选择器可切换到 OWID 的地区汇总。",
+  "caption.stack100": "每年的条形合计为 100%；每个彩色分段表示一种冲突类型的占比。",
+  "caption.waffle": "华夫饼图：10×10 网格 = 100 个方格。每个方格 ≈ {year}年全球死亡人数的 1%。颜色表示 UCDP 冲突类型。",
+  "caption.histogram": "每个条形表示冲突死亡总人数处于某一区间的国家数量。不包括汇总和地区。",
+  "caption.violin": "对于每种冲突类型，小提琴形状显示各国死亡人数的密度。白点表示中位数；黑线覆盖四分位距。",
+  "caption.boxplot": "箱体表示四分位距（Q1–Q3），横线标出中位数，须线延伸至非离群值的最小值和最大值。",
+  "caption.timeseries": "{region}汇总的冲突相关年度死亡总人数（战斗人员和平民）。死亡人数为零的年份仍显示在时间轴上，位于基线处。",
+  "caption.choropleth": "基于 UCDP {year}年国家级总数（战斗人员和平民）的世界分级统计图。",
+  "caption.symbol": "基于 UCDP {year}年国家级总数（战斗人员和平民）的比例符号地图。圆的面积与死亡人数成比例。",
+  "caption.contour": "根据 UCDP {year}年国家总数得出的等值线图。色带表示平滑后的冲突强度曲面，以相对于强度最高区域的比例表示。",
+  "caption.sankey": "连线宽度表示死亡人数；起点为冲突类型，终点为死亡人数最多的国家。",
+  "caption.network": "连线反映冲突类型{composition}的相似性（而非强度）。节点大小表示死亡总人数；仅保留高于相似度阈值的连线，以免图形过于杂乱。",
+  "caption.composition": "构成",
+  "caption.panel": "所选国家冲突相关死亡的完整历史（UCDP），仅限当前包含的冲突类型。阴影带标出当前年份或年份区间。",
+
+  /* ---------- Data checks and upload ---------- */
+  "join.title": "连接诊断 — CSV 国家代码与地图要素",
+  "join.note": "国家通过 ISO-3 代码与地图匹配。Natural Earth 对部分要素使用“-99”；可在 {config} 的 {option} 中列出其 {field} 代码来连接这些要素。在此地图比例下没有形状的小国仅出现在非空间图表中。",
+  "join.rowsHeading": "有死亡人数但没有地图要素的 CSV 实体",
+  "join.featuresHeading": "没有数据行的地图要素",
+  "join.overridesHeading": "已应用的覆盖",
+  "join.summary": "{features} 个地图要素中有 {matched} 个与 CSV 国家匹配 · {rows} 个有死亡人数的 CSV 实体没有地图要素 · {unmatched} 个要素没有数据行",
+  "join.rowsMatched": "所有有死亡人数的 CSV 实体都与地图要素匹配。",
+  "join.featuresMatched": "所有地图要素都有数据行。",
+  "join.noOverrides": "未应用任何覆盖。",
+  "report.entity": "实体",
+  "report.code": "代码",
+  "report.totalDeaths": "死亡总人数",
+  "report.feature": "要素",
+  "report.joinedAs": "连接为",
+  "report.year": "年份",
+  "report.type": "类型",
+  "report.countrySum": "各国合计",
+  "report.world": "全球",
+  "report.difference": "差值",
+  "report.rows": "行数",
+  "report.label": "标签",
+  "report.value": "数值",
+  "report.missingYears": "缺失年份",
+  "report.more": "……另有 {n} 条。",
+  "validation.title": "验证报告 — {summary}",
+  "validation.worldHeading": "各国行与全球行的对比",
+  "validation.caption": "各国行之和减去全球行，按年份和冲突类型计算（0 表示一致）。",
+  "validation.duplicatesHeading": "重复的实体-年份行",
+  "validation.valuesHeading": "负值或非整数值",
+  "validation.gapsHeading": "部分实体缺失的年份",
+  "validation.typesHeading": "冲突类型",
+  "validation.issues": "在 {years} 年的数据中发现 {n} 个问题。",
+  "validation.noIssues": "在 {years} 年的数据中未发现问题。",
+  "validation.worldDerived": "数据集没有全球行：它由各国行推算得出，因此两者始终一致。",
+  "validation.consistent": "每个年份和类型的各国行之和均等于全球行。",
+  "validation.noDuplicates": "没有实体在同一年有多于一行。",
+  "validation.allValid": "所有数值均为非负整数。",
+  "validation.noGaps": "每个实体在每个年份都有一行。",
+  "validation.absentTypes": "以下类型完全没有数值：{types}（未找到该列或该列为空）。",
+  "validation.allTypes": "每种冲突类型都有数值。",
+  "validation.skippedTypes": "以下行已跳过，因为其类型标签不是已知的冲突类型：",
+  "validation.tip": "各国合计 {countries}，全球 {world}",
+  "upload.drop": "拖放 CSV 文件（可另附边界 GeoJSON）即可在此浏览。{br}文件只在浏览器中读取，绝不会上传。",
+  "upload.wrongFiles": "请拖放 .csv 文件，可另附 .geojson 文件。",
+  "upload.noFeatures": "未找到边界要素",
+  "upload.noRows": "CSV 没有任何行",
+  "upload.failed": "无法加载 {file}：{error}。",
+  "mapping.title": "映射 {source} 的列",
+  "mapping.caption": "无法自动识别列。请为每个字段选择对应的列；留空的冲突类型视为缺失。若没有 ISO-3 代码列，国家将按名称与地图匹配。",
+  "mapping.cancel": "取消",
+  "mapping.load": "加载数据",
+  "mapping.entity": "国家 / 实体",
+  "mapping.code": "ISO-3 代码",
+  "mapping.year": "年份",
+  "mapping.none": "— 无 —",
+  "mapping.required": "请选择实体列和年份列，并至少选择一种冲突类型。",
+  "format.owid": "Our World in Data（宽表，每种类型一列）",
+  "format.ged": "UCDP GED（事件级）",
+  "format.acled": "ACLED（事件级）",
+  "format.tidy": "长表（实体、年份、类型、死亡人数）",
+  "format.mapping": "自定义列映射",
+
+  /* ---------- Alerts ---------- */
+  "alert.loadFailed": "数据加载失败。/data 中应包含 CSV 和 GeoJSON 文件。",
+  "alert.noColumns": "无法在 CSV 中识别所需的列。",
+  "alert.noData": "{year}年没有可用数据。",
+  "alert.noCountryData": "{year}年没有国家数据。",
+  "alert.noCountry": "{iso} 没有数据。",
+  "alert.noFocusData": "{year}年所选国家没有数据。",
+  "alert.noAggregate": "未找到汇总行（全球或地区）。",
+  "alert.noWorldData": "{year}年没有全球数据。",
+  "alert.noPositiveByType": "{year}年各类型均无正值。",
+  "alert.noPositiveTotals": "{year}年没有为正的国家总数。",
+  "alert.noPositiveFlows": "{year}年没有正流量。",
+  "alert.noLinks": "{year}年没有高于相似度阈值（{threshold}）的连线。",
+  "alert.noWorld": "世界边界缺失或无效。",
+  "alert.noGeometries": "{year}年没有同时具有有效几何形状和数据的国家。",
+  "alert.noSankey": "桑基图需要 d3-sankey。请在 HTML 中引入（d3-sankey 脚本）。",
+  "alert.choroplethFailed": "无法绘制地图（GeoJSON 错误）。",
+  "alert.symbolFailed": "无法绘制比例符号地图（GeoJSON 错误）。",
+  "alert.contourFailed": "无法绘制等值线图（GeoJSON 错误）。"
+};
@@ -23,29 +23,98 @@
  * 12) Contour / isopleth map (smoothed intensity surface, snapshot year) -> #map-contour
  * 13) Sankey diagram (type → countries, snapshot year) -> #sankey
  * 14) Similarity network (composition by type, year)   -> #network
+ *
+ * Country drill-down (side panel, selected country)
+ * 15) Country history (stacked area by type + rank)    -> #country-history
+ *
+ * Each chart is an ES module in js/charts/ (see js/charts/index.js);
+ * this module loads the data and wires the charts to the controls.
  *******************************************************/
 
+import {
+  ENTITY_GEO_MAP, MAP_MAX_ZOOM, MAP_PRESETS, MAP_TRANSITION_MS, TYPE_COLORS,
+  TYPE_ORDER, alertIn, debounce, entityKey, featureISO3, featureOverride, hideTooltip,
+  isISO3, rowRate, rowTotal, showTooltip
+} from "./core.js";
+import {
+  DATASET_ADAPTERS, REGIONS, buildNameIndex, buildPopulationIndex, countryCodeResolver,
+  detectColumns, mapRow, pickAdapter, worldFromCountries
+} from "./data.js";
+import {
+  createBoxplot, createChoropleth, createContourMap, createCountryHistory,
+  createGroupedBar, createHeatmap, createHistogram, createNetwork,
+  createSankey, createStacked100, createSymbolMap, createTimeSeries,
+  createTop10Bar, createViolin, createWaffle
+} from "./charts/index.js";
+import {
+  THEME_MODES, THEME_PALETTES, onThemeChange, setTheme, theme
+} from "./theme.js";
+import {
+  LOCALES, countryName, label, onLocaleChange, regionName, setCountryNames, setLocale, t,
+  typeName
+} from "./i18n.js";
+
 /* ---------- Global configuration ---------- */
 
 /** Path to the main CSV dataset (UCDP / OWID export). */
 const DATA_PATH = "data/conflict_deaths_by_type.csv";
 
+/**
+ * `path` when it is a relative path on this site, otherwise null: a shared
+ * link must not make the page load (and display) a third-party file.
+ */
+function sameSitePath(path) {
+  if (!path || /^[a-z][a-z\d+.-]*:|^[\\/]{2}/i.test(path)) return null;
+  try {
+    return new URL(path, location.href).origin === location.origin ? path : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Dataset to load and its format, overridable without editing this file:
+ * set `window.CONFLICT_VIZ_DATASET = { path, format, adapters, featureOverrides }`
+ * in a script included before this one, or pass `?data=…&format=…` in the
+ * page URL.
+ * `format` names an entry of ADAPTERS (detected from the header when
+ * omitted); `adapters` registers extra adapters of the same shape;
+ * `featureOverrides` maps GeoJSON `adm0_a3` codes to ISO3 (see featureOverride).
+ * `?data=` only takes paths on this site (see sameSitePath).
+ */
+const DATASET = (() => {
+  const params = new URLSearchParams(window.location.search);
+  const config = window.CONFLICT_VIZ_DATASET || {};
+  return {
+    path:     sameSitePath(params.get("data")) || config.path || DATA_PATH,
+    format:   params.get("format") || config.format || null,
+    adapters: config.adapters || {}
+  };
+})();
+
 /** Path to the world countries GeoJSON (Natural Earth or similar). */
 const WORLD_GEOJSON_PATH = "data/world_countries.geojson";
 
-/** Snapshot year used for “per country” charts and maps. */
+/** Default snapshot year used for “per country” charts and maps. */
 const SNAPSHOT_YEAR = 2023;
 
-/** Countries highlighted in the grouped barchart. */
+/** Delay (ms) between two years while the map playback is running. */
+const PLAYBACK_INTERVAL_MS = 1400;
+
+/** Default countries highlighted in the grouped barchart. */
 const FOCUS_COUNTRIES = ["Ukraine", "Palestine", "Sudan", "Mexico", "Burkina Faso"];
 
-/** Fixed order of conflict types across all visualizations. */
-const TYPE_ORDER = ["Interstate", "Intrastate", "Extrasystemic", "Non-state", "One-sided"];
+/** Maximum number of countries the grouped barchart can compare. */
+const MAX_FOCUS_COUNTRIES = 8;
+
+/** localStorage key holding the user's own focus countries. */
+const FOCUS_STORAGE_KEY = "conflict-viz:focus-countries";
 
-/** Color scale for conflict types (ordinal, consistent across charts). */
-const TYPE_COLORS = d3.scaleOrdinal()
-  .domain(TYPE_ORDER)
-  .range(["#6c8ae4", "#f28e2b", "#edc948", "#59a14f", "#e15759"]);
+/** localStorage key holding the picked theme (`{ mode, palette }`). */
+const THEME_STORAGE_KEY = "conflict-viz:theme";
+
+/** localStorage key holding the picked language (a key of LOCALES). */
+const LOCALE_STORAGE_KEY = "conflict-viz:locale";
 
 /**
  * List of all visualization containers used in the HTML.
@@ -68,2476 +137,2068 @@ const ALL_VIZ_SELECTORS = [
   "#network"
 ];
 
-/* ---------- Shared tooltip ---------- */
+/** Maps zoomed and panned together (see mapZoom in js/core.js). */
+const MAP_SELECTORS = ["#map-choropleth", "#map-symbol", "#map-contour"];
+
+/* ---------- Dashboard state ---------- */
+
+/**
+ * Mutable UI state shared by the global controls and the render pipeline.
+ * Every chart reads from here instead of from hard-coded constants.
+ */
+const state = {
+  year: SNAPSHOT_YEAR,
+  country: null,              // ISO3 code of the focused country (or null)
+  types: TYPE_ORDER.slice(),  // conflict types currently included
+  view: null,                 // id of the chart container in view (for links)
+  focus: FOCUS_COUNTRIES.slice(), // countries compared in the grouped barchart
+  range: null,                // [startYear, endYear] brushed on the time series
+  region: "World",            // aggregate shown by the heatmap, stacked bars and time series
+  measure: "absolute",        // "absolute" deaths or "per100k" (per 100,000 population)
+  mapZoom: null               // view shared by the maps (a MAP_PRESETS entry, or null)
+};
 
-/** Single floating tooltip reused by all charts and the map. */
-const tip = d3.select("body")
-  .append("div")
-  .attr("class", "tooltip")
-  .style("opacity", 0);
+/**
+ * Normalized datasets, filled once the CSV and GeoJSON have been loaded.
+ * Kept at module level so that controls can re-render charts later on.
+ */
+const store = {
+  countries: [],
+  specialRows: [],
+  worldOnly: [],
+  regionRows: [],
+  population: new Map(),
+  codes: new Map(),  // country entity -> ISO3 code (localized names)
+  worldFC: null,
+  years: [],
+  raw: null,      // parsed CSV, kept so that a new GeoJSON alone can be applied
+  adapter: null,  // dataset adapter used for `raw`
+  source: null,   // file name of `raw`
+  join: null,      // last join report (redrawn when the language changes)
+  validation: null // last validation report (redrawn when the theme or language changes)
+};
+
+/* ---------- Conflict type filter ---------- */
 
 /**
- * Show the shared tooltip at the mouse pointer position.
- * @param {MouseEvent} ev  – the DOM mouse event
- * @param {string} html    – HTML content to be injected into the tooltip
+ * Recompute `total` on every loaded row after the type filter changed.
  */
-function showTooltip(ev, html) {
-  tip
-    .style("opacity", 1)
-    .html(html)
-    .style("left", ev.pageX + "px")
-    .style("top", ev.pageY + "px");
+function recomputeTotals() {
+  store.countries.forEach(r => {
+    r.total = rowTotal(r, state.types);
+    r.rate  = rowRate(r);
+  });
+  store.worldOnly.forEach(r => { r.total = rowTotal(r, state.types); });
+  store.regionRows.forEach(r => { r.total = rowTotal(r, state.types); });
+  store.specialRows.forEach(r => {
+    r.total = rowTotal(r, state.types);
+    r.rate  = rowRate(r);
+  });
 }
 
 /**
- * Hide the shared tooltip.
+ * Include or exclude one conflict type and re-render every chart.
+ * The last remaining type cannot be switched off.
  */
-function hideTooltip() {
-  tip.style("opacity", 0);
+function toggleType(type) {
+  const on = state.types.includes(type);
+  if (on && state.types.length === 1) return;
+
+  state.types = TYPE_ORDER.filter(t => (t === type ? !on : state.types.includes(t)));
+
+  recomputeTotals();
+  renderAll();
+  writeHash();
 }
 
-/* ---------- Generic utilities ---------- */
+/* ---------- Global controls ---------- */
 
 /**
- * Inject a lightweight alert message into a target container.
- * Used when data are missing or cannot be parsed correctly.
+ * Populate the snapshot-year slider and dropdown from the years in the CSV
+ * and keep both in sync with `state.year`.
  */
-function alertIn(sel, msg) {
-  const box = d3.select(sel);
-  if (!box.empty()) {
-    box.html("")
-      .append("div")
-      .attr("class", "alert")
-      .text(msg);
-  }
+function initYearControls(years) {
+  const slider = d3.select("#year-slider");
+  const select = d3.select("#year-select");
+
+  slider
+    .attr("min", years[0])
+    .attr("max", years.at(-1))
+    .property("value", state.year);
+
+  select.selectAll("option")
+    .data(years)
+    .join("option")
+    .attr("value", d => d)
+    .text(d => d);
+  select.property("value", state.year);
+
+  // Re-rendering 11 charts on every slider tick is too heavy: update the
+  // dropdown immediately and debounce the actual redraw.
+  const commit = debounce(y => setYear(y));
+
+  slider.on("input", ev => {
+    const y = +ev.target.value;
+    select.property("value", y);
+    commit(y);
+  });
+
+  select.on("change", ev => setYear(+ev.target.value));
 }
 
 /**
- * Test whether a code is a “true” ISO-3 country code.
- * This is used to remove regional aggregates and other non-country entities.
+ * Change the snapshot year and re-render every year-dependent chart.
  */
-const isISO3 = code =>
-  typeof code === "string" && /^[A-Z]{3}$/.test(code);
+function setYear(year) {
+  if (!store.years.includes(year)) return;
+  if (year === state.year && !state.range) return;
+
+  // Picking a single year leaves the "sum over range" mode.
+  const hadRange = state.range !== null;
+  state.year  = year;
+  state.range = null;
+
+  d3.select("#year-slider").property("value", year);
+  d3.select("#year-select").property("value", year);
+  updateRangeControl();
+
+  if (hadRange) {
+    renderAll();
+  } else {
+    renderSnapshot();
+  }
+  writeHash();
+}
+
+/* ---------- Year range (time series brush) ---------- */
 
 /**
- * Discover column names in a potentially noisy OWID-style CSV header.
- * The function is robust to minor wording changes.
+ * Switch the snapshot charts to “sum over range” mode for [start, end]
+ * (inclusive), or back to the single snapshot year with null.
  */
-function detectColumns(headers) {
-  const norm = s => s
-    .toLowerCase()
-    .replace(/\s+/g, " ")
-    .trim();
-
-  const H = headers.map(h => ({ raw: h, n: norm(h) }));
+function setRange(range) {
+  state.range = range;
+  updateRangeControl();
 
-  const pick = (...needles) => {
-    const i = H.findIndex(({ n }) =>
-      needles.some(nd => n.includes(nd))
-    );
-    return i >= 0 ? H[i].raw : null;
-  };
+  renderWindowedSeries();
+  renderSnapshot();
+  writeHash();
+}
 
-  return {
-    entity:        pick("entity") || "Entity",
-    code:          pick("code")   || "Code",
-    year:          pick("year")   || "Year",
-    // OWID style: “… - Conflict type: interstate”, etc.
-    interstate:    pick("conflict type: interstate", " interstate"),
-    intrastate:    pick("conflict type: intrastate", " intrastate"),
-    extrasystemic: pick("conflict type: extrasystemic", " extrasystemic"),
-    nonstate:      pick("conflict type: non-state", " non state", " non-state conflict"),
-    onesided:      pick("conflict type: one-sided", " one-sided violence", " one sided")
-  };
+/**
+ * Label used in titles and tooltips for a year range, e.g. “2012–2019”.
+ */
+function rangeLabel([start, end]) {
+  return `${start}–${end}`;
 }
 
 /**
- * Normalize one CSV row into canonical fields and compute a total.
- * This function returns one object per CSV row with standardized keys.
+ * Sum rows per entity over the years of `range`.
+ * The returned rows carry `year: key`, so that the draw functions (which
+ * filter on `d.year === year`) can render them unchanged with `key` as year.
  */
-function mapRow(d, C) {
-  const r = {
-    entity: d[C.entity],
-    code:   d[C.code],
-    year:  +d[C.year],
-    Interstate:    +d[C.interstate]    || 0,
-    Intrastate:    +d[C.intrastate]    || 0,
-    Extrasystemic: +d[C.extrasystemic] || 0,
-    "Non-state":   +d[C.nonstate]      || 0,
-    "One-sided":   +d[C.onesided]      || 0
-  };
+function aggregateRange(rows, [start, end], key) {
+  const byEntity = d3.group(
+    rows.filter(r => r.year >= start && r.year <= end),
+    r => r.entity
+  );
 
-  r.total = TYPE_ORDER.reduce((acc, k) => acc + (r[k] || 0), 0);
-  r.iso3  = r.code;
-  return r;
+  return Array.from(byEntity, ([entity, list]) => {
+    const r = { entity, code: list[0].code, iso3: list[0].code, year: key };
+    TYPE_ORDER.forEach(k => {
+      r[k] = d3.sum(list, d => d[k]);
+    });
+    // Years without bounds count with their best estimate, so that the
+    // summed band still contains the summed total.
+    ["low", "high"].forEach(which => {
+      if (!list.some(d => d[which] != null)) return;
+      r[which] = {};
+      TYPE_ORDER.forEach(k => {
+        r[which][k] = d3.sum(list, d => d[which]?.[k] ?? d[k]);
+      });
+    });
+    // Missing: no value in any year; partial: missing in some years only.
+    r.missing = TYPE_ORDER.filter(k => list.every(d => d.missing?.includes(k)));
+    r.partial = TYPE_ORDER.filter(k =>
+      !r.missing.includes(k) && list.some(d => d.missing?.includes(k)));
+    r.pop   = list[0].pop;
+    r.total = rowTotal(r, state.types);
+    r.rate  = rowRate(r);
+    return r;
+  });
 }
 
 /**
- * Append a pill-style legend for the conflict types to a given container.
- * This helper is reused by multiple charts that share the same legend.
+ * Data and year key for the snapshot charts: the loaded rows and the
+ * snapshot year, or range aggregates keyed by the range label.
+ * `special` holds the historical / disputed entities drawn on the maps only.
  */
-function addTypeLegend(sel) {
-  const legend = d3.select(sel)
-    .append("div")
-    .attr("class", "legend");
+function snapshotView() {
+  if (!state.range) {
+    return {
+      key: state.year,
+      countries: store.countries,
+      worldOnly: store.worldOnly,
+      special: store.specialRows
+    };
+  }
 
-  TYPE_ORDER.forEach(k => {
-    const item = legend.append("span")
-      .attr("class", "pill");
+  const key = rangeLabel(state.range);
+  return {
+    key,
+    countries: aggregateRange(store.countries, state.range, key),
+    worldOnly: aggregateRange(store.worldOnly, state.range, key),
+    special:   aggregateRange(store.specialRows, state.range, key)
+  };
+}
 
-    item.append("span")
-      .attr("class", "swatch")
-      .style("background", TYPE_COLORS(k));
+/**
+ * Show the active range (with a clear button) in the controls bar.
+ */
+function updateRangeControl() {
+  d3.select("#range-control")
+    .property("hidden", !state.range)
+    .select(".selected-range")
+    .text(state.range ? rangeLabel(state.range) : "");
 
-    item.append("span").text(k);
-  });
+  d3.select("#controls").classed("has-range", state.range !== null);
 }
 
-/* ---------- Data loading and dispatch ---------- */
+/**
+ * Wire the clear button of the range chip.
+ */
+function initRangeControl() {
+  d3.select("#range-clear").on("click", () => {
+    setRange(null);
+    renderTimeSeries();
+  });
 
-Promise.all([
-  d3.csv(DATA_PATH, d3.autoType),
-  d3.json(WORLD_GEOJSON_PATH)
-]).then(([raw, worldGeo]) => {
-  if (!raw || !raw.length) {
-    throw new Error("CSV is empty.");
-  }
+  updateRangeControl();
+}
 
-  // Detect column names in a robust way.
-  const headers = Object.keys(raw[0]);
-  const C = detectColumns(headers);
-
-  // Minimal set of columns required to render the visualizations.
-  const required = [
-    C.entity,
-    C.code,
-    C.year,
-    C.intrastate,
-    C.nonstate,
-    C.onesided
-  ];
-
-  if (required.some(x => !x)) {
-    ALL_VIZ_SELECTORS.forEach(sel =>
-      alertIn(sel, "Could not detect required columns in the CSV.")
-    );
-    return;
-  }
+/* ---------- Region selector (series charts) ---------- */
 
-  // Normalize rows and split into “World” vs country-level entities.
-  const rows       = raw.map(d => mapRow(d, C));
-  const countries  = rows.filter(r => isISO3(r.code) && r.entity !== "World");
-  const worldOnly  = rows.filter(r => r.entity === "World");
+/**
+ * Rows of the aggregate currently selected for the series charts:
+ * the World rows or one of the OWID region aggregates.
+ */
+function seriesRows() {
+  return state.region === "World"
+    ? store.worldOnly
+    : store.regionRows.filter(r => r.entity === state.region);
+}
 
-  // Extract GeoJSON features in a safe way.
-  const worldFeatures = Array.isArray(worldGeo?.features)
-    ? worldGeo.features
-    : worldGeo;
+/**
+ * Populate the region dropdown with World plus the regions found in the CSV.
+ */
+function initRegionControl() {
+  const options = ["World", ...REGIONS.filter(r => store.regionRows.some(d => d.entity === r))];
+
+  d3.select("#region-select")
+    .on("change", ev => setRegion(ev.target.value))
+    .selectAll("option")
+    .data(options)
+    .join("option")
+    .attr("value", d => d)
+    .text(regionName);
+
+  d3.select("#region-select").property("value", state.region);
+  updateRegionLabels();
+}
 
-  const worldFC = {
-    type: "FeatureCollection",
-    features: worldFeatures
-  };
+/**
+ * Switch the heatmap, stacked bars and time series to another aggregate.
+ */
+function setRegion(region) {
+  if (region === state.region) return;
+  state.region = region;
+
+  updateRegionLabels();
+  renderWindowedSeries();
+  renderTimeSeries();
+  writeHash();
+}
 
-  // Update year labels in the HTML.
-  d3.select("#year-top").text(SNAPSHOT_YEAR);
-  d3.select("#year-grouped").text(SNAPSHOT_YEAR);
-  d3.select("#year-waffle").text(SNAPSHOT_YEAR);
-  d3.select("#waffle-year").text(SNAPSHOT_YEAR);
-  d3.select("#year-sankey").text(SNAPSHOT_YEAR);
-  d3.select("#year-network").text(SNAPSHOT_YEAR);
+/**
+ * Update every `.series-region` span in the titles of the series charts.
+ */
+function updateRegionLabels() {
+  d3.selectAll(".series-region").text(regionName(state.region));
+}
 
-  /* ---- Section 1: Comparing categories ---- */
+/* ---------- Measure (absolute / per capita) ---------- */
 
-  drawTop10Bar("#bar-top10", countries, SNAPSHOT_YEAR);
-  drawGroupedByType("#grouped", countries, SNAPSHOT_YEAR, FOCUS_COUNTRIES);
-  drawWorldHeatmap("#heatmap", worldOnly);
-  drawStacked100("#stack100", worldOnly);
-  drawWaffle("#waffle", worldOnly, SNAPSHOT_YEAR);
+/**
+ * Wire the measure dropdown (absolute deaths vs. deaths per 100,000 people).
+ */
+function initMeasureControl() {
+  d3.select("#measure-select")
+    .property("value", state.measure)
+    .on("change", ev => setMeasure(ev.target.value));
 
-  /* ---- Section 2: Distributions ---- */
+  updateMeasureLabels();
+}
 
-  drawHistogram("#histogram", countries, SNAPSHOT_YEAR);
-  drawViolin("#violin", countries, SNAPSHOT_YEAR);
-  drawBoxplot("#boxplot", countries, SNAPSHOT_YEAR);
+/**
+ * Switch the maps, Top-10 and histogram between absolute and per-capita values.
+ */
+function setMeasure(measure) {
+  if (measure === state.measure) return;
+  state.measure = measure;
 
-  /* ---- Section 3: Temporal patterns ---- */
+  updateMeasureLabels();
+  renderSnapshot();
+  writeHash();
+}
 
-  drawTimeSeries("#timeseries", worldOnly);
+/**
+ * Show or hide the “per 100,000 people” suffix in the affected chart titles.
+ */
+function updateMeasureLabels() {
+  d3.selectAll(".measure-suffix")
+    .text(state.measure === "per100k" ? t("measure.suffix") : "");
+}
 
-  /* ---- Section 4: Spatial patterns ---- */
+/* ---------- Theme (mode and palette) ---------- */
 
+/**
+ * Read the saved theme; without one, follow the system dark mode.
+ */
+function loadTheme() {
   try {
-    drawChoropleth("#map-choropleth", worldFC, countries, SNAPSHOT_YEAR);
+    const saved = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY));
+    if (saved) return saved;
   } catch (e) {
-    console.error("Failed to render choropleth:", e);
-    alertIn("#map-choropleth", "Could not render map (GeoJSON error).");
+    console.warn("Could not read saved theme:", e);
   }
-  
+  const dark = window.matchMedia?.("(prefers-color-scheme: dark)").matches;
+  return { mode: dark ? "dark" : "light", palette: "default" };
+}
+
+/**
+ * Persist the theme (silently skipped when storage is unavailable).
+ */
+function saveTheme({ mode, palette }) {
   try {
-    drawProportionalMap("#map-symbol", worldFC, countries, SNAPSHOT_YEAR);
+    localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify({ mode, palette }));
   } catch (e) {
-    console.error("Failed to render proportional symbol map:", e);
-    alertIn("#map-symbol", "Could not render proportional symbol map (GeoJSON error).");
+    console.warn("Could not save theme:", e);
   }
+}
+
+/**
+ * Fill the theme and palette dropdowns and apply the saved theme.
+ * Runs before the data loads so that the page does not flash light.
+ */
+function initThemeControl() {
+  const fill = (sel, entries, key) => d3.select(sel)
+    .on("change", ev => setTheme({ [key]: ev.target.value }))
+    .selectAll("option")
+    .data(Object.entries(entries))
+    .join("option")
+    .attr("value", ([k]) => k);
+
+  fill("#theme-select", THEME_MODES, "mode");
+  fill("#palette-select", THEME_PALETTES, "palette");
+  updateThemeLabels();
+
+  onThemeChange(applyTheme);
+  setTheme(loadTheme());
+}
 
+/**
+ * Name the theme and palette options in the current language.
+ */
+function updateThemeLabels() {
+  d3.select("#theme-select").selectAll("option")
+    .text(([k, d]) => label(`mode.${k}`, d.label));
+  d3.select("#palette-select").selectAll("option")
+    .text(([k, d]) => label(`palette.${k}`, d.label));
+}
+
+/**
+ * Sync the dropdowns with the new theme, save it and redraw the charts
+ * (colors are read when they draw).
+ */
+function applyTheme(th) {
+  d3.select("#theme-select").property("value", th.mode);
+  d3.select("#palette-select").property("value", th.palette);
+  saveTheme(th);
+
+  if (!dashboardStarted) return;
+  renderAll();
+  if (store.validation) renderValidationReport(store.validation);
+}
+
+/* ---------- Language ---------- */
+
+/**
+ * Read the saved language; without one, use the browser language when it
+ * is supported (English otherwise).
+ */
+function loadLocale() {
   try {
-    drawContourMap("#map-contour", worldFC, countries, SNAPSHOT_YEAR);
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
   } catch (e) {
-    console.error("Failed to render contour map:", e);
-    alertIn("#map-contour", "Could not render contour map (GeoJSON error).");
+    console.warn("Could not read saved language:", e);
   }
+  const browser = (navigator.language || "en").slice(0, 2).toLowerCase();
+  return LOCALES[browser] ? browser : "en";
+}
 
-  /* ---- Section 5: Connection visualization ---- */
-  drawSankey("#sankey", countries, SNAPSHOT_YEAR);
-  drawNetwork("#network", countries, SNAPSHOT_YEAR);
-  
-}).catch(err => {
-  console.error(err);
-  ALL_VIZ_SELECTORS.forEach(sel =>
-    alertIn(sel, "Failed to load data. Expected CSV and GeoJSON in /data.")
-  );
-});
+/**
+ * Persist the language (silently skipped when storage is unavailable).
+ */
+function saveLocale(code) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+  } catch (e) {
+    console.warn("Could not save language:", e);
+  }
+}
 
+/**
+ * Fill the language dropdown and apply the saved language.
+ * Runs before the data loads, like the theme control.
+ */
+function initLocaleControl() {
+  d3.select("#locale-select")
+    .on("change", ev => setLocale(ev.target.value))
+    .selectAll("option")
+    .data(Object.entries(LOCALES))
+    .join("option")
+    .attr("value", ([k]) => k)
+    .attr("lang", ([k]) => k)
+    .text(([, d]) => d.label);
+
+  onLocaleChange(applyLocale);
+  setLocale(loadLocale());
+}
 
-/* ===================== CHARTS ===================== */
+/**
+ * Sync the dropdown with the new language, save it and relabel what the
+ * page marks cannot cover (see translatePage): names and states set from
+ * here, then every chart.
+ */
+function applyLocale(code) {
+  d3.select("#locale-select").property("value", code);
+  saveLocale(code);
+  updateThemeLabels();
+
+  if (!dashboardStarted) return;
+  updateMeasureLabels();
+  updateRegionLabels();
+  d3.select("#region-select").selectAll("option").text(regionName);
+  updateFocusOptions(Array.from(store.codes.keys()).sort(d3.ascending));
+  renderFocusChips();
+  updatePlayToggle();
+  updateCountryControl();
+  updateDatasetName();
+  renderCountryPanel();
+  renderJoinReport(store.join);
+  renderValidationReport(store.validation);
+  renderAll();
+}
 
-/* 1) Top-10 barchart (absolute totals per country) */
-function drawTop10Bar(sel, data, year) {
-  const rows = data.filter(d => d.year === year && d.total > 0);
-  if (!rows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
-    return;
-  }
+/* ---------- URL state (hash) ---------- */
 
-  const top10 = rows
-    .sort((a, b) => d3.descending(a.total, b.total))
-    .slice(0, 10);
+/**
+ * Restore dashboard state from `location.hash`, e.g.
+ * `#year=2014&country=SDN&types=Intrastate,One-sided&view=map-choropleth`
+ * (plus `range=2012-2019` when a range is brushed on the time series and
+ * `region=Africa` when a region aggregate feeds the series charts,
+ * `measure=per100k` for per-capita rates and `zoom=middleEast` or
+ * `zoom=35.5,33.9,12` (longitude, latitude, factor) for zoomed maps).
+ * Unknown or invalid values are ignored so that stale links still load.
+ * Returns false when the hash is a plain anchor (e.g. `#top`).
+ */
+function readHash() {
+  const hash = location.hash.slice(1);
+  if (!hash.includes("=")) return false;
 
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 10, right: 28, bottom: 44, left: 220 };
+  const params = new URLSearchParams(hash);
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+  const year = +params.get("year");
+  if (store.years.includes(year)) {
+    state.year = year;
+  }
 
-  const x = d3.scaleLinear()
-    .domain([0, d3.max(top10, d => d.total) || 1])
-    .nice()
-    .range([margin.left, width - margin.right]);
+  const country = (params.get("country") || "").toUpperCase();
+  state.country = hasCountryRows(country) ? country : null;
 
-  const y = d3.scaleBand()
-    .domain(top10.map(d => d.entity))
-    .range([margin.top, height - margin.bottom])
-    .padding(0.18);
+  const types = params.has("types")
+    ? TYPE_ORDER.filter(t => params.get("types").split(",").includes(t))
+    : [];
+  state.types = types.length ? types : TYPE_ORDER.slice();
 
-  // Horizontal grid lines.
-  svg.append("g")
-    .attr("class", "grid")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(
-      d3.axisBottom(x)
-        .ticks(6)
-        .tickSize(-(height - margin.top - margin.bottom))
-        .tickFormat("")
-    );
+  const range = (params.get("range") || "").split("-").map(Number);
+  state.range = range.length === 2 && range[0] < range[1] &&
+    range.every(y => store.years.includes(y)) ? range : null;
 
-  // Axes.
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x).ticks(6).tickFormat(d3.format(",")));
+  const region = params.get("region");
+  state.region = REGIONS.includes(region) ? region : "World";
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y));
+  state.measure = params.get("measure") === "per100k" ? "per100k" : "absolute";
 
-  // Bars.
-  svg.append("g")
-    .selectAll("rect")
-    .data(top10)
-    .join("rect")
-    .attr("x", x(0))
-    .attr("y", d => y(d.entity))
-    .attr("width", d => x(d.total) - x(0))
-    .attr("height", y.bandwidth())
-    .attr("fill", "#8da2fb")
-    .on("mousemove", (ev, d) => {
-      const html = `<strong>${d.entity}</strong><br/>${d3.format(",")(d.total)} deaths`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+  state.mapZoom = parseMapZoom(params.get("zoom"));
 
-  // Value labels with a small “edge avoidance” heuristic.
-  const fmt = d3.format(",");
-  const EDGE_PAD = 84;
+  const view = params.get("view");
+  state.view = ALL_VIZ_SELECTORS.includes(`#${view}`) ? view : null;
 
-  svg.append("g")
-    .selectAll("text.value")
-    .data(top10)
-    .join("text")
-    .attr("class", "value")
-    .attr("y", d => y(d.entity) + y.bandwidth() / 2)
-    .attr("dy", "0.32em")
-    .text(d => fmt(d.total))
-    .attr("x", d => {
-      const xr = x(d.total);
-      return (width - margin.right - xr) < EDGE_PAD ? xr - 6 : xr + 6;
-    })
-    .attr("text-anchor", d =>
-      (width - margin.right - x(d.total)) < EDGE_PAD ? "end" : "start"
-    )
-    .attr("fill", d =>
-      (width - margin.right - x(d.total)) < EDGE_PAD ? "white" : "#111827"
-    )
-    .style("font-size", "12px");
+  return true;
 }
 
-/* 2) Grouped barchart — selected countries × conflict type */
-function drawGroupedByType(sel, data, year, focus) {
-  const rows = data.filter(d => d.year === year && focus.includes(d.entity));
-  if (!rows.length) {
-    alertIn(sel, `No data for selected countries in ${year}.`);
-    return;
+/**
+ * Write the current state to the URL hash without adding a history entry.
+ * Defaults (no country, all types, top of page) are left out to keep links short.
+ */
+function writeHash() {
+  const params = [["year", state.year]];
+
+  if (state.country) params.push(["country", state.country]);
+  if (state.types.length < TYPE_ORDER.length) params.push(["types", state.types.join(",")]);
+  if (state.range) params.push(["range", state.range.join("-")]);
+  if (state.region !== "World") params.push(["region", state.region]);
+  if (state.measure !== "absolute") params.push(["measure", state.measure]);
+  if (state.mapZoom) params.push(["zoom", mapZoomParam(state.mapZoom)]);
+  if (state.view) params.push(["view", state.view]);
+
+  const hash = "#" + params
+    .map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ",")}`)
+    .join("&");
+
+  if (hash !== location.hash) {
+    history.replaceState(null, "", hash);
   }
+}
 
-  const groups = focus.filter(c => rows.some(r => r.entity === c));
-  const tidy = groups.map(g => {
-    const d = rows.find(r => r.entity === g);
-    return {
-      group: g,
-      values: TYPE_ORDER.map(k => ({ key: k, value: d ? d[k] : 0 }))
-    };
+/**
+ * Id of the chart the reader is looking at: the last chart whose card
+ * starts above the upper third of the viewport (null near the top of the page).
+ */
+function currentView() {
+  if (window.scrollY < 80) return null;
+
+  let view = null;
+  ALL_VIZ_SELECTORS.forEach(sel => {
+    const el = document.querySelector(sel);
+    const box = (el?.closest(".card") || el)?.getBoundingClientRect();
+    if (box && box.top <= window.innerHeight / 3) {
+      view = sel.slice(1);
+    }
   });
+  return view;
+}
 
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 10, right: 24, bottom: 62, left: 56 };
+/**
+ * Scroll the card holding `state.view` into view.
+ */
+function restoreView() {
+  const el = state.view && document.getElementById(state.view);
+  (el?.closest(".card") || el)?.scrollIntoView({ block: "start" });
+}
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+/**
+ * Keep the hash in sync with scrolling and react to pasted links.
+ */
+function initHashSync() {
+  window.addEventListener("scroll", debounce(() => {
+    state.view = currentView();
+    writeHash();
+  }, 250));
+
+  window.addEventListener("hashchange", () => {
+    if (!readHash()) return;
+    d3.select("#year-slider").property("value", state.year);
+    d3.select("#year-select").property("value", state.year);
+    updateCountryControl();
+    updateRangeControl();
+    d3.select("#region-select").property("value", state.region);
+    updateRegionLabels();
+    d3.select("#measure-select").property("value", state.measure);
+    updateMeasureLabels();
+    updateZoomButtons();
+    recomputeTotals();
+    renderAll();
+    restoreView();
+  });
+}
 
-  const x0 = d3.scaleBand()
-    .domain(groups)
-    .range([margin.left, width - margin.right])
-    .padding(0.22);
+/* ---------- Linked country selection ---------- */
 
-  const x1 = d3.scaleBand()
-    .domain(TYPE_ORDER)
-    .range([0, x0.bandwidth()])
-    .padding(0.08);
+/**
+ * Whether `iso` is the code of a country with data rows. Map features without
+ * a row (e.g. Antarctica) are clickable but cannot be selected.
+ */
+function hasCountryRows(iso) {
+  return store.countries.some(r => r.code === iso);
+}
 
-  const y = d3.scaleLinear()
-    .domain([
-      0,
-      d3.max(tidy.flatMap(t => t.values), d => d.value) || 1
-    ])
-    .nice()
-    .range([height - margin.bottom, margin.top]);
+/**
+ * Select a country globally (or clear the selection with null) and
+ * highlight it in every chart that shows it. Codes without data rows clear it.
+ */
+function selectCountry(iso) {
+  state.country = hasCountryRows(iso) ? iso : null;
+  charts.forEach(chart => chart.highlight(state.country));
+  updateCountryControl();
+  renderCountryPanel();
+  writeHash();
+}
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x0))
-    .selectAll("text")
-    .attr("transform", "rotate(-18)")
-    .style("text-anchor", "end");
+/**
+ * Click handler shared by all charts: clicking the selected country again clears it.
+ */
+function toggleCountry(iso) {
+  if (!hasCountryRows(iso)) return;
+  selectCountry(iso === state.country ? null : iso);
+}
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format(",")));
+/**
+ * Show the selected country (with a clear button) in the controls bar.
+ */
+function updateCountryControl() {
+  const row  = store.countries.find(r => r.code === state.country);
+  const ctrl = d3.select("#country-control")
+    .property("hidden", !row);
 
-  svg.append("g")
-    .selectAll("g")
-    .data(tidy)
-    .join("g")
-    .attr("transform", d => `translate(${x0(d.group)},0)`)
-    .selectAll("rect")
-    .data(d => d.values)
-    .join("rect")
-    .attr("x", d => x1(d.key))
-    .attr("y", d => y(d.value))
-    .attr("width", x1.bandwidth())
-    .attr("height", d => y(0) - y(d.value))
-    .attr("fill", d => TYPE_COLORS(d.key))
-    .on("mousemove", (ev, d) => {
-      const html = `<strong>${d.key}</strong><br/>${d3.format(",")(d.value)} deaths`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+  ctrl.select(".selected-country").text(row ? countryName(row.code, row.entity) : "");
+}
 
-  // Type legend (shared helper).
-  addTypeLegend(sel);
+/**
+ * Open the drill-down panel for the selected country (or close it).
+ */
+function renderCountryPanel() {
+  const row = store.countries.find(r => r.code === state.country);
+
+  d3.select("#country-panel").property("hidden", !row);
+  d3.select("body").classed("panel-open", !!row);
+  if (!row) return;
+
+  d3.select("#country-panel-title").text(countryName(row.code, row.entity));
+  renderChart("#country-history", createCountryHistory, store.countries, {
+    iso: state.country,
+    year: state.year,
+    range: state.range,
+    years: store.years
+  });
 }
 
-/* 3) Heatmap — World totals per type × year */
-function drawWorldHeatmap(sel, worldRows) {
-  if (!worldRows.length) {
-    alertIn(sel, "No World aggregate rows found.");
-    return;
-  }
+/**
+ * Wire the clear buttons and the Escape key to clear the selection.
+ */
+function initCountryControl() {
+  d3.select("#country-clear").on("click", () => selectCountry(null));
+  d3.select("#country-panel-close").on("click", () => selectCountry(null));
 
-  const years = worldRows.map(d => d.year).sort((a, b) => a - b);
-  const cells = [];
+  d3.select(window).on("keydown.country", ev => {
+    if (ev.key === "Escape" && state.country) selectCountry(null);
+  });
 
-  worldRows.forEach(d =>
-    TYPE_ORDER.forEach(k =>
-      cells.push({ row: k, col: d.year, value: d[k] })
-    )
-  );
+  updateCountryControl();
+}
 
-  const width  = 900;
-  const height = 280;
-  const margin = { top: 36, right: 18, bottom: 34, left: 110 };
+/* ---------- Focus country picker (grouped barchart) ---------- */
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+/**
+ * Read the saved focus countries, keeping only entities present in the data.
+ * Falls back to FOCUS_COUNTRIES when nothing (valid) has been saved.
+ */
+function loadFocusCountries(entities) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FOCUS_STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      return saved
+        .filter(name => entities.includes(name))
+        .slice(0, MAX_FOCUS_COUNTRIES);
+    }
+  } catch (e) {
+    console.warn("Could not read saved focus countries:", e);
+  }
+  return FOCUS_COUNTRIES.slice();
+}
 
-  const x = d3.scaleBand()
-    .domain(years)
-    .range([margin.left, width - margin.right])
-    .padding(0);
+/**
+ * Persist the focus countries (silently skipped when storage is unavailable).
+ */
+function saveFocusCountries() {
+  try {
+    localStorage.setItem(FOCUS_STORAGE_KEY, JSON.stringify(state.focus));
+  } catch (e) {
+    console.warn("Could not save focus countries:", e);
+  }
+}
 
-  const y = d3.scaleBand()
-    .domain(TYPE_ORDER)
-    .range([margin.top, height - margin.bottom])
-    .padding(0.06);
+/**
+ * Build the type-ahead picker above the grouped barchart.
+ * Suggestions come from a <datalist> with every country entity in the CSV.
+ */
+function initFocusPicker(entities) {
+  state.focus = loadFocusCountries(entities);
 
-  const max = d3.max(cells, d => d.value) || 1;
-  const color = d3.scaleSequential(d3.interpolateOrRd)
-    .domain([0, Math.log10(max + 1)]);
+  updateFocusOptions(entities);
 
-  svg.append("g")
-    .selectAll("rect")
-    .data(cells)
-    .join("rect")
-    .attr("x", d => x(d.col))
-    .attr("y", d => y(d.row))
-    .attr("width", x.bandwidth())
-    .attr("height", y.bandwidth())
-    .attr("fill", d => color(Math.log10(d.value + 1)))
-    .on("mousemove", (ev, d) => {
-      const html =
-        `<strong>${d.row}</strong> — ${d.col}<br/>` +
-        `${d3.format(",")(d.value)} deaths`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+  const input = d3.select("#focus-input");
 
-  const xticks = years.filter(
-    yv => yv % 4 === 0 || yv === years[0] || yv === years.at(-1)
-  );
+  // Typed names match the dataset entity or its name in the current language.
+  const addFromInput = () => {
+    const name = input.property("value").trim().toLowerCase();
+    const match = entities.find(e =>
+      e.toLowerCase() === name || entityName(e).toLowerCase() === name);
+    if (match) {
+      addFocusCountry(match);
+      input.property("value", "");
+    }
+  };
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x).tickValues(xticks).tickSize(0));
+  // "change" fires when a suggestion is picked; Enter handles typed names.
+  input.on("change", addFromInput);
+  input.on("keydown", ev => {
+    if (ev.key === "Enter") {
+      ev.preventDefault();
+      addFromInput();
+    }
+  });
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y).tickSize(0));
+  renderFocusChips();
+}
 
-  // Gradient legend + label.
-  const legendW = 220;
-  const legendH = 10;
+/**
+ * Fill the suggestions of the picker with the country names in the
+ * current language.
+ */
+function updateFocusOptions(entities) {
+  d3.select("#focus-options")
+    .selectAll("option")
+    .data(entities)
+    .join("option")
+    .attr("value", entityName);
+}
 
-  // Posiziona la leggenda sotto l'asse X, in basso a destra
-  const legendX = width - legendW - 24;
-  const legendY = height - margin.bottom + 18; // sotto l'asse
-
-  const defs = svg.append("defs");
-  const grad = defs.append("linearGradient").attr("id", "hm-grad");
-
-  grad.append("stop")
-    .attr("offset", "0%")
-    .attr("stop-color", color(0));
-
-  grad.append("stop")
-    .attr("offset", "100%")
-    .attr("stop-color", color(max));
-
-  // Barra gradiente
-  svg.append("rect")
-    .attr("x", legendX)
-    .attr("y", legendY)
-    .attr("width", legendW)
-    .attr("height", legendH)
-    .attr("fill", "url(#hm-grad)");
-
-  // Scala log per i tick della leggenda
-  const s = d3.scaleLog()
-    .domain([1, max])
-    .range([legendX, legendX + legendW]);
-
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${legendY + legendH})`)
-    .call(d3.axisBottom(s).ticks(3, "~s"));
-
-  // Etichetta della leggenda
-  svg.append("text")
-    .attr("x", legendX + legendW / 2)
-    .attr("y", legendY + legendH + 24)  // sotto la barra
-    .attr("text-anchor", "middle")
-    .attr("fill", "#555")
-    .attr("font-size", 12)
-    .text("Number of deaths (log scale)");
-}
-  
-
-/* 4) 100% stacked barchart — World shares by type over time */
-function drawStacked100(sel, worldRows) {
-  if (!worldRows.length) {
-    alertIn(sel, "No World aggregate rows found.");
-    return;
-  }
-
-  const absByYear = new Map(
-    worldRows.map(r => [r.year, r])
-  );
-
-  const years = worldRows
-    .map(d => d.year)
-    .sort((a, b) => a - b);
-
-  const propRows = years.map(y => {
-    const d   = absByYear.get(y);
-    const sum = d3.sum(TYPE_ORDER, k => d[k] || 0) || 1;
-    const r   = { year: y };
+/**
+ * Name of a country entity of the dataset in the current language.
+ */
+function entityName(entity) {
+  return countryName(store.codes.get(entity), entity);
+}
 
-    TYPE_ORDER.forEach(k => {
-      r[k] = (d[k] || 0) / sum;
+/**
+ * Render one removable chip per focus country and the remaining capacity.
+ */
+function renderFocusChips() {
+  const full = state.focus.length >= MAX_FOCUS_COUNTRIES;
+
+  const chips = d3.select("#focus-chips")
+    .selectAll("span.chip")
+    .data(state.focus, d => d)
+    .join(enter => {
+      const chip = enter.append("span").attr("class", "chip");
+      chip.append("span");
+      chip.append("button")
+        .attr("type", "button")
+        .text("✕")
+        .on("click", (ev, d) => removeFocusCountry(d));
+      return chip;
     });
 
-    return r;
-  });
-
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 8, right: 24, bottom: 58, left: 52 };
-
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+  // Names follow the language, so they are set on every render.
+  chips.select("span").text(entityName);
+  chips.select("button").attr("aria-label", d => t("focus.remove", { name: entityName(d) }));
 
-  const x = d3.scaleBand()
-    .domain(years)
-    .range([margin.left, width - margin.right])
-    .padding(0.08);
+  d3.select("#focus-input")
+    .property("disabled", full)
+    .attr("placeholder", full
+      ? t("focus.full", { n: MAX_FOCUS_COUNTRIES })
+      : t("focus.placeholder"));
+}
 
-  const y = d3.scaleLinear()
-    .domain([0, 1])
-    .range([height - margin.bottom, margin.top]);
+/**
+ * Replace the focus countries, persist them and redraw the grouped barchart.
+ */
+function setFocusCountries(list) {
+  state.focus = list.slice(0, MAX_FOCUS_COUNTRIES);
+  saveFocusCountries();
+  renderFocusChips();
 
-  const stack = d3.stack()
-    .keys(TYPE_ORDER)
-    .order(d3.stackOrderNone)
-    .offset(d3.stackOffsetExpand);
+  const view = snapshotView();
+  renderChart("#grouped", createGroupedBar, view.countries, { year: view.key, focus: state.focus });
+}
 
-  const series = stack(propRows);
+/**
+ * Add one country to the comparison (ignored when already present or full).
+ */
+function addFocusCountry(name) {
+  if (state.focus.includes(name) || state.focus.length >= MAX_FOCUS_COUNTRIES) return;
+  setFocusCountries([...state.focus, name]);
+}
 
-  // Light horizontal grid.
-  svg.append("g")
-    .attr("class", "grid")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(
-      d3.axisLeft(y)
-        .tickValues([0, 0.25, 0.5, 0.75, 1])
-        .tickSize(-(width - margin.left - margin.right))
-        .tickFormat("")
-    )
-    .selectAll("line")
-    .attr("opacity", 0.35);
+/**
+ * Remove one country from the comparison.
+ */
+function removeFocusCountry(name) {
+  setFocusCountries(state.focus.filter(c => c !== name));
+}
 
-  // Bars.
-  svg.append("g")
-    .selectAll("g")
-    .data(series)
-    .join("g")
-    .attr("fill", d => TYPE_COLORS(d.key))
-    .selectAll("rect")
-    .data(d => d)
-    .join("rect")
-    .attr("x", d => x(d.data.year))
-    .attr("y", d => y(d[1]))
-    .attr("height", d => y(d[0]) - y(d[1]))
-    .attr("width", x.bandwidth())
-    .on("mousemove", (ev, d) => {
-      const key  = d3.select(ev.currentTarget.parentNode).datum().key;
-      const year = d.data.year;
-      const pct  = (d[1] - d[0]) * 100;
-      const abs  = absByYear.get(year)?.[key] ?? 0;
-
-      const html =
-        `<strong>${key}</strong> — ${year}<br/>` +
-        `${pct.toFixed(0)}%  (${d3.format(",")(abs)} deaths)`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+/* ---------- Map playback ---------- */
 
-  // Axes.
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(
-      d3.axisBottom(x)
-        .tickValues(years.filter(yv => yv % 2 === 0))
-    );
+/** Timer of the running playback (null when paused). */
+let playbackTimer = null;
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(
-      d3.axisLeft(y)
-        .tickValues([0, 0.25, 0.5, 0.75, 1])
-        .tickFormat(d3.format(".0%"))
-    );
+/**
+ * Wire the play/pause/step buttons of the Spatial patterns section.
+ * Playback drives the global year, so every snapshot chart follows along.
+ */
+function initPlayback() {
+  d3.select("#play-toggle").on("click", togglePlayback);
+  d3.select("#play-prev").on("click", () => {
+    stopPlayback();
+    stepYear(-1);
+  });
+  d3.select("#play-next").on("click", () => {
+    stopPlayback();
+    stepYear(1);
+  });
+}
 
-  // Type legend (shared helper).
-  addTypeLegend(sel);
+/**
+ * Move the snapshot year by `delta` positions in the list of available years.
+ * Returns false when the first or last year has been reached.
+ */
+function stepYear(delta) {
+  const i = store.years.indexOf(state.year) + delta;
+  if (i < 0 || i >= store.years.length) return false;
+  setYear(store.years[i]);
+  return true;
 }
 
-/* 5) Waffle chart — World composition in a single year */
-function drawWaffle(sel, worldRows, year) {
-  const d = worldRows.find(r => r.year === year);
-  if (!d) {
-    alertIn(sel, `No World data for year ${year}.`);
+/**
+ * Start or pause the playback. Starting on the last year rewinds to the first.
+ */
+function togglePlayback() {
+  if (playbackTimer) {
+    stopPlayback();
     return;
   }
 
-  const totals = TYPE_ORDER.map(k => d[k] || 0);
-  const sum    = d3.sum(totals) || 1;
-
-  const shares = TYPE_ORDER.map(k => ({
-    key:   k,
-    value: d[k] || 0,
-    pct:   (d[k] || 0) / sum
-  }));
-
-  const cols       = 10;
-  const rows       = 10;
-  const totalCells = cols * rows;
-
-  const cellsByType = shares.map(s => ({
-    key:   s.key,
-    cells: Math.round(s.pct * totalCells),
-    value: s.value,
-    pct:   s.pct
-  }));
-
-  const used = d3.sum(cellsByType, c => c.cells);
-
-  if (used !== totalCells) {
-    const diff = totalCells - used;
-    cellsByType[0].cells += diff;
+  if (state.year === store.years.at(-1)) {
+    setYear(store.years[0]);
   }
 
-  const grid = [];
-  cellsByType.forEach(s => {
-    for (let i = 0; i < s.cells; i += 1) {
-      grid.push({ key: s.key, value: s.value, pct: s.pct });
-    }
-  });
-
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 18, right: 18, bottom: 10, left: 18 };
+  playbackTimer = setInterval(() => {
+    if (!stepYear(1)) stopPlayback();
+  }, PLAYBACK_INTERVAL_MS);
 
-  const cellSize = 20;
-  const gap      = 4;
+  updatePlayToggle();
+}
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+/**
+ * Stop the playback (no-op when it is not running).
+ */
+function stopPlayback() {
+  clearInterval(playbackTimer);
+  playbackTimer = null;
 
-  const blockW = cols * cellSize + (cols - 1) * gap;
-  const blockH = rows * cellSize + (rows - 1) * gap;
+  updatePlayToggle();
+}
 
-  const startX = (width  - blockW) / 2;
-  const startY = (height - blockH) / 2 - 6;
+/**
+ * Label the play button after the playback state.
+ */
+function updatePlayToggle() {
+  d3.select("#play-toggle")
+    .text(playbackTimer ? t("playback.pause") : t("playback.play"))
+    .attr("aria-pressed", playbackTimer ? "true" : "false");
+}
 
-  svg.append("g")
-    .selectAll("rect")
-    .data(grid)
-    .join("rect")
-    .attr("x", (_, i) => startX + (i % cols) * (cellSize + gap))
-    .attr("y", (_, i) => startY + Math.floor(i / cols) * (cellSize + gap))
-    .attr("width", cellSize)
-    .attr("height", cellSize)
-    .attr("rx", 4)
-    .attr("ry", 4)
-    .attr("fill", d => TYPE_COLORS(d.key))
-    .on("mousemove", (ev, d) => {
-      const html =
-        `<strong>${d.key}</strong><br/>` +
-        `${d3.format(",")(d.value)} deaths<br/>` +
-        `${Math.round(d.pct * 100)}% of ${year}`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+/* ---------- Map zoom ---------- */
 
-  d3.select("#waffle-year").text(year);
+/**
+ * Wire the region presets and the reset button of the Spatial patterns
+ * section. Zooming or panning one map moves the others along.
+ */
+function initMapZoom() {
+  d3.selectAll(".map-zoom [data-preset]").on("click", function () {
+    zoomMaps(MAP_PRESETS[this.dataset.preset]);
+  });
+  d3.select("#zoom-reset").on("click", () => zoomMaps(null));
 
-  // Type legend (shared helper).
-  addTypeLegend(sel);
+  updateZoomButtons();
 }
 
-/* 6) Histogram — total conflict-related deaths per country (snapshot year) */
-function drawHistogram(sel, data, year) {
-  const rows = data.filter(d => d.year === year && d.total > 0);
-  if (!rows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
-    return;
-  }
-
-  const values = rows.map(d => d.total);
-  const q99    = d3.quantile(values.slice().sort(d3.ascending), 0.99) || d3.max(values);
-  const domainMax = Math.max(1, q99);
+/**
+ * Move every map to `view` (null: the whole world) with a transition.
+ */
+function zoomMaps(view) {
+  state.mapZoom = view;
+  MAP_SELECTORS.forEach(sel => charts.get(sel)?.zoomTo(view, MAP_TRANSITION_MS));
 
-  const bin = d3.bin()
-    .domain([0, domainMax])
-    .thresholds(20);
+  updateZoomButtons();
+  writeHash();
+}
 
-  const clamped = values.map(v => Math.min(v, domainMax));
-  const bins = bin(clamped);
+/** Hash update after a zoom gesture, once the reader pauses. */
+const writeHashSoon = debounce(writeHash, 250);
 
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 10, right: 22, bottom: 72, left: 56 };
+/**
+ * The reader zoomed or panned the map `source`: the other maps follow.
+ */
+function syncMapZoom(source, view) {
+  state.mapZoom = view;
+  MAP_SELECTORS
+    .filter(sel => sel !== source)
+    .forEach(sel => charts.get(sel)?.zoomTo(view));
+
+  updateZoomButtons();
+  writeHashSoon();
+}
 
-  const x = d3.scaleLinear()
-    .domain([0, domainMax])
-    .range([margin.left, width - margin.right]);
+/**
+ * Press the button of the current preset; reset is off for the whole world.
+ */
+function updateZoomButtons() {
+  d3.selectAll(".map-zoom [data-preset]")
+    .attr("aria-pressed", function () {
+      return MAP_PRESETS[this.dataset.preset] === state.mapZoom ? "true" : "false";
+    });
+  d3.select("#zoom-reset").property("disabled", !state.mapZoom);
+}
 
-  const y = d3.scaleLinear()
-    .domain([0, d3.max(bins, d => d.length) || 1])
-    .nice()
-    .range([height - margin.bottom, margin.top]);
+/**
+ * Hash value of a map view: the preset name, or "longitude,latitude,factor".
+ */
+function mapZoomParam(view) {
+  const preset = Object.keys(MAP_PRESETS).find(k => MAP_PRESETS[k] === view);
+  if (preset) return preset;
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+  const [lon, lat] = view.center;
+  return [lon.toFixed(2), lat.toFixed(2), view.k.toFixed(2)].join(",");
+}
 
-  // Horizontal grid.
-  svg.append("g")
-    .attr("class", "grid")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(
-      d3.axisLeft(y)
-        .ticks(5)
-        .tickSize(-(width - margin.left - margin.right))
-        .tickFormat("")
-    )
-    .selectAll("line")
-    .attr("opacity", 0.35);
+/**
+ * Map view of a hash value (see mapZoomParam); null when it is invalid.
+ */
+function parseMapZoom(value) {
+  if (!value) return null;
+  if (Object.hasOwn(MAP_PRESETS, value)) return MAP_PRESETS[value];
 
-  // Bars.
-  svg.append("g")
-    .selectAll("rect")
-    .data(bins)
-    .join("rect")
-    .attr("x", d => x(d.x0) + 1)
-    .attr("y", d => y(d.length))
-    .attr("width", d => Math.max(0, x(d.x1) - x(d.x0) - 2))
-    .attr("height", d => y(0) - y(d.length))
-    .attr("fill", "#8aa6ff")
-    .on("mousemove", (ev, d) => {
-      const fmt = d3.format(",");
-      const lo  = fmt(Math.round(d.x0));
-      const hi  = fmt(Math.round(d.x1));
-      const html =
-        `<strong>Bin:</strong> ${lo} – ${hi}<br/>` +
-        `<strong>Countries:</strong> ${d.length}`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+  const [lon, lat, k] = value.split(",").map(Number);
+  const valid = Math.abs(lon) <= 180 && Math.abs(lat) <= 90 && k > 1 && k <= MAP_MAX_ZOOM;
+  return valid ? { center: [lon, lat], k } : null;
+}
 
-  // Axes.
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x).ticks(6, "~s"));
+/* ---------- Join diagnostics (CSV codes vs map features) ---------- */
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y).ticks(5));
-
-  // X-axis label.
-  svg.append("text")
-    .attr("class", "axis-label")
-    .attr("x", (margin.left + (width - margin.right)) / 2)
-    .attr("y", height - margin.bottom + 48)
-    .text("Total conflict-related deaths per country");
-
-  // Inline caption note.
-  d3.select(sel)
-    .append("div")
-    .attr("class", "caption")
-    .text(`Histogram for ${year}. Values above the 99th percentile are clipped to improve readability.`);
-}
-
-/* 7) Violin plot — country-level distribution by conflict type (snapshot year) */
-function drawViolin(sel, data, year) {
-  const rows = data.filter(d => d.year === year && isISO3(d.code) && d.total > 0);
-  if (!rows.length) {
-    alertIn(sel, `No data available for ${year}.`);
+/**
+ * Replace the content of `host` with a small table (`columns` holds
+ * `{ label, value(d) }`), or with the `empty` note when there is no data.
+ * Tables longer than `limit` rows end with a "… more" line.
+ */
+function renderTable(host, columns, data, empty, limit = 50) {
+  host.html("");
+  if (!data.length) {
+    host.append("p").attr("class", "note").text(empty);
     return;
   }
-
-  const tidy = TYPE_ORDER.map(k => ({
-    key: k,
-    values: rows.map(r => r[k]).filter(v => v > 0)
-  }));
-
-  if (tidy.every(d => d.values.length === 0)) {
-    alertIn(sel, `No positive values by type in ${year}.`);
-    return;
+  const table = host.append("table").attr("class", "report-table");
+  table.append("thead").append("tr")
+    .selectAll("th").data(columns).join("th").text(c => c.label);
+  table.append("tbody").selectAll("tr").data(data.slice(0, limit)).join("tr")
+    .selectAll("td").data(d => columns.map(c => c.value(d))).join("td").text(v => v);
+  if (data.length > limit) {
+    host.append("p").attr("class", "note").text(t("report.more", { n: data.length - limit }));
   }
+}
 
-  const allVals = tidy.flatMap(d => d.values).sort(d3.ascending);
-  const q99     = d3.quantile(allVals, 0.99) || d3.max(allVals) || 1;
-
-  const width  = 900;
-  const height = 400;
-  const margin = { top: 10, right: 30, bottom: 90, left: 110 };
-
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
-
-  const x = d3.scaleLinear()
-    .domain([0, q99])
-    .nice()
-    .range([margin.left, width - margin.right]);
-
-  const y = d3.scaleBand()
-    .domain(TYPE_ORDER)
-    .range([margin.top, height - margin.bottom])
-    .padding(0.25);
-
-  // Horizontal grid.
-  svg.append("g")
-    .attr("class", "grid")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(
-      d3.axisLeft(y)
-        .tickSize(-(width - margin.left - margin.right))
-        .tickFormat("")
+/**
+ * Compare the CSV entities with the GeoJSON features they should join to.
+ * Lists entities with deaths that no feature matches (and that are not
+ * placed through ENTITY_GEO_MAP) and features without any data row.
+ */
+function buildJoinReport(rows, features) {
+  const featureCodes = new Set(features.map(featureISO3).filter(Boolean));
+  const placedAdm0   = new Set(Object.values(ENTITY_GEO_MAP)
+    .filter(spec => spec.kind === "geometry")
+    .flatMap(spec => spec.adm0));
+  const rowCodes = new Set(rows.map(r => r.code).filter(isISO3));
+
+  const unmatchedRows = d3.rollups(
+      rows.filter(r =>
+        r.entity !== "World" &&
+        !REGIONS.includes(r.entity) &&
+        !ENTITY_GEO_MAP[entityKey(r)] &&
+        !featureCodes.has(r.code)),
+      v => d3.sum(v, r => rowTotal(r, state.types)),
+      r => entityKey(r)
     )
-    .selectAll("line")
-    .attr("opacity", 0.25);
+    .filter(([, total]) => total > 0)
+    .map(([key, total]) => {
+      const row = rows.find(r => entityKey(r) === key);
+      return { entity: row.entity, code: row.code || "", total };
+    })
+    .sort((a, b) => d3.descending(a.total, b.total));
 
-  const bandwidth = arr => {
-    const sd = d3.deviation(arr) || 1;
-    const n  = Math.max(1, arr.length);
-    return 1.06 * sd * Math.pow(n, -1 / 5);
-  };
+  const unmatchedFeatures = features
+    .filter(f => {
+      const adm0 = (f.properties?.adm0_a3 || "").toUpperCase();
+      return !rowCodes.has(featureISO3(f)) && !placedAdm0.has(adm0);
+    })
+    .map(f => ({
+      name: f.properties?.name || f.properties?.ADMIN || t("map.unknown"),
+      iso_a3: f.properties?.iso_a3 ?? "",
+      adm0_a3: f.properties?.adm0_a3 ?? ""
+    }))
+    .sort((a, b) => d3.ascending(a.name, b.name));
+
+  const overrides = features
+    .filter(f => featureOverride((f.properties?.adm0_a3 || "").toUpperCase()))
+    .map(f => ({
+      name: f.properties?.name || t("map.unknown"),
+      iso_a3: f.properties?.iso_a3 ?? "",
+      code: featureISO3(f)
+    }));
 
-  const epanechnikov = k => v => {
-    const u = v / k;
-    return Math.abs(u) <= 1 ? 0.75 * (1 - u * u) / k : 0;
+  return {
+    matched: features.filter(f => rowCodes.has(featureISO3(f))).length,
+    features: features.length,
+    unmatchedRows,
+    unmatchedFeatures,
+    overrides
   };
+}
 
-  const thresholds = x.ticks(100);
-
-  tidy.forEach(d => {
-    if (!d.values.length) return;
-
-    const vals = d.values.map(v => Math.min(v, q99));
-
-    const h       = Math.max(0.5, bandwidth(vals));
-    const kernel  = epanechnikov(h);
-    const density = thresholds.map(t => [t, d3.mean(vals, v => kernel(t - v)) || 0]);
-
-    const maxD   = d3.max(density, e => e[1]) || 1;
-    const scaleW = d3.scaleLinear()
-      .domain([0, maxD])
-      .range([0, y.bandwidth() / 2]);
-
-    const cy   = y(d.key) + y.bandwidth() / 2;
-    const area = d3.area()
-      .x(e => x(e[0]))
-      .y0(e => cy + scaleW(e[1]))
-      .y1(e => cy - scaleW(e[1]))
-      .curve(d3.curveCatmullRom);
-
-    svg.append("path")
-      .datum(density)
-      .attr("fill", TYPE_COLORS(d.key))
-      .attr("opacity", 0.65)
-      .attr("stroke", "#333")
-      .attr("stroke-width", 0.8)
-      .attr("d", area)
-      .on("mousemove", ev => {
-        const sValsRaw = d.values
-          .slice()
-          .filter(v => v > 0)
-          .sort(d3.ascending);
-
-        const q1  = d3.quantileSorted(sValsRaw, 0.25) || 0;
-        const med = d3.quantileSorted(sValsRaw, 0.50) || 0;
-        const q3  = d3.quantileSorted(sValsRaw, 0.75) || 0;
-        const fmt = d3.format(",");
-
-        const html =
-          `<strong>${d.key}</strong><br/>` +
-          `n = ${sValsRaw.length}<br/>` +
-          `Q1–Median–Q3: ${fmt(Math.round(q1))} – ` +
-          `${fmt(Math.round(med))} – ${fmt(Math.round(q3))}`;
-        showTooltip(ev, html);
-      })
-      .on("mouseleave", hideTooltip);
-
-    const sVals = vals.slice().sort(d3.ascending);
-    const q1  = d3.quantileSorted(sVals, 0.25) || 0;
-    const med = d3.quantileSorted(sVals, 0.50) || 0;
-    const q3  = d3.quantileSorted(sVals, 0.75) || 0;
-
-    svg.append("line")
-      .attr("x1", x(q1))
-      .attr("x2", x(q3))
-      .attr("y1", cy)
-      .attr("y2", cy)
-      .attr("stroke", "#111")
-      .attr("stroke-width", 2);
-
-    svg.append("circle")
-      .attr("cx", x(med))
-      .attr("cy", cy)
-      .attr("r", 3.2)
-      .attr("fill", "#fff")
-      .attr("stroke", "#111")
-      .attr("stroke-width", 1);
-  });
-
-  // Axes.
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x).ticks(6, "~s"));
-
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y));
-
-  svg.append("text")
-    .attr("class", "axis-label")
-    .attr("x", (width + margin.left) / 2)
-    .attr("y", height - margin.bottom + 58)
-    .attr("text-anchor", "middle")
-    .text("Deaths per country");
+/**
+ * Log the join report to the console (once per dataset; the panel below
+ * the maps is re-rendered on language changes).
+ */
+function logJoinReport(report) {
+  console.groupCollapsed(
+    `Join report: ${report.matched}/${report.features} map features matched, ` +
+    `${report.unmatchedRows.length} CSV entities with deaths unmatched`
+  );
+  console.table(report.unmatchedRows);
+  console.table(report.unmatchedFeatures);
+  if (report.overrides.length) console.table(report.overrides);
+  console.groupEnd();
 }
 
-/* 8) Boxplot — country-level distribution by conflict type (snapshot year) */
-function drawBoxplot(sel, data, year) {
-  const rows = data.filter(d => d.year === year && isISO3(d.code) && d.total > 0);
-  if (!rows.length) {
-    alertIn(sel, `No data available for ${year}.`);
-    return;
-  }
+/** Fill the collapsible join report panel below the maps. */
+function renderJoinReport(report) {
+  const root = d3.select("#join-report");
+  if (root.empty()) return;
 
-  const tidy = TYPE_ORDER.map(k => ({
-    key: k,
-    values: rows.map(r => r[k]).filter(v => v > 0)
+  root.select(".join-summary").text(t("join.summary", {
+    matched: report.matched,
+    features: report.features,
+    rows: report.unmatchedRows.length,
+    unmatched: report.unmatchedFeatures.length
   }));
 
-  if (tidy.every(d => d.values.length === 0)) {
-    alertIn(sel, `No positive values by type in ${year}.`);
-    return;
-  }
-
-  const allVals = tidy.flatMap(d => d.values).sort(d3.ascending);
-  const q99     = d3.quantile(allVals, 0.99) || d3.max(allVals) || 1;
-
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 10, right: 30, bottom: 70, left: 110 };
+  const fmt = d3.format(",");
+  const table = (sel, columns, data, empty) => renderTable(root.select(sel), columns, data, empty);
+
+  table(".join-rows", [
+    { label: t("report.entity"),      value: d => d.entity },
+    { label: t("report.code"),        value: d => d.code || "—" },
+    { label: t("report.totalDeaths"), value: d => fmt(d.total) }
+  ], report.unmatchedRows, t("join.rowsMatched"));
+
+  table(".join-features", [
+    { label: t("report.feature"), value: d => d.name },
+    { label: "iso_a3",            value: d => d.iso_a3 },
+    { label: "adm0_a3",           value: d => d.adm0_a3 }
+  ], report.unmatchedFeatures, t("join.featuresMatched"));
+
+  table(".join-overrides", [
+    { label: t("report.feature"),  value: d => d.name },
+    { label: "iso_a3",             value: d => d.iso_a3 },
+    { label: t("report.joinedAs"), value: d => d.code }
+  ], report.overrides, t("join.noOverrides"));
+}
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+/* ---------- Data validation report ---------- */
 
-  const x = d3.scaleLinear()
-    .domain([0, q99])
-    .nice()
-    .range([margin.left, width - margin.right]);
+/** Largest |country sum − World| (deaths) still counted as consistent. */
+const WORLD_SUM_TOLERANCE = 0.5;
 
-  const y = d3.scaleBand()
-    .domain(TYPE_ORDER)
-    .range([margin.top, height - margin.bottom])
-    .padding(0.35);
+/**
+ * Compact list of years, e.g. [1990, 1991, 1992, 1995] → "1990–1992, 1995".
+ */
+function yearRanges(years) {
+  const out = [];
+  years.forEach(y => {
+    const last = out.at(-1);
+    if (last && y === last[1] + 1) last[1] = y;
+    else out.push([y, y]);
+  });
+  return out.map(([a, b]) => (a === b ? `${a}` : `${a}–${b}`)).join(", ");
+}
 
-  // Horizontal grid.
-  svg.append("g")
-    .attr("class", "grid")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(
-      d3.axisLeft(y)
-        .tickSize(-(width - margin.left - margin.right))
-        .tickFormat("")
-    )
-    .selectAll("line")
-    .attr("opacity", 0.25);
-
-  const stats = tidy.map(d => {
-    const s = d.values.slice().sort(d3.ascending);
-    if (!s.length) {
-      return {
-        key: d.key, n: 0,
-        q1: 0, med: 0, q3: 0,
-        low: 0, high: 0,
-        outliers: []
-      };
-    }
+/**
+ * Consistency checks on the loaded rows: country sums against the World
+ * row per year and type, duplicate entity-year rows, negative or
+ * non-integer values, years missing for some entities, conflict types
+ * without any value (e.g. a column detectColumns did not find) and type
+ * labels the adapter skipped (`unknownTypes`, label → row count).
+ */
+function buildValidationReport(rows, worldRows, worldDerived, unknownTypes = new Map()) {
+  const countryRows = rows.filter(r => r.entity !== "World" && !REGIONS.includes(r.entity));
+  const years = Array.from(new Set(rows.map(r => r.year))).filter(Number.isFinite).sort(d3.ascending);
+
+  // Country rows vs World, per year and type (full type list, not the filter).
+  const worldByYear = new Map(worldRows.map(r => [r.year, r]));
+  const sums = d3.rollup(countryRows, v => {
+    const out = {};
+    TYPE_ORDER.forEach(k => { out[k] = d3.sum(v, d => d[k]); });
+    return out;
+  }, r => r.year);
+
+  const series = TYPE_ORDER.map(type => ({
+    type,
+    values: years
+      .filter(y => worldByYear.has(y))
+      .map(year => {
+        const countries = sums.get(year)?.[type] ?? 0;
+        const world = worldByYear.get(year)[type];
+        return { year, type, countries, world, diff: countries - world };
+      })
+  }));
+  const discrepancies = series
+    .flatMap(s => s.values)
+    .filter(d => Math.abs(d.diff) > WORLD_SUM_TOLERANCE);
 
-    const q1  = d3.quantileSorted(s, 0.25) || 0;
-    const med = d3.quantileSorted(s, 0.50) || 0;
-    const q3  = d3.quantileSorted(s, 0.75) || 0;
-    const iqr = q3 - q1;
+  const duplicates = d3.flatRollup(rows, v => v.length, r => r.entity, r => r.year)
+    .filter(([, , n]) => n > 1)
+    .map(([entity, year, count]) => ({ entity, year, count }));
 
-    const fenceLow  = q1 - 1.5 * iqr;
-    const fenceHigh = q3 + 1.5 * iqr;
+  const invalid = rows.flatMap(r => TYPE_ORDER
+    .filter(k => !r.missing?.includes(k) && (r[k] < 0 || !Number.isInteger(r[k])))
+    .map(type => ({ entity: r.entity, year: r.year, type, value: r[type] })));
 
-    const inside   = s.filter(v => v >= fenceLow && v <= fenceHigh);
-    const low      = inside.length ? d3.min(inside) : q1;
-    const high     = inside.length ? d3.max(inside) : q3;
-    const outliers = s.filter(v => v < fenceLow || v > fenceHigh);
+  const gaps = d3.rollups(rows, v => new Set(v.map(r => r.year)), r => r.entity)
+    .map(([entity, have]) => ({ entity, years: years.filter(y => !have.has(y)) }))
+    .filter(d => d.years.length)
+    .sort((a, b) => d3.descending(a.years.length, b.years.length));
 
-    return { key: d.key, n: s.length, q1, med, q3, low, high, outliers };
-  });
+  const absentTypes = TYPE_ORDER.filter(k => rows.every(r => r.missing?.includes(k)));
 
-  const fmt = d3.format(",");
+  const skippedTypes = Array.from(unknownTypes, ([label, count]) => ({ label, count }))
+    .sort((a, b) => d3.descending(a.count, b.count));
 
-  const showSummary = (ev, d) => {
-    const html =
-      `<strong>${d.key}</strong><br/>` +
-      `n = ${d.n}<br/>` +
-      `Q1–Median–Q3: ${fmt(Math.round(d.q1))} – ` +
-      `${fmt(Math.round(d.med))} – ${fmt(Math.round(d.q3))}<br/>` +
-      `Whiskers: ${fmt(Math.round(d.low))} – ${fmt(Math.round(d.high))}`;
-    showTooltip(ev, html);
+  return {
+    years, series, discrepancies, duplicates, invalid, gaps, absentTypes, skippedTypes, worldDerived
   };
+}
 
-  const g = svg.append("g");
-  const boxH = Math.min(28, y.bandwidth());
-
-  // Transparent hit band for robust hover detection.
-  g.selectAll("rect.hit")
-    .data(stats)
-    .join("rect")
-    .attr("class", "hit")
-    .attr("x", x(0))
-    .attr("y", d => y(d.key))
-    .attr("width", (width - margin.right) - x(0))
-    .attr("height", y.bandwidth())
-    .attr("fill", "transparent")
-    .on("mousemove", showSummary)
-    .on("mouseleave", hideTooltip);
-
-  // Whiskers.
-  g.selectAll("line.whisker")
-    .data(stats)
-    .join("line")
-    .attr("class", "whisker")
-    .attr("x1", d => x(Math.min(d.low, q99)))
-    .attr("x2", d => x(Math.min(d.high, q99)))
-    .attr("y1", d => y(d.key) + y.bandwidth() / 2)
-    .attr("y2", d => y(d.key) + y.bandwidth() / 2)
-    .attr("stroke", "#7c818b");
-
-  // Whisker caps.
-  g.selectAll("line.cap-low")
-    .data(stats)
-    .join("line")
-    .attr("x1", d => x(Math.min(d.low, q99)))
-    .attr("x2", d => x(Math.min(d.low, q99)))
-    .attr("y1", d => y(d.key) + (y.bandwidth() - boxH) / 2)
-    .attr("y2", d => y(d.key) + (y.bandwidth() + boxH) / 2)
-    .attr("stroke", "#7c818b");
-
-  g.selectAll("line.cap-high")
-    .data(stats)
-    .join("line")
-    .attr("x1", d => x(Math.min(d.high, q99)))
-    .attr("x2", d => x(Math.min(d.high, q99)))
-    .attr("y1", d => y(d.key) + (y.bandwidth() - boxH) / 2)
-    .attr("y2", d => y(d.key) + (y.bandwidth() + boxH) / 2)
-    .attr("stroke", "#7c818b");
-
-  // Boxes (Q1–Q3).
-  g.selectAll("rect.box")
-    .data(stats)
-    .join("rect")
-    .attr("class", "box")
-    .attr("x", d => x(Math.min(d.q1, q99)))
-    .attr("y", d => y(d.key) + (y.bandwidth() - boxH) / 2)
-    .attr("width", d => Math.max(
-      0,
-      x(Math.min(d.q3, q99)) - x(Math.min(d.q1, q99))
-    ))
-    .attr("height", boxH)
-    .attr("fill", d => TYPE_COLORS(d.key))
-    .attr("fill-opacity", 0.28)
-    .attr("stroke", d => d3.color(TYPE_COLORS(d.key)).darker(0.8))
-    .attr("stroke-width", 1.2)
-    .on("mousemove", showSummary)
-    .on("mouseleave", hideTooltip);
-
-  // Median line.
-  g.selectAll("line.median")
-    .data(stats)
-    .join("line")
-    .attr("class", "median")
-    .attr("x1", d => x(Math.min(d.med, q99)))
-    .attr("x2", d => x(Math.min(d.med, q99)))
-    .attr("y1", d => y(d.key) + (y.bandwidth() - boxH) / 2)
-    .attr("y2", d => y(d.key) + (y.bandwidth() + boxH) / 2)
-    .attr("stroke", "#111")
-    .attr("stroke-width", 2);
-
-  // Outliers.
-  g.append("g")
-    .attr("class", "outliers")
-    .selectAll("g.outlier-group")
-    .data(stats)
-    .join("g")
-    .attr("class", "outlier-group")
-    .each(function (d) {
-      d3.select(this)
-        .selectAll("circle")
-        .data(d.outliers)
-        .join("circle")
-        .attr("cx", v => x(Math.min(v, q99)))
-        .attr("cy", y(d.key) + y.bandwidth() / 2 +
-          (Math.random() - 0.5) * (boxH * 0.6))
-        .attr("r", 2.2)
-        .attr("fill", "#555")
-        .attr("fill-opacity", 0.5)
-        .on("mousemove", (ev, v) => {
-          const html =
-            `<strong>${d.key}</strong><br/>Outlier: ${fmt(Math.round(v))}`;
-          showTooltip(ev, html);
-        })
-        .on("mouseleave", hideTooltip);
-    });
-
-  // Axes.
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(d3.axisBottom(x).ticks(6, "~s"));
-
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y));
+/**
+ * Fill the "Data checks" panel (tables plus a chart of the
+ * country-sum − World gap over time).
+ */
+function renderValidationReport(report) {
+  const issues = report.discrepancies.length + report.duplicates.length +
+    report.invalid.length + report.gaps.length + report.absentTypes.length +
+    report.skippedTypes.length;
 
-  svg.append("text")
-    .attr("class", "axis-label")
-    .attr("x", (width + margin.left) / 2)
-    .attr("y", height - margin.bottom + 58)
-    .attr("text-anchor", "middle")
-    .text("Deaths per country");
-}
+  const root = d3.select("#validation-report");
+  if (root.empty()) return;
 
-/* 9) Time series — World totals over time */
-function drawTimeSeries(sel, worldRows) {
-  if (!worldRows.length) {
-    alertIn(sel, "No World aggregate rows found.");
-    return;
+  const fmt = d3.format(",");
+  root.select(".validation-summary").text(issues
+    ? t("validation.issues", { n: issues, years: report.years.length })
+    : t("validation.noIssues", { years: report.years.length }));
+
+  root.select(".validation-world-note").text(report.worldDerived ? t("validation.worldDerived") : "");
+
+  renderTable(root.select(".validation-world"), [
+    { label: t("report.year"),       value: d => d.year },
+    { label: t("report.type"),       value: d => typeName(d.type) },
+    { label: t("report.countrySum"), value: d => fmt(d.countries) },
+    { label: t("report.world"),      value: d => fmt(d.world) },
+    { label: t("report.difference"), value: d => d3.format("+,")(d.diff) }
+  ], report.discrepancies, t("validation.consistent"));
+
+  renderTable(root.select(".validation-duplicates"), [
+    { label: t("report.entity"), value: d => d.entity },
+    { label: t("report.year"),   value: d => d.year },
+    { label: t("report.rows"),   value: d => d.count }
+  ], report.duplicates, t("validation.noDuplicates"));
+
+  renderTable(root.select(".validation-values"), [
+    { label: t("report.entity"), value: d => d.entity },
+    { label: t("report.year"),   value: d => d.year },
+    { label: t("report.type"),   value: d => typeName(d.type) },
+    { label: t("report.value"),  value: d => d.value }
+  ], report.invalid, t("validation.allValid"));
+
+  renderTable(root.select(".validation-gaps"), [
+    { label: t("report.entity"),       value: d => d.entity },
+    { label: t("report.missingYears"), value: d => yearRanges(d.years) }
+  ], report.gaps, t("validation.noGaps"));
+
+  root.select(".validation-types").text(report.absentTypes.length
+    ? t("validation.absentTypes", { types: report.absentTypes.map(typeName).join(", ") })
+    : t("validation.allTypes"));
+
+  const skipped = root.select(".validation-skipped").html("");
+  if (report.skippedTypes.length) {
+    skipped.append("p").attr("class", "note").text(t("validation.skippedTypes"));
+    renderTable(skipped.append("div"), [
+      { label: t("report.label"), value: d => d.label || "—" },
+      { label: t("report.rows"),  value: d => fmt(d.count) }
+    ], report.skippedTypes, "");
   }
 
-  const rows = worldRows
-    .slice()
-    .sort((a, b) => d3.ascending(a.year, b.year));
+  drawDiscrepancyChart(root.select(".validation-chart"), report.series);
+}
 
-  const years  = rows.map(d => d.year);
-  const totals = rows.map(d => d.total);
+/**
+ * Small line chart of country sum − World per year, one line per type.
+ */
+function drawDiscrepancyChart(host, series) {
+  host.html("");
+  const values = series.flatMap(s => s.values);
+  if (!values.length) return;
 
-  const width  = 900;
-  const height = 360;
-  const margin = { top: 18, right: 28, bottom: 58, left: 100 };
+  const width  = 600;
+  const height = 170;
+  const margin = { top: 10, right: 16, bottom: 26, left: 56 };
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
+  // Fixed drawing size, scaled down by CSS on narrow screens.
+  const svg = host.append("svg")
     .attr("width", width)
-    .attr("height", height);
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`);
 
   const x = d3.scaleLinear()
-    .domain(d3.extent(years))
+    .domain(d3.extent(values, d => d.year))
     .range([margin.left, width - margin.right]);
 
+  const maxAbs = d3.max(values, d => Math.abs(d.diff)) || 1;
   const y = d3.scaleLinear()
-    .domain([0, d3.max(totals) || 1])
+    .domain([-maxAbs, maxAbs])
     .nice()
     .range([height - margin.bottom, margin.top]);
 
-  // Horizontal grid.
   svg.append("g")
-    .attr("class", "grid")
+    .attr("class", "axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(8).tickFormat(d3.format("d")));
+
+  svg.append("g")
+    .attr("class", "axis")
     .attr("transform", `translate(${margin.left},0)`)
-    .call(
-      d3.axisLeft(y)
-        .ticks(5)
-        .tickSize(-(width - margin.left - margin.right))
-        .tickFormat("")
-    )
-    .selectAll("line")
-    .attr("opacity", 0.3);
+    .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format("+~s")));
+
+  svg.append("line")
+    .attr("x1", margin.left)
+    .attr("x2", width - margin.right)
+    .attr("y1", y(0))
+    .attr("y2", y(0))
+    .attr("stroke", theme().stroke);
 
   const line = d3.line()
     .x(d => x(d.year))
-    .y(d => y(d.total))
-    .curve(d3.curveMonotoneX);
+    .y(d => y(d.diff));
 
-  svg.append("path")
-    .datum(rows)
+  svg.append("g")
+    .selectAll("path")
+    .data(series)
+    .join("path")
     .attr("fill", "none")
-    .attr("stroke", "#4f7df3")
-    .attr("stroke-width", 2.4)
-    .attr("d", line);
-
-  const fmt = d3.format(",");
+    .attr("stroke", d => TYPE_COLORS(d.type))
+    .attr("stroke-width", 1.6)
+    .attr("d", d => line(d.values));
 
   svg.append("g")
     .selectAll("circle")
-    .data(rows)
+    .data(values.filter(d => Math.abs(d.diff) > WORLD_SUM_TOLERANCE))
     .join("circle")
     .attr("cx", d => x(d.year))
-    .attr("cy", d => y(d.total))
+    .attr("cy", d => y(d.diff))
     .attr("r", 3)
-    .attr("fill", "#4f7df3")
-    .attr("stroke", "#ffffff")
-    .attr("stroke-width", 1)
-    .on("mousemove", (ev, d) => {
-      const html =
-        `<strong>${d.year}</strong><br/>` +
-        `${fmt(Math.round(d.total))} deaths`;
-      showTooltip(ev, html);
-    })
+    .attr("fill", d => TYPE_COLORS(d.type))
+    .on("mousemove", (ev, d) => showTooltip(ev,
+      `<strong>${d.year} · ${typeName(d.type)}</strong><br/>` +
+      t("validation.tip", { countries: d3.format(",")(d.countries), world: d3.format(",")(d.world) })))
     .on("mouseleave", hideTooltip);
+}
 
-  // Axes.
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0,${height - margin.bottom})`)
-    .call(
-      d3.axisBottom(x)
-        .ticks(8)
-        .tickFormat(d3.format("d"))
-    );
+/* ---------- Chart export (SVG / PNG) ---------- */
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(${margin.left},0)`)
-    .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format("~s")));
+/** Computed style properties inlined on every element of an exported SVG. */
+const EXPORT_STYLE_PROPS = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity",
+  "stroke-dasharray", "stroke-linecap", "opacity", "visibility", "display",
+  "font-family", "font-size", "font-weight", "text-anchor", "dominant-baseline"
+];
 
-  svg.append("text")
-    .attr("class", "axis-label")
-    .attr("x", (margin.left + (width - margin.right)) / 2)
-    .attr("y", height - margin.bottom + 40)
-    .text("Year");
+/** Scale factors offered for PNG downloads. */
+const EXPORT_PNG_SCALES = [1, 2, 4];
 
-  const centerY = (margin.top + (height - margin.bottom)) / 2;
+/**
+ * Add a "Download" menu (SVG, PNG 1×/2×/4×, data) above every chart container.
+ * The menu sits outside the container, which charts clear on each render.
+ */
+function initExportMenus() {
+  ALL_VIZ_SELECTORS.forEach(sel => {
+    const chart = document.querySelector(sel);
+    if (!chart) return;
+
+    const menu = d3.select(chart.parentNode)
+      .insert("details", () => chart)
+      .attr("class", "export-menu");
+
+    menu.append("summary")
+      .attr("data-i18n", "export.download")
+      .text(t("export.download"));
+
+    const options = menu.append("div").attr("class", "export-options");
+    const option = (text, fn, key = null) => options.append("button")
+      .attr("type", "button")
+      .attr("data-i18n", key)
+      .text(text)
+      .on("click", () => {
+        menu.property("open", false);
+        fn();
+      });
 
-  svg.append("text")
-    .attr("class", "axis-label")
-    .attr("transform", `translate(${margin.left - 60}, ${centerY}) rotate(-90)`)
-    .attr("text-anchor", "middle")
-    .text("Conflict-related deaths (World total)");
+    option("SVG", () => exportSVG(sel));
+    EXPORT_PNG_SCALES.forEach(k => option(`PNG ${k}×`, () => exportPNG(sel, k)));
+    option(t("export.csv"), () => exportData(sel, "csv"), "export.csv");
+    option(t("export.json"), () => exportData(sel, "json"), "export.json");
+  });
 }
 
-/* 10) Choropleth map — conflict-related deaths per country (snapshot year) */
-function drawChoropleth(sel, worldFC, dataRows, year) {
-  // 0) Validate GeoJSON input
-  if (!worldFC || !Array.isArray(worldFC.features) || !worldFC.features.length) {
-    alertIn(sel, "World boundaries are missing or invalid.");
-    return;
-  }
-  const features = worldFC.features;
+/**
+ * File name (without extension) for a chart export: container id plus
+ * snapshot year or range.
+ */
+function exportFileName(sel) {
+  const when = state.range ? state.range.join("-") : state.year;
+  return `${sel.replace(/^#/, "")}-${when}`;
+}
 
-  // 1) Filter data for the selected year and build an ISO3 -> value lookup
-  const rows = dataRows.filter(d => d.year === year && isISO3(d.code));
-  if (!rows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
-    return;
-  }
+/**
+ * Standalone copy of a chart's SVG: computed styles inlined, a background
+ * in the theme's page color, the card title as <title> and the type legend
+ * pills redrawn as SVG below the chart. Returns null when the chart has no SVG.
+ */
+function chartSVG(sel) {
+  const host = document.querySelector(sel);
+  const src  = host?.querySelector("svg");
+  if (!src) return null;
+
+  const ns     = "http://www.w3.org/2000/svg";
+  const { ink, paper, stroke } = theme();
+  const width  = +src.getAttribute("width")  || src.getBoundingClientRect().width;
+  const height = +src.getAttribute("height") || src.getBoundingClientRect().height;
+
+  const clone = src.cloneNode(true);
+  const live  = [src, ...src.querySelectorAll("*")];
+  const copy  = [clone, ...clone.querySelectorAll("*")];
+  live.forEach((el, i) => {
+    const cs = window.getComputedStyle(el);
+    copy[i].setAttribute("style", EXPORT_STYLE_PROPS
+      .map(p => [p, cs.getPropertyValue(p)])
+      .filter(([, v]) => v)
+      .map(([p, v]) => `${p}:${v}`)
+      .join(";"));
+  });
 
-  const valueByISO = {};
-  rows.forEach(d => {
-    const iso = d.code;
-    const val = +d.total || 0;
-    if (!Number.isNaN(val) && val > 0) {
-      valueByISO[iso] = val;
-    }
+  // Keyboard navigation attributes only make sense in the page.
+  clone.querySelectorAll("[tabindex]").forEach(el => {
+    ["tabindex", "role", "aria-label", "aria-describedby"].forEach(a => el.removeAttribute(a));
   });
 
-  const positiveValues = Object.values(valueByISO).filter(v => v > 0);
-  if (!positiveValues.length) {
-    alertIn(sel, `No positive country totals for ${year}.`);
-    return;
+  // Conflict type legend (HTML pills under the chart) as SVG swatches.
+  const pills = Array.from(host.querySelectorAll(".legend .pill"));
+  const legendHeight = pills.length ? 28 : 0;
+  if (pills.length) {
+    const g = clone.appendChild(document.createElementNS(ns, "g"));
+    g.setAttribute("transform", `translate(8,${height + 10})`);
+    let x = 0;
+    pills.forEach(pill => {
+      const label = pill.textContent.trim();
+      const color = TYPE_COLORS(pill.dataset.type);
+      const off   = pill.classList.contains("is-off");
+
+      const rect = g.appendChild(document.createElementNS(ns, "rect"));
+      rect.setAttribute("x", x);
+      rect.setAttribute("width", 10);
+      rect.setAttribute("height", 10);
+      rect.setAttribute("style",
+        `fill:${off ? "none" : color};stroke:${color};stroke-width:1`);
+
+      const text = g.appendChild(document.createElementNS(ns, "text"));
+      text.setAttribute("x", x + 15);
+      text.setAttribute("y", 9);
+      text.setAttribute("style",
+        `font-family:sans-serif;font-size:12px;fill:${off ? stroke : ink}`);
+      text.textContent = label;
+
+      x += 15 + label.length * 7 + 16;
+    });
   }
 
-  const sortedVals = positiveValues.slice().sort(d3.ascending);
-  const p99 = d3.quantileSorted(sortedVals, 0.99) || d3.max(sortedVals);
-  const domainMax = Math.max(1, p99);
-
-  const width  = 900;
-  const height = 420;
-  const marginBottom = 56;
-
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
-
-  // Hide tooltip when leaving the map container
-  d3.select(sel).on("mouseleave", hideTooltip);
-
-  // 2) Projection and path generator
-  const projection = d3.geoNaturalEarth1()
-    .fitSize([width, height - marginBottom - 10], worldFC);
-
-  const path = d3.geoPath(projection);
+  const fullHeight = height + legendHeight;
+  clone.setAttribute("xmlns", ns);
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", fullHeight);
+  clone.setAttribute("viewBox", `0 0 ${width} ${fullHeight}`);
+
+  const bg = document.createElementNS(ns, "rect");
+  bg.setAttribute("width", width);
+  bg.setAttribute("height", fullHeight);
+  bg.setAttribute("style", `fill:${paper}`);
+  clone.insertBefore(bg, clone.firstChild);
+
+  const heading = host.closest(".card")?.querySelector("h3");
+  if (heading) {
+    const title = document.createElementNS(ns, "title");
+    title.textContent = heading.textContent.trim();
+    clone.insertBefore(title, clone.firstChild);
+  }
 
-  // 3) Colour scale (sequential)
-  const color = d3.scaleSequential(d3.interpolateOrRd)
-    .domain([0, domainMax]); 
-  
-  // Helper: robust ISO3 extraction from GeoJSON properties
-  const getISO3 = feat => {
-    const p = feat.properties || {};
-    return (p.iso_a3 || p.ISO_A3 || "").toUpperCase();
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width,
+    height: fullHeight
   };
+}
 
-  // 4) Draw countries
-  const fmt = d3.format(",");
-
-  svg.append("g")
-    .selectAll("path")
-    .data(features)
-    .join("path")
-      .attr("d", path)
-      .attr("stroke", "#9ca3af")
-      .attr("stroke-width", 0.4)
-      .attr("fill", d => {
-        const iso = getISO3(d);
-        const v   = valueByISO[iso];
-        return v && v > 0 ? color(Math.min(v, domainMax)) : "#e5e7eb"; // light grey for “no data”
-      })
-      .on("mousemove", (ev, d) => {
-        const iso = getISO3(d);
-        const v   = valueByISO[iso];
-        const name =
-          d.properties?.name ||
-          d.properties?.ADMIN ||
-          iso ||
-          "Unknown";
-
-        let html;
-        if (v && v > 0) {
-          html =
-            `<strong>${name}</strong><br/>` +
-            `${fmt(v)} deaths in ${year}`;
-        } else {
-          html =
-            `<strong>${name}</strong><br/>` +
-            `No UCDP country-level deaths recorded in ${year}.`;
-        }
-        showTooltip(ev, html);
-      })
-      .on("mouseleave", hideTooltip);
-
-  // 5) Continuous legend (bottom right)
-  const legendWidth  = 220;
-  const legendHeight = 10;
-  const legendX = width - legendWidth - 24;
-  const legendY = height - marginBottom - 26;
-  
-  const defs = svg.append("defs");
-  const gradient = defs.append("linearGradient")
-    .attr("id", "choropleth-gradient");
-
-  gradient.append("stop")
-    .attr("offset", "0%")
-    .attr("stop-color", color(0));
-
-  gradient.append("stop")
-    .attr("offset", "100%")
-    .attr("stop-color", color(domainMax));
-
-  // Gradient bar
-  svg.append("rect")
-    .attr("x", legendX)
-    .attr("y", legendY)
-    .attr("width", legendWidth)
-    .attr("height", legendHeight)
-    .attr("fill", "url(#choropleth-gradient)");
-
-  // Legend axis (linear scale)
-  const legendScale = d3.scaleLinear()
-    .domain([0, domainMax])
-    .range([legendX, legendX + legendWidth]);
-
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0, ${legendY + legendHeight})`)
-    .call(
-      d3.axisBottom(legendScale)
-        .ticks(4, "~s")
-    );
-
-  svg.append("text")
-    .attr("x", legendX + legendWidth / 2)
-    .attr("y", legendY - 8)
-    .attr("text-anchor", "middle")
-    .attr("font-size", 12)
-    .attr("fill", "#555")
-    .text("Conflict-related deaths (country total)");
+/**
+ * Save a Blob under a file name through a temporary link.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-/* 11) Proportional symbol map — country totals as circles (snapshot year)*/
-function drawProportionalMap(sel, worldFC, dataRows, year) {
-  // 0) Validate GeoJSON input
-  if (!worldFC || !Array.isArray(worldFC.features) || !worldFC.features.length) {
-    alertIn(sel, "World boundaries are missing or invalid.");
+/**
+ * Download a chart as a standalone SVG file.
+ */
+function exportSVG(sel) {
+  const svg = chartSVG(sel);
+  if (!svg) {
+    console.warn(`Nothing to export in ${sel}.`);
     return;
   }
-  const features = worldFC.features;
+  downloadBlob(
+    new Blob([svg.markup], { type: "image/svg+xml;charset=utf-8" }),
+    `${exportFileName(sel)}.svg`
+  );
+}
 
-  // 1) Filter data for the selected year and build an ISO3 -> value lookup
-  const rows = dataRows.filter(d => d.year === year && isISO3(d.code));
-  if (!rows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
+/**
+ * Download a chart as a PNG rasterized at `scale` times its size.
+ */
+function exportPNG(sel, scale = 1) {
+  const svg = chartSVG(sel);
+  if (!svg) {
+    console.warn(`Nothing to export in ${sel}.`);
     return;
   }
 
-  const valueByISO = {};
-  rows.forEach(d => {
-    const iso = d.code;
-    const val = +d.total;
-    if (!Number.isNaN(val) && val > 0) {
-      valueByISO[iso] = val;
-    }
-  });
+  const url = URL.createObjectURL(
+    new Blob([svg.markup], { type: "image/svg+xml;charset=utf-8" })
+  );
+  const img = new Image();
+
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width  = Math.round(svg.width * scale);
+    canvas.height = Math.round(svg.height * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(blob, `${exportFileName(sel)}@${scale}x.png`), "image/png");
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    console.error(`Could not rasterize ${sel}.`);
+  };
+  img.src = url;
+}
 
-  const positiveValues = Object.values(valueByISO).filter(v => v > 0);
-  if (!positiveValues.length) {
-    alertIn(sel, `No positive country totals for ${year}.`);
+/* ---------- Chart data export (CSV / JSON) ---------- */
+
+/**
+ * Download the data behind a chart (see the `data` of each chart module):
+ * an array of flat records, or an object of named record arrays. JSON holds every table plus the view
+ * settings; CSV writes one file per table (array cells joined with spaces).
+ */
+function exportData(sel, format) {
+  const data = charts.get(sel)?.data();
+  if (!data) {
+    console.warn(`No data to export in ${sel}.`);
     return;
   }
-  const maxVal = d3.max(positiveValues) || 1;
-
-  const width  = 900;
-  const height = 420;
-  const marginBottom = 56;
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+  const name = exportFileName(sel);
+
+  if (format === "json") {
+    const doc = {
+      chart: sel.replace(/^#/, ""),
+      year: state.range ? null : state.year,
+      range: state.range,
+      types: state.types,
+      measure: state.measure,
+      region: state.region,
+      data
+    };
+    downloadBlob(
+      new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }),
+      `${name}.json`
+    );
+    return;
+  }
 
-  // Hide tooltip when leaving the map container
-  d3.select(sel).on("mouseleave", hideTooltip);
+  const tables = Array.isArray(data) ? { "": data } : data;
+  Object.entries(tables).forEach(([table, records]) => {
+    const flat = records.map(r => Object.fromEntries(
+      Object.entries(r).map(([k, v]) => [k, Array.isArray(v) ? v.join(" ") : v])
+    ));
+    downloadBlob(
+      new Blob([d3.csvFormat(flat)], { type: "text/csv;charset=utf-8" }),
+      `${name}${table ? `-${table}` : ""}.csv`
+    );
+  });
+}
 
-  // 2) Projection and path generator (kept consistent with choropleth)
-  const projection = d3.geoNaturalEarth1()
-    .fitSize([width, height - marginBottom - 10], worldFC);
+/* ---------- Render pipeline ---------- */
 
-  const path = d3.geoPath(projection);
+/**
+ * Chart instances of the chart modules, keyed by container selector.
+ * Created on the first render, updated in place afterwards.
+ */
+const charts = new Map();
 
-  // 3) Basemap in a light neutral style
-  svg.append("g")
-    .selectAll("path")
-    .data(features)
-    .join("path")
-      .attr("d", path)
-      .attr("class", "symbol-country");
-
-  // 4) Circle radius (square-root scale so that area ∝ value)
-  const radius = d3.scaleSqrt()
-    .domain([1, maxVal])
-    .range([2, 22]);
-
-  // Helper: robust ISO3 extraction from GeoJSON properties
-  const getISO3 = feat => {
-    const p = feat.properties || {};
-    return (p.iso_a3 || p.ISO_A3 || "").toUpperCase();
+/**
+ * Draw the chart in `sel` with a module factory (first render) or update its
+ * instance. Adds the options every chart shares with the dashboard: type
+ * filter, selected country and the click callbacks.
+ */
+function renderChart(sel, factory, data, options = {}) {
+  const opts = {
+    types: state.types,
+    country: state.country,
+    onCountryClick: toggleCountry,
+    onTypeToggle: toggleType,
+    ...options
   };
 
-  // 5) Build list of features with both geometry and data (+ centroids)
-  const symbolFeatures = features
-    .map(f => {
-      const iso = getISO3(f);
-      const val = valueByISO[iso];
-      if (!val || val <= 0) return null;
+  const chart = charts.get(sel);
+  if (chart) {
+    chart.update(data, opts);
+  } else {
+    charts.set(sel, factory(sel, data, opts));
+  }
+}
 
-      const c  = path.centroid(f);
-      const cx = c[0];
-      const cy = c[1];
-      if (!Number.isFinite(cx) || !Number.isFinite(cy)) return null;
+/**
+ * Drop the instance of a chart that failed to render and show `msg` instead;
+ * the next render starts the chart afresh.
+ */
+function chartFailed(sel, msg) {
+  charts.get(sel)?.destroy();
+  charts.delete(sel);
+  alertIn(sel, msg);
+}
 
-      return { feature: f, iso, value: val, cx, cy };
-    })
-    .filter(d => d !== null)
-    // Larger circles first so that smaller ones remain visible on top
-    .sort((a, b) => d3.descending(a.value, b.value));
+/**
+ * Draw every chart: the World series over time and the snapshot charts.
+ * Called on load and whenever the type filter changes.
+ */
+function renderAll() {
+  renderWindowedSeries();
+  renderTimeSeries();
 
-  if (!symbolFeatures.length) {
-    alertIn(sel, `No countries with valid geometries and data in ${year}.`);
-    return;
-  }
+  renderSnapshot();
+}
 
-  const fmt = d3.format(",");
+/**
+ * Draw the time series of the selected aggregate with the brushed range.
+ */
+function renderTimeSeries() {
+  renderChart("#timeseries", createTimeSeries, seriesRows(), {
+    range: state.range,
+    onRangeChange: setRange,
+    onYearSelect: setYear
+  });
+}
 
-  // 6) Draw circles
-  svg.append("g")
-    .selectAll("circle")
-    .data(symbolFeatures)
-    .join("circle")
-      .attr("class", "symbol-circle")
-      .attr("cx", d => d.cx)
-      .attr("cy", d => d.cy)
-      .attr("r",  d => radius(d.value))
-      .on("mousemove", (ev, d) => {
-        const name =
-          d.feature.properties?.name ||
-          d.feature.properties?.ADMIN ||
-          d.iso;
-
-        const html =
-          `<strong>${name}</strong><br/>` +
-          `${fmt(d.value)} deaths in ${year}`;
-        showTooltip(ev, html);
-      })
-      .on("mouseleave", hideTooltip);
-
-  // 7) Simple bubble legend (bottom-right corner)
-  // Use "nice" rounded values to make the legend easier to read
-  const niceMax = d3.tickStep(0, maxVal, 1);   // e.g. 80k for 75k
-  let legendVals = [niceMax / 4, niceMax / 2, niceMax]
-    .map(v => Math.round(v))
-    .filter((v, i, arr) => v > 0 && arr.indexOf(v) === i);
-
-  if (legendVals.length) {
-    const legend = svg.append("g")
-      .attr("class", "symbol-legend")
-      .attr("transform", `translate(${width - 140}, ${height - marginBottom + 10})`);
-
-    const lineHeight = 26;
-
-    legendVals.slice().reverse().forEach((v, i) => {
-      const r  = radius(v);
-      const cy = -i * lineHeight - r;
-
-      legend.append("circle")
-        .attr("cx", 0)
-        .attr("cy", cy)
-        .attr("r",  r)
-        .attr("class", "symbol-circle");
-
-      legend.append("text")
-        .attr("x", r + 8)
-        .attr("y", cy + 4)
-        .text(fmt(v));
-    });
+/**
+ * Draw the heatmap and 100% stacked bars of the selected aggregate
+ * (World or region), zoomed to the brushed range.
+ */
+function renderWindowedSeries() {
+  const rows = state.range
+    ? seriesRows().filter(r => r.year >= state.range[0] && r.year <= state.range[1])
+    : seriesRows();
 
-    legend.append("text")
-      .attr("x", 0)
-      .attr("y", -legendVals.length * lineHeight - 6)
-      .attr("font-size", 12)
-      .attr("fill", "#555")
-      .text("Deaths (circle area)");
-  }
+  renderChart("#heatmap", createHeatmap, rows);
+  renderChart("#stack100", createStacked100, rows);
 }
 
-/* 12) Contour / isopleth map — smoothed conflict intensity surface (snapshot year)*/
-function drawContourMap(sel, worldFC, dataRows, year) {
-  // 0) Basic sanity check for the world GeoJSON
-  if (!worldFC || !Array.isArray(worldFC.features) || !worldFC.features.length) {
-    alertIn(sel, "World boundaries are missing or invalid.");
-    return;
-  }
-  const features = worldFC.features;
+/**
+ * Update every `.snapshot-year` span (titles, captions, notes) in the HTML.
+ */
+function updateYearLabels(year) {
+  d3.selectAll(".snapshot-year").text(year);
+}
 
-  // 1) Filter the input table for the selected year and build ISO3 -> total lookup
-  const rows = dataRows.filter(d => d.year === year && isISO3(d.code));
-  if (!rows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
-    return;
-  }
+/**
+ * Draw the charts that depend on the snapshot year (or brushed range).
+ * Called on load and whenever the global year control changes.
+ */
+function renderSnapshot() {
+  const { worldFC } = store;
+  const { key: year, countries, worldOnly, special } = snapshotView();
+  const { measure } = state;
 
-  const valueByISO = {};
-  rows.forEach(d => {
-    const iso = d.code;
-    const val = +d.total;
-    // We only care about strictly positive totals
-    if (!Number.isNaN(val) && val > 0) {
-      valueByISO[iso] = val;
-    }
-  });
+  // The three maps share one view: a gesture on one of them moves the others.
+  const zoomOf = sel => ({ zoom: state.mapZoom, onZoom: view => syncMapZoom(sel, view) });
 
-  const positiveValues = Object.values(valueByISO).filter(v => v > 0);
-  if (!positiveValues.length) {
-    alertIn(sel, `No positive country totals for ${year}.`);
-    return;
-  }
+  // Maps also place historical / disputed entities (see ENTITY_GEO_MAP).
+  const mapData = { world: worldFC, rows: countries.concat(special) };
 
-  const width  = 900;
-  const height = 420;
-  const marginBottom = 56;
+  updateYearLabels(year);
 
-  const svg = d3.select(sel).html("")
-    .append("svg")
-    .attr("width", width)
-    .attr("height", height);
+  /* ---- Section 1: Comparing categories ---- */
 
-  // Make sure the tooltip disappears when leaving the whole container
-  d3.select(sel).on("mouseleave", hideTooltip);
+  renderChart("#bar-top10", createTop10Bar, countries, { year, measure });
+  renderChart("#grouped", createGroupedBar, countries, { year, focus: state.focus });
+  renderChart("#waffle", createWaffle, worldOnly, { year });
 
-  // 2) Map projection and path generator, kept consistent with the other maps
-  const projection = d3.geoNaturalEarth1()
-    .fitSize([width, height - marginBottom - 10], worldFC);
+  /* ---- Section 2: Distributions ---- */
 
-  const geoPath = d3.geoPath(projection);
+  renderChart("#histogram", createHistogram, countries, { year, measure });
+  renderChart("#violin", createViolin, countries, { year });
+  renderChart("#boxplot", createBoxplot, countries, { year });
 
-  // Light gray basemap for geographic context
-  svg.append("g")
-    .selectAll("path")
-    .data(features)
-    .join("path")
-      .attr("d", geoPath)
-      .attr("fill", "#f3f4f6")
-      .attr("stroke", "#d1d5db")
-      .attr("stroke-width", 0.4);
-
-  // Helper: robust ISO3 extraction from different possible property names
-  const getISO3 = feat => {
-    const p = feat.properties || {};
-    return (p.iso_a3 || p.ISO_A3 || "").toUpperCase();
-  };
+  /* ---- Section 4: Spatial patterns ---- */
 
-  // 3) Build one point per country centroid, weighted by conflict deaths
-  //    We log-transform the totals to avoid a few large countries dominating everything.
-  const points = [];
-  features.forEach(f => {
-    const iso = getISO3(f);
-    const val = valueByISO[iso];
-    if (!val || val <= 0) return;
-
-    const c = geoPath.centroid(f);
-    const cx = c[0];
-    const cy = c[1];
-    if (!Number.isFinite(cx) || !Number.isFinite(cy)) return;
-
-    points.push({
-      x: cx,
-      y: cy,
-      weight: Math.log10(val + 1)   // smooth out very large differences
+  try {
+    renderChart("#map-choropleth", createChoropleth, mapData, {
+      year, measure, ...zoomOf("#map-choropleth")
     });
-  });
-
-  if (!points.length) {
-    alertIn(sel, `No countries with valid geometries and data in ${year}.`);
-    return;
+  } catch (e) {
+    console.error("Failed to render choropleth:", e);
+    chartFailed("#map-choropleth", t("alert.choroplethFailed"));
   }
 
-  // 4) Estimate a smooth density surface and extract contour bands (isopleths)
-  const contours = d3.contourDensity()
-    .x(d => d.x)
-    .y(d => d.y)
-    .weight(d => d.weight)
-    .size([width, height - marginBottom - 10])
-    .bandwidth(40)   // higher = smoother intensity field
-    .thresholds(10)  // number of contour levels
-    (points);
-
-  const valuesExtent = d3.extent(contours, d => d.value);
-  let minD = valuesExtent[0] ?? 0;
-  let maxD = valuesExtent[1] ?? 1;
-
-  // Guard against a degenerate case where all density values collapse to the same number
-  if (maxD - minD < 1e-6) {
-    maxD = minD + 1e-6;
+  try {
+    renderChart("#map-symbol", createSymbolMap, mapData, {
+      year, measure, ...zoomOf("#map-symbol")
+    });
+  } catch (e) {
+    console.error("Failed to render proportional symbol map:", e);
+    chartFailed("#map-symbol", t("alert.symbolFailed"));
   }
 
-  const color = d3.scaleSequential(d3.interpolateOrRd)
-    .domain([minD, maxD]);
-
-  // We use a plain screen-space path generator for the contour polygons
-  const contourPath = d3.geoPath();
-
-  // 4b) Draw the filled contour bands
-  const contourGroup = svg.append("g")
-    .attr("class", "contours");
-
-  contourGroup
-    .selectAll("path")
-    .data(contours)
-    .join("path")
-      .attr("d", contourPath)
-      .attr("fill", d => color(d.value))
-      // Thin white stroke to visually separate the bands
-      .attr("stroke", "#ffffff")
-      .attr("stroke-width", 0.5)
-      // Opacity increases with intensity: far areas are light, the core is strong
-      .attr("opacity", d => {
-        let rel = (d.value - minD) / (maxD - minD);
-        if (!Number.isFinite(rel)) rel = 0;
-        rel = Math.max(0, Math.min(1, rel));   // clamp to [0, 1]
-        return 0.25 + 0.55 * rel;             // 0.25 (lowest) → 0.80 (highest)
-      });
-
-  // 4c) Tooltip: show a clean percentage of the maximum intensity.
-  //     If the value is not meaningful (NaN / out of range), we simply hide the tooltip.
-  contourGroup.selectAll("path")
-    .on("mousemove", (ev, d) => {
-      let rel = (d.value - minD) / (maxD - minD);
-      if (!Number.isFinite(rel)) {
-        hideTooltip();
-        return;
-      }
-      rel = Math.max(0, Math.min(1, rel));
-      const percent = (rel * 100).toFixed(0);
-
-      const html =
-        `<strong>Relative conflict intensity</strong><br/>` +
-        `Isopleth level: ${percent}% of max (smoothed)`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
-
-  // 5) Simple horizontal legend in the bottom-right corner, expressed in 0–100%
-  const legendWidth  = 200;
-  const legendHeight = 10;
-  const legendX = width - legendWidth - 24;
-  const legendY = height - marginBottom - 20;
+  try {
+    renderChart("#map-contour", createContourMap, mapData, {
+      year, ...zoomOf("#map-contour")
+    });
+  } catch (e) {
+    console.error("Failed to render contour map:", e);
+    chartFailed("#map-contour", t("alert.contourFailed"));
+  }
 
-  const defs = svg.append("defs");
-  const gradient = defs.append("linearGradient")
-    .attr("id", "contour-gradient");
+  /* ---- Section 5: Connection visualization ---- */
+  renderChart("#sankey", createSankey, countries, { year });
+  renderChart("#network", createNetwork, countries, { year });
 
-  gradient.append("stop")
-    .attr("offset", "0%")
-    .attr("stop-color", color(minD));
+  /* ---- Drill-down panel (follows year and type filter) ---- */
+  renderCountryPanel();
+}
 
-  gradient.append("stop")
-    .attr("offset", "100%")
-    .attr("stop-color", color(maxD));
+/* ---------- Dataset adapters ---------- */
 
-  svg.append("rect")
-    .attr("x", legendX)
-    .attr("y", legendY)
-    .attr("width", legendWidth)
-    .attr("height", legendHeight)
-    .attr("fill", "url(#contour-gradient)");
+/**
+ * Adapters available to this page: the built-in ones (js/data.js) plus
+ * those registered through `DATASET.adapters`.
+ */
+const ADAPTERS = { ...DATASET_ADAPTERS, ...DATASET.adapters };
 
-  const legendScale = d3.scaleLinear()
-    .domain([0, 1])  // 0–100% of the maximum intensity
-    .range([legendX, legendX + legendWidth]);
+/* ---------- Data loading and dispatch ---------- */
 
-  svg.append("g")
-    .attr("class", "axis")
-    .attr("transform", `translate(0, ${legendY + legendHeight})`)
-    .call(
-      d3.axisBottom(legendScale)
-        .ticks(3)
-        .tickFormat(d => `${Math.round(d * 100)}%`)
-    );
+/** Whether the controls have been initialized by a first successful load. */
+let dashboardStarted = false;
 
-  svg.append("text")
-    .attr("x", legendX + legendWidth / 2)
-    .attr("y", legendY - 6)
-    .attr("text-anchor", "middle")
-    .attr("font-size", 12)
-    .attr("fill", "#555")
-    .text("Smoothed conflict intensity (relative to max)");
+/**
+ * GeoJSON features of a FeatureCollection (or of a bare feature array).
+ */
+function featuresOf(geo) {
+  return Array.isArray(geo?.features) ? geo.features : geo;
 }
 
-/* ===================== CONNECTION VIS (Sankey + Network) ===================== */
-
 /**
- * Utility: get top N countries by total for a given year.
+ * Name of a dataset format in the current language: the `format.<key>`
+ * message of a registered adapter (or of the one in its `format`), else
+ * the adapter's own label.
  */
-function topCountriesByTotal(data, year, N = 12) {
-  return data
-    .filter(d => d.year === year && d.total > 0)
-    .slice()
-    .sort((a, b) => d3.descending(a.total, b.total))
-    .slice(0, N);
+function formatLabel(adapter) {
+  const key = adapter.format ?? Object.keys(ADAPTERS).find(k => ADAPTERS[k] === adapter);
+  return label(`format.${key}`, adapter.label);
 }
 
 /**
- * Utility: safe numeric vector for a country (by conflict type).
+ * Show the loaded files and their format next to the upload button.
  */
-function typeVector(d) {
-  return TYPE_ORDER.map(k => Math.max(0, +d[k] || 0));
+function updateDatasetName() {
+  d3.select("#dataset-name").text(`${store.source} (${formatLabel(store.adapter)})` +
+    (store.geoSource ? ` · ${store.geoSource}` : ""));
 }
 
 /**
- * Utility: cosine similarity between two non-negative vectors.
+ * Normalize a parsed CSV with an adapter and fill `store` (rows, boundaries,
+ * population, years). Throws, leaving `store` untouched, when the adapter
+ * yields no usable rows.
  */
-function cosineSim(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    dot += a[i] * b[i];
-    na  += a[i] * a[i];
-    nb  += b[i] * b[i];
+function ingestDataset(raw, worldFeatures, adapter) {
+  const unknownTypes = new Map();
+  const rows  = adapter.toRows(raw, { features: worldFeatures, unknownTypes });
+  const years = Array.from(new Set(rows.map(r => r.year)))
+    .filter(Number.isFinite)
+    .sort(d3.ascending);
+
+  if (!years.length) {
+    throw new Error("No rows with a valid year.");
   }
-  if (na <= 0 || nb <= 0) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
-}
 
-/* 13) Sankey diagram — flows Type -> Country (snapshot year) */
-function drawSankey(sel, data, year) {
-  // d3-sankey must be loaded separately
-  if (typeof d3.sankey !== "function") {
-    alertIn(sel, "Sankey requires d3-sankey. Include it in your HTML (d3-sankey script).");
-    return;
-  }
+  // Split into “World” vs country-level entities.
+  store.countries  = rows.filter(r => isISO3(r.code) && r.entity !== "World");
+  store.worldOnly  = rows.filter(r => r.entity === "World");
+  store.regionRows = rows.filter(r => REGIONS.includes(r.entity));
+  store.specialRows = rows.filter(r => ENTITY_GEO_MAP[entityKey(r)]);
+  store.raw        = raw;
 
-  // ======================
-  // Settings (tweak here)
-  // ======================
-  const TOP_N = 10;               // Top N countries + Other countries
-  const MIN_FLOW = 0;             // keep all positive flows
-  const HEIGHT = 540;             // more vertical space -> less crowding
-  const MARGIN = { top: 14, right: 24, bottom: 14, left: 24 };
-  const NODE_WIDTH = 16;
-  const NODE_PADDING = 18;
-  const LABEL_MAX_CHARS = 18;     // truncate long labels (tooltip always shows full)
-  const LINK_OPACITY_DEFAULT = 0.35;
-  const LINK_OPACITY_DIM = 0.06;
-  const LINK_OPACITY_FOCUS = 0.92;
-
-  // ======================
-  // Helpers: naming/labels
-  // ======================
-  const COUNTRY_ALIASES = new Map([
-    ["Democratic Republic of Congo", "DR Congo"],
-    ["Democratic Republic of the Congo", "DR Congo"],
-    ["Congo, Dem. Rep.", "DR Congo"],
-    ["Central African Republic", "CAR"],
-    ["United States", "USA"],
-    ["United Kingdom", "UK"],
-    ["Russian Federation", "Russia"],
-    ["Iran (Islamic Republic of)", "Iran"],
-    ["Syrian Arab Republic", "Syria"],
-    ["Venezuela (Bolivarian Republic of)", "Venezuela"],
-    ["Bolivia (Plurinational State of)", "Bolivia"],
-    ["Tanzania, United Republic of", "Tanzania"],
-    ["Viet Nam", "Vietnam"],
-    ["Lao People's Democratic Republic", "Laos"],
-    ["Myanmar (Burma)", "Myanmar"]
-  ]);
-
-  function prettyCountryName(name) {
-    return COUNTRY_ALIASES.get(name) || name;
+  if (!store.worldOnly.length) {
+    store.worldOnly = worldFromCountries(store.countries);
   }
+  const worldDerived = store.worldOnly.every(r => r.derived);
+  store.adapter    = adapter;
 
-  function truncateLabel(s, maxChars = LABEL_MAX_CHARS) {
-    const str = String(s ?? "");
-    if (str.length <= maxChars) return str;
-    return str.slice(0, Math.max(1, maxChars - 1)) + "…";
-  }
+  store.worldFC = {
+    type: "FeatureCollection",
+    features: worldFeatures
+  };
+
+  // Join population by ISO3 for per-capita rates.
+  store.population = buildPopulationIndex(worldFeatures);
+  store.countries.forEach(r => {
+    r.pop = store.population.get(r.code)?.value ?? null;
+  });
+
+  // Country names in the other languages, joined by ISO3.
+  setCountryNames(buildNameIndex(worldFeatures));
+  store.codes = new Map(store.countries.map(r => [r.entity, r.code]));
+
+  // Report CSV entities and map features that do not join, and data issues.
+  store.join = buildJoinReport(rows, worldFeatures);
+  logJoinReport(store.join);
+  renderJoinReport(store.join);
+  store.validation = buildValidationReport(rows, store.worldOnly, worldDerived, unknownTypes);
+  renderValidationReport(store.validation);
+
+  // Entities with their own geometry (e.g. Kosovo) take that feature's population.
+  store.specialRows.forEach(r => {
+    const spec = ENTITY_GEO_MAP[entityKey(r)];
+    const f = spec.kind === "geometry"
+      ? worldFeatures.find(feat => spec.adm0.includes(feat.properties?.adm0_a3))
+      : null;
+    r.pop = f?.properties?.pop_est > 0 ? +f.properties.pop_est : null;
+  });
+
+  // Years available for the global year control (sorted, unique).
+  store.years = years;
+}
 
-  function fmtInt(x) {
-    return d3.format(",")(Math.round(+x || 0));
+/**
+ * Load a dataset into the dashboard and draw every chart. The first call
+ * initializes the controls; later calls (uploads) refresh the data-dependent
+ * controls and drop selections that do not exist in the new data.
+ * `source` names the CSV, `geoSource` an uploaded GeoJSON (if any).
+ */
+function startDashboard(raw, worldFeatures, adapter, source, geoSource = null) {
+  ingestDataset(raw, worldFeatures, adapter);
+  store.source = source;
+  store.geoSource = geoSource;
+
+  // Fall back to the latest year if the default is not in the data.
+  if (!store.years.includes(state.year)) {
+    state.year = store.years.at(-1);
   }
 
-  // ======================
-  // Prepare year data
-  // ======================
-  const yearRows = data.filter(d => d.year === year && d.total > 0);
-  if (!yearRows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
+  const entities = Array.from(new Set(store.countries.map(r => r.entity))).sort(d3.ascending);
+  updateDatasetName();
+
+  if (!dashboardStarted) {
+    // Restore year, country, types and view from a shared link before drawing.
+    readHash();
+    recomputeTotals();
+
+    initYearControls(store.years);
+    initPlayback();
+    initMapZoom();
+    initCountryControl();
+    initRangeControl();
+    initRegionControl();
+    initMeasureControl();
+    initFocusPicker(entities);
+    initExportMenus();
+
+    renderAll();
+
+    restoreView();
+    writeHash();
+    initHashSync();
+    dashboardStarted = true;
     return;
   }
 
-  // Top N countries by total
-  const top = yearRows
-    .slice()
-    .sort((a, b) => d3.descending(a.total, b.total))
-    .slice(0, TOP_N);
+  stopPlayback();
+  state.range = null;
+  if (state.country && !hasCountryRows(state.country)) {
+    state.country = null;
+  }
+  if (!store.regionRows.some(r => r.entity === state.region)) {
+    state.region = "World";
+  }
+  recomputeTotals();
 
-  const topNames = new Set(top.map(d => d.entity));
-  const others = yearRows.filter(d => !topNames.has(d.entity));
+  initYearControls(store.years);
+  initRegionControl();
+  initFocusPicker(entities);
+  updateRangeControl();
+  updateCountryControl();
+  renderCountryPanel();
 
-  // Aggregate "Other countries" by type
-  const otherAgg = { entity: "Other countries" };
-  TYPE_ORDER.forEach(t => {
-    otherAgg[t] = d3.sum(others, d => Math.max(0, +d[t] || 0));
-  });
-  otherAgg.total = d3.sum(TYPE_ORDER, t => otherAgg[t] || 0);
-  const includeOther = otherAgg.total > 0;
-
-  // ======================
-  // Build nodes
-  // ======================
-  const typeNodes = TYPE_ORDER.map((t, i) => ({
-    id: `type:${t}`,
-    label: t,
-    kind: "type",
-    sortKey: i
-  }));
+  renderAll();
+  writeHash();
+}
 
-  // countries sorted by total desc
-  const topSorted = top
-    .slice()
-    .sort((a, b) => d3.descending(a.total, b.total));
+initLocaleControl();
+initThemeControl();
+// Before the default data: an upload is the way out when it fails to load.
+initUpload();
 
-  const countryNodes = topSorted.map((d, i) => ({
-    id: `c:${d.entity}`,
-    label: prettyCountryName(d.entity),
-    fullLabel: d.entity,                 // original (for tooltip)
-    kind: "country",
-    total: d.total,
-    sortKey: i,
-    isOther: false
-  }));
+/** The default boundaries, also joined to a CSV uploaded on its own. */
+const defaultWorld = d3.json(WORLD_GEOJSON_PATH);
 
-  if (includeOther) {
-    countryNodes.push({
-      id: "c:Other countries",
-      label: "Other countries",
-      fullLabel: "Other countries (aggregated)",
-      kind: "country",
-      total: otherAgg.total,
-      sortKey: 999999,                   // always last
-      isOther: true
-    });
+Promise.all([
+  d3.csv(DATASET.path, d3.autoType),
+  defaultWorld
+]).then(([raw, worldGeo]) => {
+  if (!raw || !raw.length) {
+    throw new Error("CSV is empty.");
   }
 
-  const nodes = [...typeNodes, ...countryNodes];
-
-  // ======================
-  // Build links
-  // ======================
-  const links = [];
-
-  // Top countries links
-  topSorted.forEach(d => {
-    TYPE_ORDER.forEach(t => {
-      const v = Math.max(0, +d[t] || 0);
-      if (v > MIN_FLOW) {
-        links.push({
-          source: `type:${t}`,
-          target: `c:${d.entity}`,
-          value: v,
-          type: t,
-          countryFull: d.entity,
-          countryPretty: prettyCountryName(d.entity),
-          isOther: false
-        });
-      }
-    });
-  });
-
-  // Other aggregated links
-  if (includeOther) {
-    TYPE_ORDER.forEach(t => {
-      const v = Math.max(0, +otherAgg[t] || 0);
-      if (v > MIN_FLOW) {
-        links.push({
-          source: `type:${t}`,
-          target: "c:Other countries",
-          value: v,
-          type: t,
-          countryFull: "Other countries (aggregated)",
-          countryPretty: "Other countries",
-          isOther: true
-        });
-      }
-    });
-  }
+  const worldFeatures = featuresOf(worldGeo);
+  const source = DATASET.path.split("/").pop();
 
-  if (!links.length) {
-    alertIn(sel, `No positive flows for ${year}.`);
+  // Pick the dataset adapter (configured or detected from the header);
+  // without one, ask the user to map the columns.
+  const adapter = pickAdapter(raw.columns || Object.keys(raw[0]), DATASET.format, ADAPTERS);
+  if (!adapter) {
+    ALL_VIZ_SELECTORS.forEach(sel =>
+      alertIn(sel, t("alert.noColumns"))
+    );
+    openColumnMapping(raw, worldFeatures, source);
     return;
   }
 
-  // ======================
-  // Responsive width
-  // ======================
-  const container = d3.select(sel);
-  container.html(""); // clear
-
-  const w = Math.floor(container.node().getBoundingClientRect().width || 900);
-  const WIDTH = Math.max(760, w);
-
-  const svg = container.append("svg")
-    .attr("width", WIDTH)
-    .attr("height", HEIGHT);
-
-  d3.select(sel).on("mouseleave", hideTooltip);
-
-  // ======================
-  // Sankey layout (+ sorting!)
-  // ======================
-  const sankey = d3.sankey()
-    .nodeId(d => d.id)
-    .nodeWidth(NODE_WIDTH)
-    .nodePadding(NODE_PADDING)
-    .extent([[MARGIN.left, MARGIN.top], [WIDTH - MARGIN.right, HEIGHT - MARGIN.bottom]])
-    .nodeSort((a, b) => {
-      // Keep types ordered by TYPE_ORDER (top->bottom)
-      if (a.kind === "type" && b.kind === "type") return d3.ascending(a.sortKey, b.sortKey);
-
-      // Keep countries ordered by total desc; Other always last via huge sortKey
-      if (a.kind === "country" && b.kind === "country") {
-        // primary: sortKey; (topSorted gives sortKey by rank)
-        return d3.ascending(a.sortKey, b.sortKey);
-      }
-
-      // If mixing kinds in same column (shouldn't happen): keep types before countries
-      return (a.kind === "type" ? -1 : 1);
-    });
+  startDashboard(raw, worldFeatures, adapter, source);
 
-  // sankey mutates input => clone
-  const graph = sankey({
-    nodes: nodes.map(d => ({ ...d })),
-    links: links.map(d => ({ ...d }))
-  });
-
-  // ======================
-  // Hover highlight helpers
-  // ======================
-  function resetHighlight() {
-    linkSel
-      .attr("stroke-opacity", LINK_OPACITY_DEFAULT)
-      .attr("stroke-width", d => Math.max(1, d.width));
-    nodeRects
-      .attr("opacity", d => (d.kind === "type" ? 0.86 : 0.72));
-  }
-
-  function focusLinks(predicate) {
-    linkSel
-      .attr("stroke-opacity", d => (predicate(d) ? LINK_OPACITY_FOCUS : LINK_OPACITY_DIM))
-      .attr("stroke-width", d => (predicate(d) ? Math.max(1.6, d.width + 0.6) : Math.max(1, d.width)));
-  }
+}).catch(err => {
+  console.error(err);
+  ALL_VIZ_SELECTORS.forEach(sel =>
+    alertIn(sel, t("alert.loadFailed"))
+  );
+});
 
-  function focusNode(n) {
-    nodeRects
-      .attr("opacity", d => (d.id === n.id ? 1 : (d.kind === "type" ? 0.25 : 0.2)));
-    focusLinks(d => d.source.id === n.id || d.target.id === n.id);
-  }
+/* ---------- User upload (drag and drop) ---------- */
 
-  // ======================
-  // Draw links
-  // ======================
-  const linkSel = svg.append("g")
-    .attr("fill", "none")
-    .selectAll("path")
-    .data(graph.links)
-    .join("path")
-    .attr("d", d3.sankeyLinkHorizontal())
-    .attr("stroke", d => TYPE_COLORS(d.type))
-    .attr("stroke-opacity", LINK_OPACITY_DEFAULT)
-    .attr("stroke-width", d => Math.max(1, d.width))
-    .style("mix-blend-mode", "multiply")
-    .on("mouseenter", (ev, d) => {
-      focusLinks(x => x === d);
-      const toName = d.isOther ? "Other countries (aggregated)" : d.countryFull;
-      const html =
-        `<strong>${d.type}</strong> → <strong>${toName}</strong><br/>` +
-        `${fmtInt(d.value)} deaths (${year})`;
-      showTooltip(ev, html);
-    })
-    .on("mousemove", (ev, d) => {
-      const toName = d.isOther ? "Other countries (aggregated)" : d.countryFull;
-      const html =
-        `<strong>${d.type}</strong> → <strong>${toName}</strong><br/>` +
-        `${fmtInt(d.value)} deaths (${year})`;
-      showTooltip(ev, html);
+/**
+ * Accept CSV / GeoJSON files dropped anywhere on the page or picked with
+ * the "Load files" button. Everything stays in the browser.
+ */
+function initUpload() {
+  const overlay = d3.select("#drop-overlay");
+  const hasFiles = ev => Array.from(ev.dataTransfer?.types || []).includes("Files");
+  let depth = 0; // dragenter/dragleave also fire for every child element
+
+  d3.select(window)
+    .on("dragenter.upload", ev => {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      depth += 1;
+      overlay.attr("hidden", null);
     })
-    .on("mouseleave", () => {
-      hideTooltip();
-      resetHighlight();
-    });
-
-  // ======================
-  // Draw nodes
-  // ======================
-  const nodeG = svg.append("g")
-    .selectAll("g")
-    .data(graph.nodes)
-    .join("g");
-
-  const nodeRects = nodeG.append("rect")
-    .attr("x", d => d.x0)
-    .attr("y", d => d.y0)
-    .attr("height", d => Math.max(1, d.y1 - d.y0))
-    .attr("width", d => d.x1 - d.x0)
-    .attr("rx", 3)
-    .attr("fill", d => (d.kind === "type" ? TYPE_COLORS(d.label) : (d.isOther ? "#6b7280" : "#9ca3af")))
-    .attr("opacity", d => (d.kind === "type" ? 0.86 : 0.72))
-    .on("mouseenter", (ev, d) => {
-      focusNode(d);
-
-      const total = d.value || 0;
-      const full = d.kind === "country"
-        ? (d.isOther ? "Other countries (aggregated)" : (d.fullLabel || d.label))
-        : d.label;
-
-      const html =
-        `<strong>${full}</strong><br/>` +
-        `Total flow: ${fmtInt(total)} (${year})`;
-      showTooltip(ev, html);
+    .on("dragover.upload", ev => {
+      if (hasFiles(ev)) ev.preventDefault();
     })
-    .on("mousemove", (ev, d) => {
-      const total = d.value || 0;
-      const full = d.kind === "country"
-        ? (d.isOther ? "Other countries (aggregated)" : (d.fullLabel || d.label))
-        : d.label;
-
-      const html =
-        `<strong>${full}</strong><br/>` +
-        `Total flow: ${fmtInt(total)} (${year})`;
-      showTooltip(ev, html);
+    .on("dragleave.upload", () => {
+      depth = Math.max(0, depth - 1);
+      if (!depth) overlay.attr("hidden", "");
     })
-    .on("mouseleave", () => {
-      hideTooltip();
-      resetHighlight();
+    .on("drop.upload", ev => {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      depth = 0;
+      overlay.attr("hidden", "");
+      loadFiles(Array.from(ev.dataTransfer.files));
     });
 
-  // ======================
-  // Labels (truncated, tooltip keeps full)
-  // ======================
-  nodeG.append("text")
-    .attr("x", d => (d.x0 < WIDTH / 2 ? d.x1 + 6 : d.x0 - 6))
-    .attr("y", d => (d.y0 + d.y1) / 2)
-    .attr("dy", "0.32em")
-    .attr("text-anchor", d => (d.x0 < WIDTH / 2 ? "start" : "end"))
-    .attr("font-size", 12)
-    .attr("fill", "#111827")
-    .text(d => truncateLabel(d.label))
-    .append("title")
-    .text(d => {
-      if (d.kind === "country") {
-        return d.isOther ? "Other countries (aggregated)" : (d.fullLabel || d.label);
-      }
-      return d.label;
-    });
-
-  // Caption
-  container.append("div")
-    .attr("class", "caption")
-    .text(`Sankey (Top ${TOP_N} countries + Other countries) — link width encodes deaths (flow) in ${year}.`);
+  d3.select("#upload-button").on("click", () => d3.select("#upload-input").node().click());
+  d3.select("#upload-input").on("change", ev => {
+    loadFiles(Array.from(ev.target.files));
+    ev.target.value = "";
+  });
 }
 
-/* 14) Network — similarity between countries (composition by type, snapshot year) */
-function drawNetwork(sel, data, year) {
-  const TOP_N = 18;         // number of nodes
-  const SIM_THRESHOLD = 0.65; // minimum similarity
-  const TOP_K = 3;          // keep only top-K links per node (reduces hairball)
+/**
+ * Show a short message next to the dataset name (empty string clears it).
+ */
+function setUploadStatus(msg) {
+  d3.select("#upload-status").text(msg);
+}
 
-  const rows = topCountriesByTotal(data, year, TOP_N);
-  if (!rows.length) {
-    alertIn(sel, `No country data for year ${year}.`);
+/**
+ * Read dropped files: a CSV replaces the dataset, a GeoJSON the boundaries
+ * (either one alone reuses the other from the current dashboard).
+ */
+async function loadFiles(files) {
+  const csvFile = files.find(f => /\.(csv|txt)$/i.test(f.name));
+  const geoFile = files.find(f => /\.(geo)?json$/i.test(f.name));
+  if (!csvFile && !geoFile) {
+    setUploadStatus(t("upload.wrongFiles"));
     return;
   }
 
-  // ---- Build nodes
-  const nodes = rows.map(d => ({
-    id: d.entity,
-    label: d.entity,
-    total: +d.total || 0,
-    vec: typeVector(d),
-    // pin state (drag)
-    fx: null,
-    fy: null
-  }));
-
-  // helper maps
-  const nodeById = new Map(nodes.map(n => [n.id, n]));
-
-  // ---- Build all pairwise links with cosine similarity
-  const allLinks = [];
-  for (let i = 0; i < nodes.length; i += 1) {
-    for (let j = i + 1; j < nodes.length; j += 1) {
-      const a = nodes[i], b = nodes[j];
-      const sim = cosineSim(a.vec, b.vec);
-      if (sim >= SIM_THRESHOLD) {
-        allLinks.push({ source: a.id, target: b.id, sim });
-      }
+  const source    = csvFile ? csvFile.name : store.source;
+  const geoSource = geoFile?.name ?? null;
+  try {
+    const worldFeatures = geoFile
+      ? featuresOf(JSON.parse(await geoFile.text()))
+      : store.worldFC?.features ?? featuresOf(await defaultWorld);
+    if (!Array.isArray(worldFeatures) || !worldFeatures.length) {
+      throw new Error(t("upload.noFeatures"));
     }
-  }
-
-  if (!allLinks.length) {
-    alertIn(sel, `No links above similarity threshold (${SIM_THRESHOLD}) in ${year}.`);
-    return;
-  }
-
-  // ---- Keep top-K links per node (by similarity)
-  const linksByNode = new Map(nodes.map(n => [n.id, []]));
-  allLinks.forEach(l => {
-    linksByNode.get(l.source).push(l);
-    linksByNode.get(l.target).push(l);
-  });
-
-  const kept = new Set();
-  linksByNode.forEach(list => {
-    list
-      .slice()
-      .sort((a, b) => d3.descending(a.sim, b.sim))
-      .slice(0, TOP_K)
-      .forEach(l => {
-        // undirected key
-        const key = l.source < l.target ? `${l.source}__${l.target}` : `${l.target}__${l.source}`;
-        kept.add(key);
-      });
-  });
-
-  const links = allLinks.filter(l => {
-    const key = l.source < l.target ? `${l.source}__${l.target}` : `${l.target}__${l.source}`;
-    return kept.has(key);
-  });
-
-  // ---- Sizing
-  const width = 900;
-  const height = 430;
-  const margin = { top: 10, right: 10, bottom: 10, left: 10 };
-
-  const r = d3.scaleSqrt()
-    .domain([0, d3.max(nodes, d => d.total) || 1])
-    .range([5, 22]);
-
-  const strokeW = d3.scaleLinear()
-    .domain(d3.extent(links, d => d.sim))
-    .range([1.2, 4.0]);
-
-  // ---- Container
-  const root = d3.select(sel).html("")
-    .style("position", "relative");
-
-  // small reset button (no CSS needed)
-  const btn = root.append("button")
-    .text("Reset layout")
-    .style("position", "absolute")
-    .style("right", "10px")
-    .style("top", "10px")
-    .style("z-index", 2)
-    .style("padding", "6px 10px")
-    .style("border-radius", "8px")
-    .style("border", "1px solid #e5e7eb")
-    .style("background", "white")
-    .style("cursor", "pointer");
-
-  const svg = root.append("svg")
-    .attr("width", width)
-    .attr("height", height);
-
-  d3.select(sel).on("mouseleave", hideTooltip);
-
-  // Zoom/Pan
-  const gZoom = svg.append("g");
-  svg.call(
-    d3.zoom()
-      .scaleExtent([0.6, 2.5])
-      .on("zoom", (ev) => gZoom.attr("transform", ev.transform))
-  );
 
-  // Background (so you can drag on empty space)
-  gZoom.append("rect")
-    .attr("x", 0).attr("y", 0)
-    .attr("width", width).attr("height", height)
-    .attr("fill", "transparent");
-
-  const g = gZoom.append("g")
-    .attr("transform", `translate(${margin.left},${margin.top})`);
-
-  const innerW = width - margin.left - margin.right;
-  const innerH = height - margin.top - margin.bottom;
+    const raw = csvFile ? d3.csvParse(await csvFile.text(), d3.autoType) : store.raw;
+    if (!raw || !raw.length) {
+      throw new Error(t("upload.noRows"));
+    }
 
-  // ---- Simulation
-  const sim = d3.forceSimulation(nodes)
-    .force("link", d3.forceLink(links)
-      .id(d => d.id)
-      .distance(d => 220 - 160 * d.sim)  // higher sim = closer
-      .strength(d => 0.25 + 0.55 * d.sim)
-    )
-    .force("charge", d3.forceManyBody().strength(-260))
-    .force("center", d3.forceCenter(innerW / 2, innerH / 2))
-    .force("collide", d3.forceCollide(d => r(d.total) + 4).iterations(2))
-    // keep nodes inside box (soft)
-    .force("x", d3.forceX(innerW / 2).strength(0.05))
-    .force("y", d3.forceY(innerH / 2).strength(0.05));
-
-  // ---- Draw links
-  const link = g.append("g")
-    .attr("stroke", "#9ca3af")
-    .attr("stroke-opacity", 0.65)
-    .selectAll("line")
-    .data(links)
-    .join("line")
-    .attr("stroke-width", d => strokeW(d.sim));
-
-  // ---- Draw nodes
-  const node = g.append("g")
-    .selectAll("circle")
-    .data(nodes)
-    .join("circle")
-    .attr("r", d => r(d.total))
-    .attr("fill", "#3b82f6")
-    .attr("fill-opacity", 0.75)
-    .attr("stroke", "white")
-    .attr("stroke-width", 1.5)
-    .style("cursor", "grab");
-
-  // ---- Labels (with outline for readability)
-  const label = g.append("g")
-    .selectAll("text")
-    .data(nodes)
-    .join("text")
-    .text(d => d.label)
-    .attr("font-size", 11)
-    .attr("fill", "#111827")
-    .attr("paint-order", "stroke")
-    .attr("stroke", "white")
-    .attr("stroke-width", 3)
-    .attr("stroke-linejoin", "round")
-    .style("pointer-events", "none");
-
-  // ---- Hover highlight (neighbors)
-  const neighbor = new Map();
-  links.forEach(l => {
-    const a = typeof l.source === "string" ? l.source : l.source.id;
-    const b = typeof l.target === "string" ? l.target : l.target.id;
-    neighbor.set(`${a}__${b}`, true);
-    neighbor.set(`${b}__${a}`, true);
-  });
-  const isNeighbor = (a, b) => neighbor.get(`${a.id}__${b.id}`) || a.id === b.id;
-
-  function focusNode(d) {
-    node.attr("fill-opacity", n => isNeighbor(d, n) ? 0.9 : 0.12)
-        .attr("stroke-opacity", n => isNeighbor(d, n) ? 1 : 0.15);
-
-    label.attr("opacity", n => isNeighbor(d, n) ? 1 : 0.15);
-
-    link.attr("stroke-opacity", l => {
-          const s = typeof l.source === "string" ? l.source : l.source.id;
-          const t = typeof l.target === "string" ? l.target : l.target.id;
-          return (s === d.id || t === d.id) ? 0.95 : 0.08;
-        })
-        .attr("stroke-width", l => {
-          const s = typeof l.source === "string" ? l.source : l.source.id;
-          const t = typeof l.target === "string" ? l.target : l.target.id;
-          return (s === d.id || t === d.id) ? Math.max(2.4, strokeW(l.sim)) : strokeW(l.sim);
-        });
-  }
+    const adapter = csvFile ? pickAdapter(raw.columns, null, ADAPTERS) : store.adapter;
+    if (!adapter) {
+      setUploadStatus("");
+      openColumnMapping(raw, worldFeatures, source, geoSource);
+      return;
+    }
 
-  function resetFocus() {
-    node.attr("fill-opacity", 0.75).attr("stroke-opacity", 1);
-    label.attr("opacity", 1);
-    link.attr("stroke-opacity", 0.65).attr("stroke-width", d => strokeW(d.sim));
+    startDashboard(raw, worldFeatures, adapter, source, geoSource);
+    setUploadStatus("");
+  } catch (err) {
+    console.error(err);
+    setUploadStatus(t("upload.failed", { file: (csvFile || geoFile).name, error: err.message }));
   }
+}
 
-  // ---- Tooltip for nodes
-  node.on("mousemove", (ev, d) => {
-      const parts = TYPE_ORDER
-        .map(k => `${k}: ${d3.format(",")(Math.round(d.vec[TYPE_ORDER.indexOf(k)] || 0))}`)
-        .join(", ");
-
-      const html =
-        `<strong>${d.label}</strong><br/>` +
-        `Total deaths: ${d3.format(",")(Math.round(d.total))} (${year})<br/>` +
-        `<span style="opacity:.85">Vector: [${parts}]</span>`;
-      showTooltip(ev, html);
-      focusNode(d);
-    })
-    .on("mouseleave", () => {
-      hideTooltip();
-      resetFocus();
-    })
-    .on("dblclick", (ev, d) => {
-      // unpin
-      d.fx = null;
-      d.fy = null;
-      sim.alpha(0.6).restart();
-    });
-
-  // ---- Tooltip for links
-  link.on("mousemove", (ev, d) => {
-      const s = typeof d.source === "string" ? d.source : d.source.id;
-      const t = typeof d.target === "string" ? d.target : d.target.id;
-      const html =
-        `<strong>${s}</strong> ↔ <strong>${t}</strong><br/>` +
-        `Cosine similarity: ${d3.format(".2f")(d.sim)}`;
-      showTooltip(ev, html);
-    })
-    .on("mouseleave", hideTooltip);
+/**
+ * Fields of the column-mapping dialog: canonical row field → detectColumns
+ * key, with the message key of its label.
+ */
+const MAPPING_FIELDS = [
+  { key: "entity",        label: "mapping.entity", required: true },
+  { key: "code",          label: "mapping.code" },
+  { key: "year",          label: "mapping.year",   required: true },
+  { key: "interstate",    label: "type.Interstate" },
+  { key: "intrastate",    label: "type.Intrastate" },
+  { key: "extrasystemic", label: "type.Extrasystemic" },
+  { key: "nonstate",      label: "type.Non-state" },
+  { key: "onesided",      label: "type.One-sided" }
+];
 
-  // ---- Drag behavior: pin on drag end
-  const drag = d3.drag()
-    .on("start", (ev, d) => {
-      if (!ev.active) sim.alphaTarget(0.25).restart();
-      d.fx = d.x;
-      d.fy = d.y;
-      d3.select(ev.sourceEvent?.target || null).style("cursor", "grabbing");
-    })
-    .on("drag", (ev, d) => {
-      d.fx = ev.x;
-      d.fy = ev.y;
+/**
+ * Ask the user which CSV columns hold the entity, year and per-type deaths
+ * (pre-filled with what detectColumns found), then load the CSV with them.
+ * Without a code column, countries are matched by name to the map.
+ */
+function openColumnMapping(raw, worldFeatures, source, geoSource = null) {
+  const headers = raw.columns || Object.keys(raw[0]);
+  const guess   = detectColumns(headers);
+  const dialog  = d3.select("#column-mapping");
+  const form    = dialog.select("form");
+
+  dialog.select(".mapping-source").text(source);
+  dialog.select(".mapping-error").text("");
+
+  form.select(".mapping-fields")
+    .selectAll("label")
+    .data(MAPPING_FIELDS, d => d.key)
+    .join(enter => {
+      const label = enter.append("label");
+      label.append("span");
+      label.append("select").attr("name", d => d.key);
+      return label;
     })
-    .on("end", (ev, d) => {
-      if (!ev.active) sim.alphaTarget(0);
-      d3.select(ev.sourceEvent?.target || null).style("cursor", "grab");
+    .call(label => label.select("span").text(d => t(d.label) + (d.required ? " *" : "")))
+    .select("select")
+    .each(function (d) {
+      d3.select(this)
+        .selectAll("option")
+        .data(["", ...headers])
+        .join("option")
+        .attr("value", h => h)
+        .text(h => h || t("mapping.none"));
+      this.value = headers.includes(guess[d.key]) ? guess[d.key] : "";
     });
 
-  node.call(drag);
+  form.on("submit", ev => {
+    if (ev.submitter?.value === "cancel") return;
 
-  // ---- Reset button
-  btn.on("click", () => {
-    nodes.forEach(n => { n.fx = null; n.fy = null; });
-    sim.alpha(1).restart();
-  });
-
-  // ---- Tick
-  sim.on("tick", () => {
-    // clamp to bounds (hard clamp avoids escaping)
-    nodes.forEach(n => {
-      const rr = r(n.total);
-      n.x = Math.max(rr, Math.min(innerW - rr, n.x));
-      n.y = Math.max(rr, Math.min(innerH - rr, n.y));
+    const C = { low: null, high: null };
+    MAPPING_FIELDS.forEach(f => {
+      C[f.key] = form.select(`select[name="${f.key}"]`).property("value") || null;
     });
 
-    link
-      .attr("x1", d => (typeof d.source === "string" ? nodeById.get(d.source).x : d.source.x))
-      .attr("y1", d => (typeof d.source === "string" ? nodeById.get(d.source).y : d.source.y))
-      .attr("x2", d => (typeof d.target === "string" ? nodeById.get(d.target).x : d.target.x))
-      .attr("y2", d => (typeof d.target === "string" ? nodeById.get(d.target).y : d.target.y));
+    const types = ["interstate", "intrastate", "extrasystemic", "nonstate", "onesided"];
+    if (!C.entity || !C.year || !types.some(k => C[k])) {
+      ev.preventDefault();
+      dialog.select(".mapping-error")
+        .text(t("mapping.required"));
+      return;
+    }
 
-    node
-      .attr("cx", d => d.x)
-      .attr("cy", d => d.y);
+    const codeOf  = countryCodeResolver(worldFeatures);
+    const adapter = {
+      format: "mapping",
+      label: "custom column mapping",
+      detect: () => false,
+      toRows: rows => rows.map(d => {
+        const r = mapRow(d, C);
+        if (!C.code) r.code = r.iso3 = codeOf(r.entity);
+        return r;
+      })
+    };
 
-    // label offset: above-right
-    label
-      .attr("x", d => d.x + r(d.total) + 6)
-      .attr("y", d => d.y - 6);
+    try {
+      startDashboard(raw, worldFeatures, adapter, source, geoSource);
+      setUploadStatus("");
+    } catch (err) {
+      console.error(err);
+      ev.preventDefault();
+      dialog.select(".mapping-error").text(t("upload.failed", { file: source, error: err.message }));
+    }
   });
 
-  // Caption
-  root.append("div")
-    .attr("class", "caption")
-    .text(
-      `Network (Top ${TOP_N} countries) — edges connect countries with cosine similarity ≥ ${SIM_THRESHOLD} `
-      + `(top-${TOP_K} per node). Node size encodes total deaths in ${year}. Drag to pin; double-click to unpin.`
-    );
+  dialog.node().showModal();
 }
@@ -0,0 +1,182 @@
+/*******************************************************
+ * Themes (ES module)
+ * A theme is a mode (light / dark page and chart chrome) plus
+ * a palette (conflict-type colors, sequential ramp, accents).
+ * Charts read the current theme when they draw; the page reads
+ * it through CSS custom properties set on <html>.
+ *
+ * Expects d3 v7 as a global (loaded from the CDN).
+ *******************************************************/
+
+/* ---------- Modes and palettes ---------- */
+
+/**
+ * Page and chart chrome per mode. Every color is also exposed as a CSS
+ * custom property (`pillBg` -> `--pill-bg`); css/style.css holds the light
+ * values as defaults.
+ */
+export const THEME_MODES = {
+  light: {
+    label: "Light",
+    colors: {
+      bg: "#f5f6f8",
+      paper: "#ffffff",
+      ink: "#111827",
+      muted: "#6b7280",
+      line: "#e5e7eb",
+      pillBg: "#f3f4f6",
+      pillInk: "#374151",
+      axisInk: "#374151",
+      axisLine: "#d1d5db",
+      grid: "#000000",        // drawn at 12% opacity
+      annotation: "#555555",  // legend titles and labels inside SVGs
+      stroke: "#9ca3af",      // neutral outlines and links
+      zeroFill: "#e5e7eb",    // map countries with data but 0 deaths
+      land: "#e6e6e6",        // basemap of the symbol map
+      landStroke: "#bdbdbd",
+      basemap: "#f3f4f6",     // basemap of the contour map
+      basemapStroke: "#d1d5db",
+      tooltipBg: "#111827",
+      tooltipInk: "#ffffff",
+      calloutBg: "#eef6ff",
+      calloutLine: "#bfdbfe",
+      calloutInk: "#1e3a8a",
+      alertBg: "#fff7ed",
+      alertLine: "#fdba74",
+      alertInk: "#9a3412",
+      link: "#2563eb",
+      error: "#b91c1c"
+    }
+  },
+  dark: {
+    label: "Dark",
+    colors: {
+      bg: "#0f172a",
+      paper: "#1e293b",
+      ink: "#f1f5f9",
+      muted: "#94a3b8",
+      line: "#334155",
+      pillBg: "#273449",
+      pillInk: "#cbd5e1",
+      axisInk: "#cbd5e1",
+      axisLine: "#475569",
+      grid: "#ffffff",
+      annotation: "#cbd5e1",
+      stroke: "#64748b",
+      zeroFill: "#334155",
+      land: "#334155",
+      landStroke: "#475569",
+      basemap: "#273449",
+      basemapStroke: "#3b4a61",
+      tooltipBg: "#f1f5f9",
+      tooltipInk: "#0f172a",
+      calloutBg: "#172554",
+      calloutLine: "#1e40af",
+      calloutInk: "#bfdbfe",
+      alertBg: "#431407",
+      alertLine: "#9a3412",
+      alertInk: "#fed7aa",
+      link: "#93c5fd",
+      error: "#fca5a5"
+    }
+  }
+};
+
+/**
+ * Data colors per palette:
+ * - `types`: one color per conflict type, in TYPE_ORDER
+ * - `sequential`: d3 interpolator of the heatmap, choropleth and contour map
+ * - `colors.accent` (bars), `accentStrong` (lines, selection), `symbol`
+ *   (map circles), also exposed as CSS custom properties
+ * - optional `light` / `dark`: `types` and `colors` replacing the above in
+ *   that mode, for palettes whose ends vanish on one of the backgrounds
+ */
+export const THEME_PALETTES = {
+  default: {
+    label: "Default colors",
+    types: ["#6c8ae4", "#f28e2b", "#edc948", "#59a14f", "#e15759"],
+    sequential: d3.interpolateOrRd,
+    colors: { accent: "#8da2fb", accentStrong: "#4f7df3", symbol: "#d9534f" }
+  },
+  // Okabe & Ito's palette for color vision deficiencies: Intrastate (orange)
+  // and Non-state (sky blue) differ in both hue and lightness.
+  "okabe-ito": {
+    label: "Color-blind safe (Okabe-Ito)",
+    types: ["#0072b2", "#e69f00", "#cc79a7", "#56b4e9", "#d55e00"],
+    sequential: d3.interpolateOrRd,
+    colors: { accent: "#56b4e9", accentStrong: "#0072b2", symbol: "#d55e00" }
+  },
+  // Five steps of viridis (types ordered by lightness) and viridis itself,
+  // reversed so that more deaths read darker. The type colors keep a 3:1
+  // contrast with the paper: the dark half of viridis on white, the light
+  // half on the dark paper.
+  viridis: {
+    label: "Color-blind safe (viridis)",
+    types: ["#440154", "#463480", "#355f8d", "#25848e", "#22a884"],
+    sequential: p => d3.interpolateViridis(1 - p),
+    colors: { accent: "#21918c", accentStrong: "#355f8d", symbol: "#440154" },
+    dark: {
+      types: ["#25848e", "#22a884", "#52c569", "#a8db34", "#fde725"],
+      colors: { accentStrong: "#52c569", symbol: "#fde725" }
+    }
+  }
+};
+
+/* ---------- Current theme ---------- */
+
+const current = { mode: "light", palette: "default" };
+const listeners = [];
+
+/**
+ * The current theme, flattened for the charts:
+ * `{ mode, palette, types, sequential, <mode colors>, <palette colors> }`.
+ */
+export function theme() {
+  const mode    = THEME_MODES[current.mode];
+  const palette = THEME_PALETTES[current.palette];
+  return {
+    mode: current.mode,
+    palette: current.palette,
+    types: palette[current.mode]?.types || palette.types,
+    sequential: palette.sequential,
+    ...mode.colors,
+    ...paletteColors()
+  };
+}
+
+/**
+ * CSS-facing colors of the current palette, with its overrides for the
+ * current mode.
+ */
+function paletteColors() {
+  const palette = THEME_PALETTES[current.palette];
+  return { ...palette.colors, ...palette[current.mode]?.colors };
+}
+
+/**
+ * Switch mode and/or palette (unknown names are ignored), update the CSS
+ * custom properties and `data-theme` on <html>, then notify the listeners.
+ */
+export function setTheme({ mode = current.mode, palette = current.palette } = {}) {
+  if (THEME_MODES[mode]) current.mode = mode;
+  if (THEME_PALETTES[palette]) current.palette = palette;
+
+  const t    = theme();
+  const root = document.documentElement;
+  root.dataset.theme   = current.mode;
+  root.dataset.palette = current.palette;
+  Object.entries({ ...THEME_MODES[current.mode].colors, ...paletteColors() })
+    .forEach(([key, value]) => {
+      root.style.setProperty(`--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`, value);
+    });
+
+  listeners.forEach(fn => fn(t));
+  return t;
+}
+
+/**
+ * Call `fn(theme)` after every theme switch.
+ */
+export function onThemeChange(fn) {
+  listeners.push(fn);
+}